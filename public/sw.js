@@ -0,0 +1,124 @@
+// 巡台神器 Service Worker：離線 App Shell、店家資料 (stale-while-revalidate) 與地圖圖磚快取
+
+// 變更快取策略或資料格式時遞增版本，舊快取會在 activate 時清除
+const VERSION = 'v1';
+const SHELL_CACHE = `patrol-shell-${VERSION}`;
+const DATA_CACHE = `patrol-data-${VERSION}`;
+// 圖磚快取與 App 版本無關，更新 App 時不需重新下載 (名稱需與 src/client/offline.js 一致)
+// v2 起只存 CORS 回應；v1 的 opaque 回應每張都占用大量配額，activate 時清除
+const TILE_CACHE = 'patrol-tiles-v2';
+// 圖磚快取上限 (張，需大於 offline.js 的 MAX_PREFETCH_TILES)；超過時刪除最早存入的圖磚
+const MAX_TILE_ENTRIES = 10000;
+const TRIM_EVERY_PUTS = 100;
+const CURRENT_CACHES = [SHELL_CACHE, DATA_CACHE, TILE_CACHE];
+
+const SHELL_URLS = ['/', '/index.html', '/manifest.webmanifest', '/icon.svg'];
+const CDN_HOSTS = ['unpkg.com', 'cdn.tailwindcss.com'];
+const TILE_PATH = /\/\d+\/\d+\/\d+\.(png|jpg|jpeg|webp)$/;
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(caches.open(SHELL_CACHE).then((cache) => cache.addAll(SHELL_URLS)).then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then((keys) => Promise.all(keys.filter((key) => key.startsWith('patrol-') && !CURRENT_CACHES.includes(key)).map((key) => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+const notifyClients = async (message) => {
+  const clients = await self.clients.matchAll({ type: 'window' });
+  clients.forEach((client) => client.postMessage(message));
+};
+
+// 店家資料：先回傳快取，背景更新；資料有變動時通知頁面重新載入
+const staleWhileRevalidate = async (event) => {
+  const cache = await caches.open(DATA_CACHE);
+  const cached = await cache.match(event.request);
+  const network = fetch(event.request).then(async (res) => {
+    if (!res.ok) return res;
+    const body = await res.clone().text();
+    const headers = new Headers(res.headers);
+    headers.set('X-Cached-At', new Date().toISOString());
+    await cache.put(event.request, new Response(body, { status: res.status, statusText: res.statusText, headers }));
+    if (cached && (await cached.clone().text()) !== body) notifyClients({ type: 'stores-updated' });
+    return res;
+  });
+  if (cached) {
+    event.waitUntil(network.catch(() => {}));
+    return cached;
+  }
+  return network;
+};
+
+// 圖磚 a/b/c/d 子網域指向同一份圖，以去除子網域後的網址為快取鍵
+const tileCacheKey = (url) => url.replace(/\/\/[a-d]\./, '//');
+
+// Cache.keys() 依存入順序排列
+const trimTileCache = async () => {
+  const cache = await caches.open(TILE_CACHE);
+  const keys = await cache.keys();
+  await Promise.all(keys.slice(0, Math.max(keys.length - MAX_TILE_ENTRIES, 0)).map((key) => cache.delete(key)));
+};
+
+let tilePuts = 0;
+
+const tileCacheFirst = async (request) => {
+  const cache = await caches.open(TILE_CACHE);
+  const key = tileCacheKey(request.url);
+  const cached = await cache.match(key);
+  if (cached) return cached;
+  const res = await fetch(request);
+  if (res.ok) {
+    cache.put(key, res.clone()).then(() => {
+      if (++tilePuts % TRIM_EVERY_PUTS === 0) return trimTileCache();
+    }).catch(() => {});
+  }
+  return res;
+};
+
+const cacheFirst = async (request) => {
+  const cache = await caches.open(SHELL_CACHE);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+  const res = await fetch(request);
+  if (res.ok || res.type === 'opaque') cache.put(request, res.clone());
+  return res;
+};
+
+const networkFirstNavigation = async (request) => {
+  try {
+    const res = await fetch(request);
+    const cache = await caches.open(SHELL_CACHE);
+    cache.put('/index.html', res.clone());
+    return res;
+  } catch (err) {
+    return (await caches.match('/index.html')) || Response.error();
+  }
+};
+
+// 頁面預先下載圖磚後通知清理
+self.addEventListener('message', (event) => {
+  if (event.data?.type === 'trim-tiles') event.waitUntil(trimTileCache());
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+
+  // ?since= 差異查詢直接送往伺服器
+  if (url.pathname === '/api/stores' && !url.search) {
+    event.respondWith(staleWhileRevalidate(event));
+  } else if (url.pathname.startsWith('/api/')) {
+    return;
+  } else if (request.destination === 'image' && TILE_PATH.test(url.pathname)) {
+    event.respondWith(tileCacheFirst(request));
+  } else if (request.mode === 'navigate') {
+    event.respondWith(networkFirstNavigation(request));
+  } else if (url.origin === self.location.origin || CDN_HOSTS.includes(url.hostname)) {
+    event.respondWith(cacheFirst(request));
+  }
+});
@@ -0,0 +1,221 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { ReportQueue } from './ReportQueue.jsx';
+import { formatVersion } from './VersionDiffPanel.jsx';
+import { apiErrorMessage } from './config.js';
+
+const TOKEN_STORAGE_KEY = 'patrol-admin-token';
+
+export const EMPTY_STORE_DRAFT = { id: null, city: '', area: '', name: '', address: '', lat: '', lng: '' };
+
+const ACTION_LABELS = {
+  create: '新增', update: '修改', delete: '刪除', import: '匯入',
+  rollback: '回復版本',
+  'report:closed': '依回報刪除 (歇業)', 'report:relocated': '依回報修正位置', 'report:renamed': '依回報改名', 'report:duplicate': '依回報刪除 (重複)',
+};
+
+// 依副檔名判斷匯入格式
+const importFormatOf = (filename) => /\.(geo)?json$/i.test(filename) ? 'geojson' : 'csv';
+
+// --- 店家資料管理面板 ---
+// draft 由 App 持有，讓地圖點擊/拖曳標記也能更新座標
+export const AdminPanel = ({ apiBase, draft, setDraft, selectedStore, cities, onSaved, onLocateStore }) => {
+  const [token, setToken] = useState(() => localStorage.getItem(TOKEN_STORAGE_KEY) || '');
+  const [status, setStatus] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+  const [changes, setChanges] = useState([]);
+  // 匯入：{ format, content, filename, diff, removeMissing }
+  const [importState, setImportState] = useState(null);
+  // 回復歷史版本
+  const [versions, setVersions] = useState([]);
+  const [rollbackVersion, setRollbackVersion] = useState('');
+
+  const authHeaders = { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` };
+
+  const loadChanges = useCallback(async () => {
+    if (!token) return;
+    try {
+      const res = await fetch(`${apiBase}/admin/changes?limit=20`, { headers: { Authorization: `Bearer ${token}` } });
+      if (!res.ok) throw new Error(res.status === 401 ? '管理密鑰錯誤' : 'API Error');
+      setChanges(await res.json());
+    } catch (err) {
+      setStatus(err.message);
+    }
+  }, [apiBase, token]);
+
+  useEffect(() => { loadChanges(); }, [loadChanges]);
+
+  const loadVersions = useCallback(async () => {
+    try {
+      const res = await fetch(`${apiBase}/stores/versions`);
+      if (!res.ok) throw new Error('API Error');
+      setVersions(await res.json());
+    } catch (err) {
+      setVersions([]);
+    }
+  }, [apiBase]);
+
+  useEffect(() => { loadVersions(); }, [loadVersions]);
+
+  const handleTokenChange = (e) => {
+    setToken(e.target.value);
+    localStorage.setItem(TOKEN_STORAGE_KEY, e.target.value);
+  };
+
+  const handleField = (key) => (e) => setDraft({ ...draft, [key]: e.target.value });
+
+  const handleEditSelected = () => {
+    if (!selectedStore) return;
+    const { id, city, area, name, address = '', lat, lng } = selectedStore;
+    setDraft({ id, city, area, name, address, lat, lng });
+    setStatus('');
+  };
+
+  const submit = async (method, url, body) => {
+    setIsSaving(true);
+    setStatus('');
+    try {
+      const res = await fetch(url, { method, headers: authHeaders, body: body && JSON.stringify(body) });
+      if (!res.ok) {
+        const data = await res.json().catch(() => ({}));
+        throw new Error(apiErrorMessage(data));
+      }
+      setStatus('已儲存。');
+      setDraft(EMPTY_STORE_DRAFT);
+      onSaved();
+      loadChanges();
+      loadVersions();
+    } catch (err) {
+      setStatus(`儲存失敗：${err.message}`);
+    }
+    setIsSaving(false);
+  };
+
+  const handleSave = () => {
+    const body = { city: draft.city, area: draft.area, name: draft.name, address: draft.address, lat: Number(draft.lat), lng: Number(draft.lng) };
+    if (draft.id) submit('PUT', `${apiBase}/admin/stores/${encodeURIComponent(draft.id)}`, body);
+    else submit('POST', `${apiBase}/admin/stores`, body);
+  };
+
+  const handleDelete = () => {
+    if (!draft.id || !window.confirm(`確定刪除「${draft.name}」？`)) return;
+    submit('DELETE', `${apiBase}/admin/stores/${encodeURIComponent(draft.id)}`);
+  };
+
+  const requestImport = async (state, dryRun) => {
+    setIsSaving(true);
+    setStatus('');
+    try {
+      const res = await fetch(`${apiBase}/admin/import`, {
+        method: 'POST',
+        headers: authHeaders,
+        body: JSON.stringify({ format: state.format, content: state.content, dryRun, removeMissing: state.removeMissing }),
+      });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(apiErrorMessage(data));
+      if (dryRun) {
+        setImportState({ ...state, diff: data });
+      } else {
+        setImportState(null);
+        setStatus(`匯入完成：新增 ${data.applied.added}、修改 ${data.applied.changed}、刪除 ${data.applied.removed}。`);
+        onSaved();
+        loadChanges();
+        loadVersions();
+      }
+    } catch (err) {
+      setStatus(`匯入失敗：${err.message}`);
+    }
+    setIsSaving(false);
+  };
+
+  const handleImportFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    const state = { format: importFormatOf(file.name), content: await file.text(), filename: file.name, diff: null, removeMissing: false };
+    setImportState(state);
+    requestImport(state, true);
+  };
+
+  const handleRollback = async () => {
+    const version = versions.find(v => v.id === rollbackVersion);
+    if (!version || !window.confirm(`確定將店家資料回復到「${formatVersion(version)}」？目前資料會保留為歷史版本。`)) return;
+    setIsSaving(true);
+    setStatus('');
+    try {
+      const res = await fetch(`${apiBase}/admin/rollback`, { method: 'POST', headers: authHeaders, body: JSON.stringify({ version: version.id }) });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(apiErrorMessage(data));
+      setStatus('已回復。');
+      setRollbackVersion('');
+      onSaved();
+      loadChanges();
+      loadVersions();
+    } catch (err) {
+      setStatus(`回復失敗：${err.message}`);
+    }
+    setIsSaving(false);
+  };
+
+  const diff = importState?.diff;
+
+  return (
+    <div className="flex-shrink-0 p-4 border-b bg-purple-50 space-y-2">
+      <div className="flex justify-between items-center">
+        <span className="font-bold text-purple-800 text-sm">店家資料管理 {draft.id ? '· 編輯' : '· 新增'}</span>
+        <div className="flex gap-2">
+          {selectedStore && <button onClick={handleEditSelected} className="px-2 py-1 text-xs rounded bg-white border border-purple-400 text-purple-700">編輯選取店家</button>}
+          <button onClick={() => setDraft(EMPTY_STORE_DRAFT)} className="px-2 py-1 text-xs rounded bg-white border border-gray-300 text-gray-700">清空</button>
+        </div>
+      </div>
+      <input type="password" value={token} onChange={handleTokenChange} placeholder="管理密鑰" className="p-2 border rounded text-sm w-full" />
+      <div className="grid grid-cols-2 gap-2">
+        <input list="admin-city-options" value={draft.city} onChange={handleField('city')} placeholder="縣市" className="p-2 border rounded text-sm" />
+        <input value={draft.area} onChange={handleField('area')} placeholder="區域" className="p-2 border rounded text-sm" />
+        <input value={draft.name} onChange={handleField('name')} placeholder="店名" className="p-2 border rounded text-sm col-span-2" />
+        <input value={draft.address} onChange={handleField('address')} placeholder="地址" className="p-2 border rounded text-sm col-span-2" />
+        <input value={draft.lat} onChange={handleField('lat')} placeholder="緯度" inputMode="decimal" className="p-2 border rounded text-sm" />
+        <input value={draft.lng} onChange={handleField('lng')} placeholder="經度" inputMode="decimal" className="p-2 border rounded text-sm" />
+      </div>
+      <datalist id="admin-city-options">{cities.map(c => <option key={c} value={c} />)}</datalist>
+      <p className="text-xs text-purple-700">點擊地圖放置標記，或拖曳標記調整座標。</p>
+      <div className="flex gap-2 items-center">
+        <button onClick={handleSave} disabled={isSaving || !token} className="px-3 py-1.5 bg-purple-600 hover:bg-purple-700 disabled:bg-gray-300 text-white text-sm rounded">{draft.id ? '儲存修改' : '新增店家'}</button>
+        {draft.id && <button onClick={handleDelete} disabled={isSaving || !token} className="px-3 py-1.5 bg-red-600 hover:bg-red-700 disabled:bg-gray-300 text-white text-sm rounded">刪除</button>}
+        {status && <span className="text-xs text-gray-600">{status}</span>}
+      </div>
+      <div className="pt-2 border-t border-purple-200 space-y-1">
+        <label className="text-xs text-purple-800">匯入 CSV / GeoJSON：<input type="file" accept=".csv,.geojson,.json" onChange={handleImportFile} disabled={!token || isSaving} className="text-xs" /></label>
+        {diff && (
+          <div className="text-xs text-gray-700 space-y-1">
+            <div>{importState.filename} 預覽：新增 {diff.added.length}、修改 {diff.changed.length}、範圍內未出現 {diff.removed.length}、疑似重複 {diff.duplicates.length}、無效 {diff.invalid.length}</div>
+            {diff.duplicates.length > 0 && <ul className="text-amber-700">{diff.duplicates.map((d, i) => <li key={i}>第 {d.row} 列「{d.name}」距離「{d.duplicateOf.name}」{(d.distance * 1000).toFixed(1)} 公尺</li>)}</ul>}
+            {diff.invalid.length > 0 && <ul className="text-red-700">{diff.invalid.map(r => <li key={r.row}>第 {r.row} 列：{r.errors.join('、')}</li>)}</ul>}
+            <label className="flex items-center gap-1"><input type="checkbox" checked={importState.removeMissing} onChange={(e) => setImportState({ ...importState, removeMissing: e.target.checked })} />刪除範圍內未出現的 {diff.removed.length} 家店</label>
+            <div className="flex gap-2">
+              <button onClick={() => requestImport(importState, false)} disabled={isSaving} className="px-3 py-1 bg-purple-600 hover:bg-purple-700 disabled:bg-gray-300 text-white rounded">套用匯入</button>
+              <button onClick={() => setImportState(null)} className="px-3 py-1 bg-white border border-gray-300 text-gray-700 rounded">取消</button>
+            </div>
+          </div>
+        )}
+      </div>
+      {versions.length > 1 && (
+        <div className="pt-2 border-t border-purple-200 flex gap-2 items-center text-xs">
+          <select value={rollbackVersion} onChange={(e) => setRollbackVersion(e.target.value)} className="p-1 border rounded flex-1 min-w-0">
+            <option value="">回復到歷史版本…</option>
+            {versions.slice(1).map(v => <option key={v.id} value={v.id}>{formatVersion(v)}</option>)}
+          </select>
+          <button onClick={handleRollback} disabled={!rollbackVersion || !token || isSaving} className="px-3 py-1 bg-red-600 hover:bg-red-700 disabled:bg-gray-300 text-white rounded">回復</button>
+        </div>
+      )}
+      <ReportQueue apiBase={apiBase} token={token} onApplied={() => { onSaved(); loadChanges(); loadVersions(); }} onLocate={onLocateStore} />
+      {changes.length > 0 && (
+        <details className="text-xs text-gray-600">
+          <summary className="cursor-pointer">最近異動 ({changes.length})</summary>
+          <ul className="mt-1 space-y-0.5">
+            {changes.map((c, i) => <li key={i}>{new Date(c.at).toLocaleString('zh-TW')} · {c.user} {ACTION_LABELS[c.action] || c.action}「{(c.after || c.before)?.name}」</li>)}
+          </ul>
+        </details>
+      )}
+    </div>
+  );
+};
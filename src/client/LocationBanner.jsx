@@ -0,0 +1,66 @@
+import React, { useState, useEffect } from 'react';
+import { LOCATION_ERROR_MESSAGES, geocodeAddress } from './location.js';
+
+const GEOCODE_DEBOUNCE_MS = 500;
+
+// --- 地址搜尋 (手動設定位置) ---
+export const AddressSearch = ({ onSelect }) => {
+  const [query, setQuery] = useState('');
+  const [results, setResults] = useState([]);
+  const [status, setStatus] = useState('');
+
+  useEffect(() => {
+    const text = query.trim();
+    if (text.length < 2) { setResults([]); setStatus(''); return; }
+    const controller = new AbortController();
+    const timer = setTimeout(() => {
+      setStatus('搜尋中…');
+      geocodeAddress(text, controller.signal)
+        .then(found => { setResults(found); setStatus(found.length === 0 ? '找不到這個地址' : ''); })
+        .catch(err => { if (err.name !== 'AbortError') setStatus('地址搜尋失敗，請改用長按地圖設定'); });
+    }, GEOCODE_DEBOUNCE_MS);
+    return () => { clearTimeout(timer); controller.abort(); };
+  }, [query]);
+
+  return (
+    <div className="relative">
+      <input type="search" value={query} onChange={(e) => setQuery(e.target.value)} placeholder="輸入地址或地標" className="p-2 border rounded text-sm w-full text-gray-800" />
+      {status && <div className="mt-1 text-xs text-gray-500">{status}</div>}
+      {results.length > 0 && (
+        <div className="absolute left-0 right-0 mt-1 z-20 bg-white border rounded shadow-lg max-h-48 overflow-y-auto">
+          {results.map(r => (
+            <div key={`${r.lat},${r.lng}`} onClick={() => { setQuery(''); setResults([]); onSelect({ lat: r.lat, lng: r.lng }); }} className="p-2 border-b last:border-b-0 text-xs text-gray-700 cursor-pointer hover:bg-blue-50">{r.label}</div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// --- 定位錯誤提示 ---
+export const LocationBanner = ({ error, onRetry, onManualLocation, onDismiss }) => {
+  const [isManualOpen, setIsManualOpen] = useState(false);
+  const isRetrying = error.retryInMs !== null && error.retryInMs !== undefined;
+
+  return (
+    <div className="bg-amber-50 border border-amber-400 text-amber-900 px-4 py-2 rounded shadow-lg text-sm">
+      <div className="flex justify-between gap-2">
+        <div>
+          <div className="font-medium">{LOCATION_ERROR_MESSAGES[error.code]}</div>
+          {isRetrying && <div className="text-xs mt-0.5">{Math.round(error.retryInMs / 1000)} 秒後自動重試 (第 {error.attempt} 次)</div>}
+        </div>
+        <button onClick={onDismiss} className="text-amber-600 hover:text-amber-800 self-start" title="關閉">✕</button>
+      </div>
+      <div className="mt-2 flex gap-2">
+        {error.code !== 'unsupported' && <button onClick={onRetry} className="px-2 py-1 bg-amber-500 hover:bg-amber-600 text-white text-xs rounded">立即重試</button>}
+        <button onClick={() => setIsManualOpen(!isManualOpen)} className="px-2 py-1 bg-white border border-amber-500 text-amber-700 text-xs rounded">手動設定位置</button>
+      </div>
+      {isManualOpen && (
+        <div className="mt-2">
+          <AddressSearch onSelect={onManualLocation} />
+          <div className="mt-1 text-xs text-amber-700">也可以長按地圖 (電腦上按右鍵) 設定位置</div>
+        </div>
+      )}
+    </div>
+  );
+};
@@ -0,0 +1,83 @@
+import React, { useState } from 'react';
+import { REPORT_TYPE_LABELS, readReportPhoto, submitReport } from './reports.js';
+
+// --- 回報店家狀態 ---
+// draft 由 App 持有，讓「位置錯誤」可以拖曳地圖上的標記修正座標
+export const ReportForm = ({ apiBase, draft, setDraft, candidates, onClose }) => {
+  const [status, setStatus] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [isSubmitted, setIsSubmitted] = useState(false);
+  const { store } = draft;
+
+  const update = (patch) => setDraft({ ...draft, ...patch });
+
+  const handlePhoto = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      update({ photo: await readReportPhoto(file) });
+    } catch (err) {
+      setStatus(err.message);
+    }
+  };
+
+  const handleSubmit = async () => {
+    setIsSubmitting(true);
+    setStatus('');
+    try {
+      await submitReport(apiBase, draft);
+      setIsSubmitted(true);
+    } catch (err) {
+      setStatus(`送出失敗：${err.message}`);
+    }
+    setIsSubmitting(false);
+  };
+
+  if (isSubmitted) {
+    return (
+      <div className="flex-shrink-0 p-4 border-b bg-rose-50 flex justify-between items-center text-sm">
+        <span className="text-rose-800">已送出「{store.name}」的回報，管理者審核後會更新資料。</span>
+        <button onClick={onClose} className="px-2 py-1 text-xs rounded bg-white border border-gray-300 text-gray-700">關閉</button>
+      </div>
+    );
+  }
+
+  const canSubmit = !isSubmitting
+    && (draft.type !== 'renamed' || (draft.name.trim() && draft.name.trim() !== store.name))
+    && (draft.type !== 'duplicate' || draft.duplicateOf)
+    && (draft.type !== 'relocated' || draft.lat !== store.lat || draft.lng !== store.lng);
+
+  return (
+    <div className="flex-shrink-0 p-4 border-b bg-rose-50 space-y-2 text-sm">
+      <div className="flex justify-between items-center">
+        <span className="font-bold text-rose-800 truncate">回報「{store.name}」</span>
+        <button onClick={onClose} className="px-2 py-1 text-xs rounded bg-white border border-gray-300 text-gray-700">取消</button>
+      </div>
+      <div className="flex flex-wrap gap-1">
+        {Object.entries(REPORT_TYPE_LABELS).map(([type, label]) => (
+          <button key={type} onClick={() => update({ type })} className={`px-2 py-1 rounded text-xs font-medium ${draft.type === type ? 'bg-rose-600 text-white' : 'bg-white text-rose-700 border border-rose-300'}`}>{label}</button>
+        ))}
+      </div>
+      {draft.type === 'relocated' && <p className="text-xs text-rose-700">拖曳地圖上的紅色標記或點擊地圖到正確位置（{Number(draft.lat).toFixed(5)}, {Number(draft.lng).toFixed(5)}）。</p>}
+      {draft.type === 'renamed' && <input value={draft.name} onChange={(e) => update({ name: e.target.value })} placeholder="新店名" className="p-2 border rounded text-sm w-full" />}
+      {draft.type === 'duplicate' && (
+        candidates.length === 0
+          ? <p className="text-xs text-gray-500">附近沒有其他店家。</p>
+          : <select value={draft.duplicateOf} onChange={(e) => update({ duplicateOf: e.target.value })} className="p-2 border rounded text-sm w-full">
+              <option value="">與哪家店重複？</option>
+              {candidates.map(c => <option key={c.id} value={c.id}>{c.name} ({(c.distance * 1000).toFixed(0)} 公尺)</option>)}
+            </select>
+      )}
+      <textarea value={draft.note} onChange={(e) => update({ note: e.target.value })} maxLength={500} rows={2} placeholder="補充說明 (選填)" className="w-full p-2 border rounded text-xs" />
+      <div className="flex items-center gap-2">
+        <label className="text-xs text-rose-800">照片 (選填)：<input type="file" accept="image/*" capture="environment" onChange={handlePhoto} className="text-xs" /></label>
+        {draft.photo && <><img src={draft.photo} alt="回報照片" className="h-10 w-10 object-cover rounded" /><button onClick={() => update({ photo: null })} className="text-xs text-gray-500">移除</button></>}
+      </div>
+      <div className="flex items-center gap-2">
+        <button onClick={handleSubmit} disabled={!canSubmit} className="px-3 py-1.5 bg-rose-600 hover:bg-rose-700 disabled:bg-gray-300 text-white text-sm rounded">送出回報</button>
+        {status && <span className="text-xs text-gray-600">{status}</span>}
+      </div>
+    </div>
+  );
+};
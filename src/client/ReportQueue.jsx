@@ -0,0 +1,100 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { REPORT_TYPE_LABELS } from './reports.js';
+import { apiErrorMessage } from './config.js';
+
+// 回報內容的摘要文字
+const describeReport = (report) => {
+  switch (report.type) {
+    case 'relocated': return `移到 ${report.lat.toFixed(5)}, ${report.lng.toFixed(5)}`;
+    case 'renamed': return `改名為「${report.name}」`;
+    case 'duplicate': return `與「${report.duplicateOfStore?.name || report.duplicateOf}」重複`;
+    default: return '';
+  }
+};
+
+// --- 回報審核佇列 (管理面板內) ---
+export const ReportQueue = ({ apiBase, token, onApplied, onLocate }) => {
+  const [reports, setReports] = useState([]);
+  const [photos, setPhotos] = useState({});
+  const [status, setStatus] = useState('');
+  const [busyId, setBusyId] = useState(null);
+  const photoUrlsRef = useRef([]);
+
+  const loadReports = useCallback(async () => {
+    if (!token) return;
+    try {
+      const res = await fetch(`${apiBase}/admin/reports?status=pending`, { headers: { Authorization: `Bearer ${token}` } });
+      if (!res.ok) throw new Error(res.status === 401 ? '管理密鑰錯誤' : 'API Error');
+      setReports(await res.json());
+    } catch (err) {
+      setStatus(err.message);
+    }
+  }, [apiBase, token]);
+
+  useEffect(() => { loadReports(); }, [loadReports]);
+
+  // 照片需帶管理者 token，改以 blob URL 顯示，關閉面板時釋放
+  useEffect(() => () => photoUrlsRef.current.forEach(url => URL.revokeObjectURL(url)), []);
+
+  const loadPhoto = async (report) => {
+    try {
+      const res = await fetch(`${apiBase}/admin/reports/${encodeURIComponent(report.id)}/photo`, { headers: { Authorization: `Bearer ${token}` } });
+      if (!res.ok) throw new Error('API Error');
+      const url = URL.createObjectURL(await res.blob());
+      photoUrlsRef.current.push(url);
+      setPhotos(prev => ({ ...prev, [report.id]: url }));
+    } catch (err) {
+      setStatus('無法載入照片');
+    }
+  };
+
+  const review = async (report, action) => {
+    const note = window.prompt(`${action === 'approve' ? '核准' : '駁回'}「${report.store?.name || report.storeId}」的回報，審核備註（可留空）`, '');
+    if (note === null) return;
+    setBusyId(report.id);
+    setStatus('');
+    try {
+      const res = await fetch(`${apiBase}/admin/reports/${encodeURIComponent(report.id)}/${action}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+        body: JSON.stringify({ note }),
+      });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(apiErrorMessage(data));
+      setReports(prev => prev.filter(r => r.id !== report.id));
+      if (action === 'approve') onApplied();
+    } catch (err) {
+      setStatus(`審核失敗：${err.message}`);
+    }
+    setBusyId(null);
+  };
+
+  if (!token) return null;
+
+  return (
+    <details className="pt-2 border-t border-purple-200 text-xs text-gray-700" open={reports.length > 0}>
+      <summary className="cursor-pointer text-purple-800">待審核回報 ({reports.length}) <button onClick={(e) => { e.preventDefault(); loadReports(); }} className="ml-2 text-purple-600 underline">重新整理</button></summary>
+      {status && <div className="mt-1 text-red-700">{status}</div>}
+      <ul className="mt-1 space-y-2">
+        {reports.map(report => (
+          <li key={report.id} className="p-2 bg-white rounded border border-purple-100 space-y-1">
+            <div className="flex justify-between gap-2">
+              <button onClick={() => report.store && onLocate(report.store)} disabled={!report.store} className="font-bold text-left text-gray-800 disabled:text-gray-400">{report.store?.name || `${report.storeId} (已不存在)`}</button>
+              <span className="flex-shrink-0 px-2 py-0.5 rounded-full bg-rose-100 text-rose-800">{REPORT_TYPE_LABELS[report.type]}</span>
+            </div>
+            <div>{describeReport(report)}</div>
+            {report.note && <div className="text-gray-600">📝 {report.note}</div>}
+            <div className="text-gray-400">{new Date(report.createdAt).toLocaleString('zh-TW')}</div>
+            {report.photo && (photos[report.id]
+              ? <img src={photos[report.id]} alt="回報照片" className="max-h-40 rounded" />
+              : <button onClick={() => loadPhoto(report)} className="text-purple-600 underline">查看照片</button>)}
+            <div className="flex gap-2">
+              <button onClick={() => review(report, 'approve')} disabled={busyId !== null || !report.store} className="px-2 py-1 bg-purple-600 hover:bg-purple-700 disabled:bg-gray-300 text-white rounded">核准並套用</button>
+              <button onClick={() => review(report, 'reject')} disabled={busyId !== null} className="px-2 py-1 bg-white border border-gray-300 text-gray-700 rounded">駁回</button>
+            </div>
+          </li>
+        ))}
+      </ul>
+    </details>
+  );
+};
@@ -0,0 +1,88 @@
+import React, { useState, useMemo } from 'react';
+
+const COLUMNS = [
+  { key: 'city', label: '縣市' },
+  { key: 'area', label: '區域' },
+  { key: 'count', label: '店家數', numeric: true },
+  { key: 'density', label: '密度 (家/km²)', numeric: true },
+  { key: 'visited', label: '已巡', numeric: true, visitsOnly: true },
+  { key: 'coverage', label: '覆蓋率', numeric: true, visitsOnly: true },
+];
+
+const formatPercent = (value) => value === null || value === undefined ? '—' : `${(value * 100).toFixed(0)}%`;
+
+// 地圖圖層著色：覆蓋率 0% 紅 → 100% 綠；店家數由淺至深
+export const statsColor = (area, metric, maxCount) => {
+  if (metric === 'coverage') return `hsl(${Math.round((area.coverage || 0) * 120)}, 75%, 45%)`;
+  const ratio = maxCount > 0 ? area.count / maxCount : 0;
+  return `hsl(0, 80%, ${Math.round(85 - ratio * 50)}%)`;
+};
+
+// 把 /api/stats 的巢狀縣市/區域攤平成區域列表
+export const flattenStatsAreas = (stats) =>
+  stats ? stats.cities.flatMap(c => c.areas.map(a => ({ ...a, city: c.city }))) : [];
+
+// --- 統計儀表板 ---
+export const StatsDashboard = ({ stats, metric, onMetricChange, onAreaSelect, onClose }) => {
+  const [sort, setSort] = useState({ key: 'count', desc: true });
+  const areas = useMemo(() => flattenStatsAreas(stats), [stats]);
+
+  const sortedAreas = useMemo(() => {
+    const column = COLUMNS.find(c => c.key === sort.key);
+    return [...areas].sort((a, b) => {
+      const x = a[sort.key] ?? (column.numeric ? -1 : '');
+      const y = b[sort.key] ?? (column.numeric ? -1 : '');
+      const order = column.numeric ? x - y : String(x).localeCompare(String(y), 'zh-TW');
+      return sort.desc ? -order : order;
+    });
+  }, [areas, sort]);
+
+  const columns = COLUMNS.filter(c => !c.visitsOnly || stats?.hasVisits);
+
+  const handleSort = (key) => setSort(prev => ({ key, desc: prev.key === key ? !prev.desc : true }));
+
+  return (
+    <div className="absolute top-14 left-4 right-4 z-[1000] bg-white rounded-lg shadow-xl border border-gray-200 max-h-[60%] flex flex-col md:right-auto md:w-[32rem]">
+      <div className="flex justify-between items-center p-3 border-b">
+        <div className="text-sm">
+          <span className="font-bold text-gray-800">店家統計</span>
+          {stats && <span className="ml-2 text-gray-500">共 {stats.total.count} 家{stats.hasVisits && ` · 已巡 ${formatPercent(stats.total.coverage)}`}</span>}
+        </div>
+        <div className="flex items-center gap-2">
+          <select value={metric} onChange={(e) => onMetricChange(e.target.value)} className="p-1 border rounded text-xs">
+            <option value="count">圖層：店家數</option>
+            {stats?.hasVisits && <option value="coverage">圖層：覆蓋率</option>}
+          </select>
+          <button onClick={onClose} className="px-1 text-gray-400 hover:text-gray-600" title="關閉">✕</button>
+        </div>
+      </div>
+      <div className="overflow-y-auto">
+        {!stats ? <div className="p-4 text-center text-sm text-gray-500">載入中...</div> : (
+          <table className="w-full text-xs">
+            <thead className="bg-gray-50 sticky top-0">
+              <tr>
+                {columns.map(c => (
+                  <th key={c.key} onClick={() => handleSort(c.key)} className={`p-2 font-medium text-gray-600 cursor-pointer select-none ${c.numeric ? 'text-right' : 'text-left'}`}>
+                    {c.label}{sort.key === c.key ? (sort.desc ? ' ▼' : ' ▲') : ''}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {sortedAreas.map(a => (
+                <tr key={`${a.city}-${a.area}`} onClick={() => onAreaSelect(a)} className="border-t cursor-pointer hover:bg-blue-50">
+                  <td className="p-2">{a.city}</td>
+                  <td className="p-2">{a.area}</td>
+                  <td className="p-2 text-right">{a.count}</td>
+                  <td className="p-2 text-right">{a.density === null ? '—' : a.density.toFixed(1)}</td>
+                  {stats.hasVisits && <td className="p-2 text-right">{a.visited}</td>}
+                  {stats.hasVisits && <td className="p-2 text-right">{formatPercent(a.coverage)}</td>}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+};
@@ -0,0 +1,44 @@
+import React, { useState, useEffect } from 'react';
+import { EMPTY_ANNOTATION, parseTagInput } from './annotations.js';
+
+// --- 選取店家的收藏/標籤/備註 ---
+export const StoreAnnotationEditor = ({ store, annotation = EMPTY_ANNOTATION, knownTags, onChange }) => {
+  const [tagInput, setTagInput] = useState('');
+  const [note, setNote] = useState(annotation.note);
+
+  // 切換店家時重設草稿
+  useEffect(() => { setTagInput(''); setNote(annotation.note); }, [store.id, annotation.note]);
+
+  const update = (patch) => onChange({ favourite: annotation.favourite, tags: annotation.tags, note: annotation.note, ...patch });
+
+  const addTags = (text) => {
+    const tags = parseTagInput(text).filter(t => !annotation.tags.includes(t));
+    setTagInput('');
+    if (tags.length > 0) update({ tags: [...annotation.tags, ...tags] });
+  };
+
+  const suggestions = knownTags.filter(t => !annotation.tags.includes(t)).slice(0, 8);
+
+  return (
+    <div className="flex-shrink-0 p-4 border-b bg-amber-50 text-sm">
+      <div className="flex justify-between items-center mb-2">
+        <span className="font-bold text-gray-800 truncate">{store.name}</span>
+        <button onClick={() => update({ favourite: !annotation.favourite })} className={`px-2 py-1 rounded text-xs font-medium ${annotation.favourite ? 'bg-amber-400 text-white' : 'bg-white text-amber-600 border border-amber-400'}`}>{annotation.favourite ? '★ 已收藏' : '☆ 收藏'}</button>
+      </div>
+      <div className="flex flex-wrap gap-1 mb-2">
+        {annotation.tags.map(tag => (
+          <span key={tag} className="inline-flex items-center gap-1 px-2 py-0.5 bg-amber-200 text-amber-900 rounded-full text-xs">
+            {tag}<button onClick={() => update({ tags: annotation.tags.filter(t => t !== tag) })} className="text-amber-700 hover:text-amber-900" title="移除標籤">✕</button>
+          </span>
+        ))}
+        <input value={tagInput} onChange={(e) => setTagInput(e.target.value)} onKeyDown={(e) => { if (e.key === 'Enter') addTags(tagInput); }} onBlur={() => addTags(tagInput)} placeholder="新增標籤" className="px-2 py-0.5 border rounded text-xs w-24" />
+      </div>
+      {suggestions.length > 0 && (
+        <div className="flex flex-wrap gap-1 mb-2">
+          {suggestions.map(tag => <button key={tag} onClick={() => addTags(tag)} className="px-2 py-0.5 border border-amber-300 text-amber-700 rounded-full text-xs">+ {tag}</button>)}
+        </div>
+      )}
+      <textarea value={note} onChange={(e) => setNote(e.target.value)} onBlur={() => { if (note.trim() !== annotation.note) update({ note: note.trim() }); }} maxLength={1000} rows={2} placeholder="備註 (例如：機台多、老闆親切、早關門)" className="w-full p-2 border rounded text-xs" />
+    </div>
+  );
+};
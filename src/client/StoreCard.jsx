@@ -0,0 +1,69 @@
+import React from 'react';
+import { getOpenStatus, isAlwaysOpen, WEEKDAYS, WEEKDAY_LABELS, PAYMENT_METHOD_LABELS } from '../shared/storeDetails.js';
+import { getVisitStatus, formatVisitAge, VISIT_STATUS_COLORS } from './visits.js';
+
+const OPENS_IN_DAY_LABELS = ['', '明天', '後天'];
+
+// 營業狀態文字與顏色；沒有營業時間資料時回傳 null
+export const describeOpenStatus = (status) => {
+  if (!status) return null;
+  if (status.isOpen) return { text: status.closesAt ? `營業中 · 至 ${status.closesAt}` : '營業中 · 24 小時', className: 'text-green-700' };
+  if (!status.opensAt) return { text: '休息中', className: 'text-gray-500' };
+  const day = OPENS_IN_DAY_LABELS[status.opensInDays] ?? `${status.opensInDays} 天後`;
+  return { text: `休息中 · ${day}${status.opensAt} 開門`, className: 'text-red-600' };
+};
+
+export const googleMapsDirectionsUrl = (store) => `https://www.google.com/maps/dir/?api=1&destination=${store.lat},${store.lng}`;
+
+const Chip = ({ className, children }) => <span className={`inline-block m-0.5 px-2 py-0.5 rounded-full text-[11px] ${className}`}>{children}</span>;
+
+const WeeklyHours = ({ hours }) => {
+  if (isAlwaysOpen(hours)) return null;
+  // 從週一開始列出
+  const days = [...WEEKDAYS.slice(1), WEEKDAYS[0]];
+  return (
+    <details className="mt-1 text-[11px] text-gray-600">
+      <summary className="cursor-pointer">每週營業時間</summary>
+      <table className="mt-1 mx-auto">
+        <tbody>
+          {days.map(day => <tr key={day}><td className="pr-2 text-right">週{WEEKDAY_LABELS[day]}</td><td className="text-left">{hours[day]?.join('、') || '公休'}</td></tr>)}
+        </tbody>
+      </table>
+    </details>
+  );
+};
+
+// --- 店家卡片 (地圖彈出視窗) ---
+export const StoreCard = ({ store, lastVisitedAt, annotation, now, onCheckIn, onReport }) => {
+  const openStatus = describeOpenStatus(getOpenStatus(store.hours, now));
+  const hasDetails = store.machineCount !== undefined || store.prizeCategories?.length > 0 || store.paymentMethods?.length > 0;
+
+  return (
+    <div className="text-center text-sm min-w-[200px]">
+      <strong className="text-gray-800 text-lg">{annotation?.favourite ? '★ ' : ''}{store.name}</strong>
+      <div className="text-xs text-gray-500">{store.city} {store.area}</div>
+      {store.address && <div className="text-xs text-gray-500">{store.address}</div>}
+      <div className={`text-xs font-medium mt-1 ${openStatus ? openStatus.className : 'text-gray-400'}`}>{openStatus ? openStatus.text : '營業時間未提供'}</div>
+      {store.hours && <WeeklyHours hours={store.hours} />}
+      {hasDetails && (
+        <div className="mt-1 text-xs">
+          {store.machineCount !== undefined && <div className="text-gray-700">🎰 {store.machineCount} 台機台</div>}
+          {store.prizeCategories?.length > 0 && <div>{store.prizeCategories.map(c => <Chip key={c} className="bg-pink-100 text-pink-800">{c}</Chip>)}</div>}
+          {store.paymentMethods?.length > 0 && <div>{store.paymentMethods.map(m => <Chip key={m} className="bg-sky-100 text-sky-800">{PAYMENT_METHOD_LABELS[m] || m}</Chip>)}</div>}
+        </div>
+      )}
+      <div className="text-xs mt-1" style={{ color: VISIT_STATUS_COLORS[getVisitStatus(lastVisitedAt)] }}>上次巡視: {formatVisitAge(lastVisitedAt)}</div>
+      {annotation && (annotation.tags.length > 0 || annotation.note) && (
+        <div className="text-xs mt-1">
+          {annotation.tags.map(t => <Chip key={t} className="bg-amber-200 text-amber-900">{t}</Chip>)}
+          {annotation.note && <div className="text-gray-600">{annotation.note}</div>}
+        </div>
+      )}
+      <div className="mt-2 flex justify-center gap-1">
+        <a href={googleMapsDirectionsUrl(store)} target="_blank" rel="noreferrer" className="px-2 py-1 bg-blue-500 hover:bg-blue-600 !text-white text-xs rounded">導航</a>
+        <button onClick={() => onCheckIn(store)} className="px-2 py-1 bg-green-600 hover:bg-green-700 text-white text-xs rounded">打卡</button>
+        <button onClick={() => onReport(store)} className="px-2 py-1 bg-rose-600 hover:bg-rose-700 text-white text-xs rounded">回報</button>
+      </div>
+    </div>
+  );
+};
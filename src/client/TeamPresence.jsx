@@ -0,0 +1,56 @@
+import React, { useState, useEffect } from 'react';
+import { formatDistance } from './routePlanner.js';
+import { fetchNearestTeammates, isPresenceReady } from './presence.js';
+import { getUserId } from './annotations.js';
+
+// --- 團隊位置分享設定 (名稱與隊伍代碼在離開欄位時才套用，避免每個字都重新連線) ---
+export const PresenceSettings = ({ settings, onChange, teammateCount }) => (
+  <details className="w-full md:w-auto text-sm">
+    <summary className="p-2 border border-teal-300 bg-teal-50 rounded text-teal-800 cursor-pointer">團隊{isPresenceReady(settings) ? ` (${teammateCount} 人在線)` : ''}</summary>
+    <div className="mt-1 p-2 border rounded bg-white flex flex-col gap-2 text-gray-700 md:w-64">
+      <input defaultValue={settings.name} onBlur={(e) => onChange({ name: e.target.value.trim() })} maxLength={30} placeholder="顯示名稱" className="p-1.5 border rounded text-sm" />
+      <input defaultValue={settings.team} onBlur={(e) => onChange({ team: e.target.value.trim() })} maxLength={40} placeholder="隊伍代碼 (隊友輸入相同代碼)" className="p-1.5 border rounded text-sm" />
+      <label className="flex items-center gap-2"><input type="checkbox" checked={settings.enabled} onChange={(e) => onChange({ enabled: e.target.checked })} />實時追蹤時分享我的位置與方向</label>
+      {settings.enabled && !isPresenceReady(settings) && <div className="text-xs text-amber-700">請填寫顯示名稱與隊伍代碼</div>}
+    </div>
+  </details>
+);
+
+// --- 離選取店家最近的隊員 ---
+export const NearestTeammates = ({ apiBase, store, team }) => {
+  const [members, setMembers] = useState(null);
+  const [status, setStatus] = useState('');
+
+  useEffect(() => { setMembers(null); setStatus(''); }, [store.id]);
+
+  const handleLookup = async () => {
+    setStatus('查詢中…');
+    try {
+      setMembers(await fetchNearestTeammates(apiBase, team, store.id));
+      setStatus('');
+    } catch (err) {
+      console.error(err);
+      setStatus('查詢失敗');
+    }
+  };
+
+  const userId = getUserId();
+  return (
+    <div className="flex-shrink-0 px-4 py-3 border-b bg-teal-50 text-sm">
+      <div className="flex items-center gap-2">
+        <button onClick={handleLookup} className="px-3 py-1 bg-teal-600 hover:bg-teal-700 text-white text-xs rounded">誰離這家店最近？</button>
+        {status && <span className="text-xs text-gray-500">{status}</span>}
+      </div>
+      {members && (members.length === 0 ? <div className="mt-2 text-xs text-gray-500">目前沒有隊員分享位置</div> : (
+        <ol className="mt-2 space-y-1">
+          {members.map((m, i) => (
+            <li key={m.id} className={`flex justify-between text-xs ${i === 0 ? 'font-bold text-teal-800' : 'text-gray-700'}`}>
+              <span>{i + 1}. {m.name}{m.id === userId ? ' (你)' : ''}</span>
+              <span>{formatDistance(m.distance)}</span>
+            </li>
+          ))}
+        </ol>
+      ))}
+    </div>
+  );
+};
@@ -0,0 +1,37 @@
+import React from 'react';
+import { formatDistance } from './routePlanner.js';
+import { formatDuration } from './tracks.js';
+
+// --- 巡店軌跡列表 ---
+export const TrackPanel = ({ tracks, isRecording, recordingPointCount, replay, onReplay, onStopReplay, onExport, onUpload, onDelete }) => (
+  <div className="flex-shrink-0 p-4 border-b bg-white">
+    <div className="flex justify-between items-center mb-2">
+      <span className="font-bold text-gray-700 text-sm">巡店軌跡 ({tracks.length})</span>
+      {isRecording && <span className="text-xs text-red-600 font-medium">● 記錄中 · {recordingPointCount} 點</span>}
+    </div>
+    {tracks.length === 0 ? <div className="text-xs text-gray-500">開始實時追蹤後會自動記錄軌跡</div> : (
+      <ul className="space-y-2 max-h-60 overflow-y-auto">
+        {tracks.map(track => {
+          const isReplaying = replay?.track.id === track.id;
+          return (
+            <li key={track.id} className={`p-2 rounded border text-sm ${isReplaying ? 'border-indigo-400 bg-indigo-50' : 'border-gray-200'}`}>
+              <div className="flex justify-between">
+                <span className="font-medium text-gray-800">{new Date(track.startedAt).toLocaleString('zh-TW', { dateStyle: 'short', timeStyle: 'short' })}</span>
+                {track.uploadedAt && <span className="text-[10px] text-gray-400">已上傳</span>}
+              </div>
+              <div className="text-xs text-gray-500">{formatDuration(track.durationMs)} · {formatDistance(track.distanceKm)} · 經過 {track.passedStores.length} 家店</div>
+              <div className="mt-1 flex gap-2">
+                {isReplaying
+                  ? <button onClick={onStopReplay} className="px-2 py-0.5 bg-indigo-600 text-white text-xs rounded">停止回放 ({Math.round(replay.index / Math.max(replay.track.points.length - 1, 1) * 100)}%)</button>
+                  : <button onClick={() => onReplay(track.id)} className="px-2 py-0.5 bg-indigo-100 hover:bg-indigo-200 text-indigo-700 text-xs rounded">回放</button>}
+                <button onClick={() => onExport(track.id)} className="px-2 py-0.5 bg-gray-100 hover:bg-gray-200 text-gray-700 text-xs rounded">GPX</button>
+                {!track.uploadedAt && <button onClick={() => onUpload(track.id)} className="px-2 py-0.5 bg-gray-100 hover:bg-gray-200 text-gray-700 text-xs rounded">上傳</button>}
+                <button onClick={() => onDelete(track.id)} className="px-2 py-0.5 text-red-600 hover:bg-red-50 text-xs rounded">刪除</button>
+              </div>
+            </li>
+          );
+        })}
+      </ul>
+    )}
+  </div>
+);
@@ -0,0 +1,107 @@
+import React, { useState, useEffect } from 'react';
+import { apiErrorMessage } from './config.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// 快速選項：N 天前當下的版本
+const RELATIVE_OPTIONS = [7, 30, 90];
+
+export const DIFF_COLORS = { added: '#16A34A', removed: '#DC2626', moved: '#F97316' };
+
+const DIFF_LABELS = { added: '新增', removed: '消失', moved: '搬遷' };
+
+const ACTION_LABELS = { startup: '啟動', reload: '資料檔更新', create: '新增', update: '修改', delete: '刪除', import: '匯入', rollback: '回復' };
+
+export const formatVersion = (v) =>
+  `${new Date(v.createdAt).toLocaleString('zh-TW')} · ${ACTION_LABELS[v.action] || (v.action?.startsWith('report:') ? '回報' : v.action)}${v.user ? ` (${v.user})` : ''} · ${v.storeCount ?? '?'} 家`;
+
+// 把差異攤平成 { city, area, added, removed, moved } 列表
+export const flattenDiffAreas = (diff) =>
+  diff ? Object.entries(diff.cities).flatMap(([city, areas]) => Object.entries(areas).map(([area, changes]) => ({ city, area, ...changes }))) : [];
+
+// --- 資料版本比較：列出兩個版本間新增、消失與搬遷的店家，並在地圖上標示 ---
+export const VersionDiffPanel = ({ apiBase, city, area, diff, onDiffChange, onLocate, onClose }) => {
+  const [versions, setVersions] = useState(null);
+  const [from, setFrom] = useState('ago:30');
+  const [to, setTo] = useState('');
+  const [status, setStatus] = useState('');
+
+  useEffect(() => {
+    fetch(`${apiBase}/stores/versions`)
+      .then(res => { if (!res.ok) throw new Error('API Error'); return res.json(); })
+      .then(setVersions)
+      .catch(() => setStatus('無法載入版本列表'));
+  }, [apiBase]);
+
+  const resolveRef = (value) => value.startsWith('ago:') ? new Date(Date.now() - Number(value.slice(4)) * DAY_MS).toISOString() : value;
+
+  const handleCompare = async () => {
+    setStatus('');
+    const params = new URLSearchParams({ from: resolveRef(from) });
+    if (to) params.set('to', to);
+    if (city) params.set('city', city);
+    if (area) params.set('area', area);
+    try {
+      const res = await fetch(`${apiBase}/stores/diff?${params}`);
+      const data = await res.json().catch(() => ({}));
+      if (res.status === 404) throw new Error('該時間沒有資料版本');
+      if (!res.ok) throw new Error(apiErrorMessage(data));
+      onDiffChange(data);
+    } catch (err) {
+      setStatus(err.message);
+    }
+  };
+
+  const areas = flattenDiffAreas(diff);
+
+  return (
+    <div className="absolute top-14 left-4 right-4 z-[1000] bg-white rounded-lg shadow-xl border border-gray-200 max-h-[60%] flex flex-col md:right-auto md:w-[32rem]">
+      <div className="flex justify-between items-center p-3 border-b">
+        <span className="font-bold text-gray-800 text-sm">資料版本比較{city ? ` · ${[city, area].filter(Boolean).join(' ')}` : ' · 全部縣市'}</span>
+        <button onClick={onClose} className="px-1 text-gray-400 hover:text-gray-600" title="關閉">✕</button>
+      </div>
+      <div className="p-3 border-b space-y-2 text-xs">
+        <div className="flex items-center gap-2">
+          <span className="w-6 text-gray-600">從</span>
+          <select value={from} onChange={(e) => setFrom(e.target.value)} className="p-1 border rounded flex-1 min-w-0">
+            {RELATIVE_OPTIONS.map(days => <option key={days} value={`ago:${days}`}>{days} 天前</option>)}
+            {versions?.map(v => <option key={v.id} value={v.id}>{formatVersion(v)}</option>)}
+          </select>
+        </div>
+        <div className="flex items-center gap-2">
+          <span className="w-6 text-gray-600">到</span>
+          <select value={to} onChange={(e) => setTo(e.target.value)} className="p-1 border rounded flex-1 min-w-0">
+            <option value="">目前版本</option>
+            {versions?.map(v => <option key={v.id} value={v.id}>{formatVersion(v)}</option>)}
+          </select>
+        </div>
+        <div className="flex items-center gap-2">
+          <button onClick={handleCompare} disabled={!versions || versions.length === 0} className="px-3 py-1 bg-blue-600 hover:bg-blue-700 disabled:bg-gray-300 text-white rounded">比較</button>
+          {diff && <button onClick={() => onDiffChange(null)} className="px-3 py-1 bg-white border border-gray-300 text-gray-700 rounded">清除標示</button>}
+          {versions?.length === 0 && <span className="text-gray-500">尚無歷史版本</span>}
+          {status && <span className="text-red-600">{status}</span>}
+        </div>
+      </div>
+      {diff && (
+        <div className="overflow-y-auto text-xs">
+          <div className="p-3 flex gap-3 border-b">
+            {Object.keys(DIFF_LABELS).map(key => <span key={key} style={{ color: DIFF_COLORS[key] }} className="font-bold">{DIFF_LABELS[key]} {diff.totals[key]}</span>)}
+          </div>
+          {areas.length === 0 ? <div className="p-4 text-center text-gray-500">兩個版本間沒有變動</div> : areas.map(a => (
+            <details key={`${a.city}-${a.area}`} className="border-b px-3 py-2">
+              <summary className="cursor-pointer">{a.city} {a.area} · {Object.keys(DIFF_LABELS).filter(key => a[key].length > 0).map(key => `${DIFF_LABELS[key]} ${a[key].length}`).join('、')}</summary>
+              <ul className="mt-1 space-y-0.5">
+                {Object.keys(DIFF_LABELS).flatMap(key => a[key].map(s => (
+                  <li key={`${key}-${s.id}`} onClick={() => onLocate(s.lat, s.lng)} className="cursor-pointer hover:bg-gray-50">
+                    <span style={{ color: DIFF_COLORS[key] }}>{DIFF_LABELS[key]}</span> {s.name}
+                    {key === 'moved' && <span className="text-gray-500"> · {(s.distance * 1000).toFixed(0)} 公尺{s.from.area !== s.area || s.from.city !== s.city ? `（原 ${s.from.city} ${s.from.area}）` : ''}</span>}
+                  </li>
+                )))}
+              </ul>
+            </details>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
@@ -0,0 +1,106 @@
+// 個人收藏、標籤與備註：先寫入本機，再同步到伺服器；離線或失敗時留待下次同步
+
+const USER_ID_STORAGE_KEY = 'patrol-user-id';
+const ANNOTATIONS_STORAGE_KEY = 'patrol-annotations';
+
+export const EMPTY_ANNOTATION = { favourite: false, tags: [], note: '' };
+
+// 匿名使用者 id，首次使用時產生
+export const getUserId = () => {
+  let userId = localStorage.getItem(USER_ID_STORAGE_KEY);
+  if (!userId) {
+    const bytes = crypto.getRandomValues(new Uint8Array(12));
+    userId = `usr_${Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('')}`;
+    localStorage.setItem(USER_ID_STORAGE_KEY, userId);
+  }
+  return userId;
+};
+
+// { annotations: { storeId: annotation }, pending: [storeId] }
+const loadLocal = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(ANNOTATIONS_STORAGE_KEY) || '{}');
+    return { annotations: saved.annotations || {}, pending: saved.pending || [] };
+  } catch (err) {
+    return { annotations: {}, pending: [] };
+  }
+};
+
+const saveLocal = (state) => {
+  localStorage.setItem(ANNOTATIONS_STORAGE_KEY, JSON.stringify(state));
+};
+
+export const loadLocalAnnotations = () => loadLocal().annotations;
+
+const isEmpty = (a) => !a.favourite && a.tags.length === 0 && !a.note;
+
+const putAnnotation = async (apiBase, storeId, annotation) => {
+  const res = await fetch(`${apiBase}/me/annotations/${encodeURIComponent(storeId)}`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json', 'X-User-Id': getUserId() },
+    body: JSON.stringify(annotation),
+  });
+  // 店家已被刪除的註記不再重送
+  if (!res.ok && res.status !== 404) throw new Error('API Error');
+};
+
+// 送出待同步的變更後取回伺服器資料；伺服器無法連線時回傳本機資料
+export const syncAnnotations = async (apiBase) => {
+  const local = loadLocal();
+  const stillPending = [];
+  for (const storeId of local.pending) {
+    try {
+      await putAnnotation(apiBase, storeId, local.annotations[storeId] || EMPTY_ANNOTATION);
+    } catch (err) {
+      stillPending.push(storeId);
+    }
+  }
+  try {
+    const res = await fetch(`${apiBase}/me/annotations`, { headers: { 'X-User-Id': getUserId() } });
+    if (!res.ok) throw new Error('API Error');
+    const annotations = await res.json();
+    stillPending.forEach(storeId => {
+      if (local.annotations[storeId]) annotations[storeId] = local.annotations[storeId];
+      else delete annotations[storeId];
+    });
+    saveLocal({ annotations, pending: stillPending });
+    return annotations;
+  } catch (err) {
+    console.warn('Annotation sync failed, using local copy:', err);
+    saveLocal({ annotations: local.annotations, pending: stillPending });
+    return local.annotations;
+  }
+};
+
+// 回傳套用單一店家註記後的新註記表
+export const applyAnnotation = (annotations, storeId, annotation) => {
+  const next = { ...annotations };
+  if (isEmpty(annotation)) delete next[storeId];
+  else next[storeId] = { ...annotation, updatedAt: new Date().toISOString() };
+  return next;
+};
+
+// 先寫入本機並標記為待同步，上傳成功後才移除標記
+export const saveAnnotation = async (apiBase, storeId, annotation) => {
+  const local = loadLocal();
+  const annotations = applyAnnotation(local.annotations, storeId, annotation);
+  saveLocal({ annotations, pending: [...local.pending.filter(id => id !== storeId), storeId] });
+  try {
+    await putAnnotation(apiBase, storeId, annotation);
+    const latest = loadLocal();
+    saveLocal({ ...latest, pending: latest.pending.filter(id => id !== storeId) });
+  } catch (err) {
+    console.warn('Annotation upload failed, will retry on next sync:', err);
+  }
+};
+
+// 所有用過的標籤，依使用次數排序
+export const collectTags = (annotations) => {
+  const counts = new Map();
+  Object.values(annotations).forEach(a => a.tags.forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1)));
+  return [...counts.entries()].sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0], 'zh-TW')).map(([tag]) => tag);
+};
+
+// 標籤輸入：以逗號、頓號或空白分隔
+export const parseTagInput = (text) =>
+  [...new Set(text.split(/[,，、\s]+/).map(t => t.trim()).filter(Boolean))];
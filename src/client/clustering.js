@@ -0,0 +1,39 @@
+// 網格式標記聚合：將投影到螢幕像素後落在同一格的店家合併成一個聚合點
+
+// 每個聚合網格的像素大小
+export const CLUSTER_CELL_SIZE = 60;
+// 達到此縮放層級後不再聚合，直接顯示每家店
+export const CLUSTER_MAX_ZOOM = 17;
+
+// project: (lat, lng) => { x, y } 的像素投影函式
+export const clusterStores = (stores, project, cellSize = CLUSTER_CELL_SIZE) => {
+  const cells = new Map();
+  for (const store of stores) {
+    const { x, y } = project(store.lat, store.lng);
+    const key = `${Math.floor(x / cellSize)}:${Math.floor(y / cellSize)}`;
+    let cell = cells.get(key);
+    if (!cell) {
+      cell = { key, latSum: 0, lngSum: 0, stores: [] };
+      cells.set(key, cell);
+    }
+    cell.latSum += store.lat;
+    cell.lngSum += store.lng;
+    cell.stores.push(store);
+  }
+  return [...cells.values()].map(({ key, latSum, lngSum, stores: members }) => ({
+    key,
+    lat: latSum / members.length,
+    lng: lngSum / members.length,
+    stores: members,
+  }));
+};
+
+// 聚合點的外框範圍，點擊時縮放到此範圍
+export const clusterBounds = (cluster) => {
+  let minLat = Infinity, minLng = Infinity, maxLat = -Infinity, maxLng = -Infinity;
+  for (const s of cluster.stores) {
+    minLat = Math.min(minLat, s.lat); maxLat = Math.max(maxLat, s.lat);
+    minLng = Math.min(minLng, s.lng); maxLng = Math.max(maxLng, s.lng);
+  }
+  return [[minLat, minLng], [maxLat, maxLng]];
+};
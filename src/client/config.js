@@ -0,0 +1,48 @@
+// API 位址與執行期設定
+
+// 預設與前端同源 (開發時由 Vite proxy 轉送到本機伺服器)；前後端分開部署時以 VITE_API_BASE 指定，例如 https://example.com/api
+export const API_BASE = (import.meta.env.VITE_API_BASE || '/api').replace(/\/+$/, '');
+
+// 伺服器錯誤回應 { error: { code, message, details? } } 的說明文字，有欄位錯誤時列出細節
+export const apiErrorMessage = (data, fallback = 'API Error') => data?.error?.details?.join('、') || data?.error?.message || fallback;
+
+const CONFIG_STORAGE_KEY = 'patrol-runtime-config';
+
+// 伺服器未回應 /api/config 時的預設值 (與伺服器的 osm 設定相同)
+// 管理功能預設關閉，只有伺服器回報已設定 ADMIN_TOKENS 時才顯示
+export const DEFAULT_RUNTIME_CONFIG = {
+  tiles: {
+    provider: 'osm',
+    url: 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png',
+    subdomains: 'abc',
+    maxZoom: 19,
+    attribution: '© OpenStreetMap contributors',
+  },
+  adminEnabled: false,
+};
+
+// 相對路徑的圖磚網址 (自架圖磚) 以 API 伺服器為基準
+const resolveTileUrl = (url) => {
+  if (!url.startsWith('/')) return url;
+  return `${new URL(API_BASE, window.location.href).origin}${url}`;
+};
+
+const withResolvedTiles = (config) => ({ ...config, tiles: { ...config.tiles, url: resolveTileUrl(config.tiles.url) } });
+
+// 上次取得的設定，離線時沿用
+export const loadCachedConfig = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(CONFIG_STORAGE_KEY) || 'null');
+    return withResolvedTiles(saved ? { ...DEFAULT_RUNTIME_CONFIG, ...saved } : DEFAULT_RUNTIME_CONFIG);
+  } catch (err) {
+    return withResolvedTiles(DEFAULT_RUNTIME_CONFIG);
+  }
+};
+
+export const fetchRuntimeConfig = async () => {
+  const res = await fetch(`${API_BASE}/config`);
+  if (!res.ok) throw new Error('API Error');
+  const config = { ...DEFAULT_RUNTIME_CONFIG, ...(await res.json()) };
+  localStorage.setItem(CONFIG_STORAGE_KEY, JSON.stringify(config));
+  return withResolvedTiles(config);
+};
@@ -0,0 +1,70 @@
+// 行進方向：融合 GPS 行進方向 (移動中) 與電子羅盤 (靜止時)，平滑後才更新畫面
+
+// 速度達此值 (公尺/秒，約 5 公里/時) 時 GPS 行進方向才可靠
+export const MIN_COURSE_SPEED_MPS = 1.4;
+// 最後一次可靠的 GPS 行進方向後，這段時間內忽略羅盤 (羅盤容易受車體、手持角度干擾)
+export const COURSE_HOLD_MS = 5000;
+
+// 指數平滑係數：羅盤事件頻繁 (每秒數十次) 且抖動大，GPS 約每秒一次
+const COMPASS_SMOOTHING = 0.15;
+const COURSE_SMOOTHING = 0.5;
+// 平滑後變動小於此角度時不更新，避免每次感測器事件都重繪
+const MIN_HEADING_CHANGE = 2;
+
+export const normalizeHeading = (degrees) => ((degrees % 360) + 360) % 360;
+
+// from 轉到 to 的最短角度 (-180, 180]，跨越 0/360 時不會繞遠路
+export const headingDelta = (from, to) => {
+  const delta = normalizeHeading(to - from);
+  return delta > 180 ? delta - 360 : delta;
+};
+
+// 畫面相對裝置的旋轉角度 (橫向時為 90 或 270)
+const screenOrientationAngle = () => {
+  const angle = window.screen?.orientation?.angle ?? window.orientation ?? 0;
+  return Number(angle) || 0;
+};
+
+// 支援時改聽絕對方向事件 (Android Chrome 的 deviceorientation 是相對方向)
+export const ORIENTATION_EVENT = typeof window !== 'undefined' && 'ondeviceorientationabsolute' in window ? 'deviceorientationabsolute' : 'deviceorientation';
+
+// 方向感測器事件轉為畫面上方朝向的方位角；沒有絕對方向 (無法對應北方) 時回傳 null
+export const compassHeadingFromEvent = (event) => {
+  let heading = null;
+  if (Number.isFinite(event.webkitCompassHeading)) heading = event.webkitCompassHeading;
+  else if ((event.absolute || event.type === 'deviceorientationabsolute') && Number.isFinite(event.alpha)) heading = 360 - event.alpha;
+  if (heading === null) return null;
+  return normalizeHeading(heading + screenOrientationAngle());
+};
+
+// 方向濾波器：addCompass / addCourse 回傳新的平滑方向，變動不足時回傳 null
+export const createHeadingFilter = () => {
+  let heading = null;
+  let emitted = null;
+  let courseAt = -Infinity;
+
+  const blend = (value, factor) => {
+    heading = heading === null ? value : normalizeHeading(heading + headingDelta(heading, value) * factor);
+    if (emitted !== null && Math.abs(headingDelta(emitted, heading)) < MIN_HEADING_CHANGE) return null;
+    emitted = heading;
+    return heading;
+  };
+
+  return {
+    addCompass(value, at = Date.now()) {
+      if (!Number.isFinite(value) || at - courseAt < COURSE_HOLD_MS) return null;
+      return blend(normalizeHeading(value), COMPASS_SMOOTHING);
+    },
+    // 靜止時 GPS heading 為 NaN；裝置未提供速度時只要有方向就採用
+    addCourse(value, speed, at = Date.now()) {
+      if (!Number.isFinite(value) || (Number.isFinite(speed) && speed < MIN_COURSE_SPEED_MPS)) return null;
+      courseAt = at;
+      return blend(normalizeHeading(value), COURSE_SMOOTHING);
+    },
+    reset() {
+      heading = null;
+      emitted = null;
+      courseAt = -Infinity;
+    },
+  };
+};
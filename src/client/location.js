@@ -0,0 +1,39 @@
+// 定位錯誤分類、重試間隔與手動位置的地址搜尋
+
+export const LOCATION_ERROR_MESSAGES = {
+  denied: '定位權限被拒絕。請在瀏覽器或系統設定中允許此網站存取位置，或手動設定位置。',
+  timeout: '定位逾時，可能是室內或訊號不佳。',
+  unavailable: '目前無法取得位置 (GPS 或網路定位不可用)。',
+  unsupported: '此瀏覽器不支援定位，請手動設定位置。',
+};
+
+// 權限被拒與不支援時重試沒有意義，需使用者處理
+export const isRetryableLocationError = (code) => code === 'timeout' || code === 'unavailable';
+
+export const classifyLocationError = (err) => {
+  if (err.code === err.PERMISSION_DENIED || err.code === 1) return 'denied';
+  if (err.code === err.TIMEOUT || err.code === 3) return 'timeout';
+  return 'unavailable';
+};
+
+export const MAX_LOCATION_RETRIES = 6;
+const RETRY_BASE_MS = 2000;
+const RETRY_MAX_MS = 60000;
+
+// 指數退避：2、4、8… 秒，上限 60 秒
+export const locationRetryDelay = (attempt) => Math.min(RETRY_BASE_MS * 2 ** attempt, RETRY_MAX_MS);
+
+// 長按地圖設定位置的按壓時間與容許移動距離
+export const LONG_PRESS_MS = 600;
+export const LONG_PRESS_TOLERANCE_PX = 10;
+
+const GEOCODER_URL = 'https://nominatim.openstreetmap.org/search';
+
+// 以 OpenStreetMap Nominatim 查詢台灣境內的地址，回傳 [{ label, lat, lng }]
+export const geocodeAddress = async (query, signal) => {
+  const params = new URLSearchParams({ q: query, format: 'jsonv2', countrycodes: 'tw', limit: '5', 'accept-language': 'zh-TW' });
+  const res = await fetch(`${GEOCODER_URL}?${params}`, { signal });
+  if (!res.ok) throw new Error('Geocoder Error');
+  const results = await res.json();
+  return results.map(r => ({ label: r.display_name, lat: Number(r.lat), lng: Number(r.lon) }));
+};
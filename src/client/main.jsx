@@ -1,8 +1,48 @@
 import React, { useState, useEffect, useRef, useMemo, useCallback } from 'react';
 import { createRoot } from 'react-dom/client';
+import { createPortal } from 'react-dom';
+import { getDistance } from '../shared/geo.js';
+import { flattenStoreData, applyStoreDelta } from '../shared/stores.js';
+import { clusterStores, clusterBounds, CLUSTER_MAX_ZOOM } from './clustering.js';
+import { getVisitStatus, formatVisitAge, VISIT_STATUS_COLORS, VISIT_STATUS_BADGE_CLASSES, VISIT_RECENT_DAYS } from './visits.js';
+import { planRoute, formatDistance, ARRIVAL_RADIUS_KM } from './routePlanner.js';
+import { AdminPanel, EMPTY_STORE_DRAFT } from './AdminPanel.jsx';
+import { parseUrlState, buildUrl, hasDeepLink } from './urlState.js';
+import { StatsDashboard, flattenStatsAreas, statsColor } from './StatsDashboard.jsx';
+import { loadAlertSettings, saveAlertSettings, vibrate, playAlertSound, requestNotificationPermission, showSystemNotification } from './proximityAlerts.js';
+import { registerServiceWorker, loadCachedStores, formatDataAge, listTileUrls, prefetchTiles, MAX_PREFETCH_TILES } from './offline.js';
+import { createTrack, toTrackPoint, summarizeTrack, saveTrack, getTrack, listTracks, deleteTrack, downloadGpx, MAX_TRACK_ACCURACY_M } from './tracks.js';
+import { TrackPanel } from './TrackPanel.jsx';
+import { getUserId, loadLocalAnnotations, syncAnnotations, saveAnnotation, applyAnnotation, collectTags, EMPTY_ANNOTATION } from './annotations.js';
+import { StoreAnnotationEditor } from './StoreAnnotationEditor.jsx';
+import { classifyLocationError, isRetryableLocationError, locationRetryDelay, MAX_LOCATION_RETRIES, LONG_PRESS_MS, LONG_PRESS_TOLERANCE_PX } from './location.js';
+import { LocationBanner, AddressSearch } from './LocationBanner.jsx';
+import { API_BASE, loadCachedConfig, fetchRuntimeConfig } from './config.js';
+import { loadPresenceSettings, savePresenceSettings, isPresenceReady, publishPresence, leavePresence, subscribePresence, PRESENCE_PUBLISH_INTERVAL_MS, PRESENCE_HEARTBEAT_MS } from './presence.js';
+import { PresenceSettings, NearestTeammates } from './TeamPresence.jsx';
+import { createReportDraft, DUPLICATE_SEARCH_RADIUS_KM } from './reports.js';
+import { ReportForm } from './ReportForm.jsx';
+import { StoreCard, describeOpenStatus, googleMapsDirectionsUrl } from './StoreCard.jsx';
+import { getOpenStatus } from '../shared/storeDetails.js';
+import { VersionDiffPanel, flattenDiffAreas, DIFF_COLORS } from './VersionDiffPanel.jsx';
+import { createHeadingFilter, compassHeadingFromEvent, headingDelta, ORIENTATION_EVENT } from './heading.js';
 
-// API 位址
-const API_URL = 'https://patrol-master.onrender.com/api/stores';
+const API_URL = `${API_BASE}/stores`;
+
+// 搜尋設定
+const SEARCH_DEBOUNCE_MS = 250;
+const SEARCH_LIMIT = 20;
+
+// 附近店家查詢上限 (與伺服器上限一致)
+const NEARBY_LIMIT = 1000;
+// GPS 每次更新都重新查詢太頻繁：移動超過此距離 (公里) 才以新位置查詢附近店家，查詢半徑也多加此距離
+const NEARBY_REFETCH_KM = 0.05;
+
+// 軌跡記錄：每累積多少點存一次本機，避免頁面關閉時遺失
+const TRACK_CHECKPOINT_POINTS = 30;
+// 軌跡回放：整段軌跡約以 REPLAY_DURATION_MS 播完
+const REPLAY_DURATION_MS = 20000;
+const REPLAY_FRAME_MS = 50;
 
 // 預設位置
 const DEFAULT_STATIC_LAT = 25.0330; 
@@ -14,47 +54,133 @@ const DEFAULT_AREA = '信義區';
 const MAX_ZOOM = 18;
 const DEFAULT_STATIC_ZOOM = 17;
 
-// Haversine 公式
-const getDistance = (lat1, lon1, lat2, lon2) => {
-  const R = 6371; 
-  const dLat = (lat2 - lat1) * (Math.PI / 180);
-  const dLon = (lon2 - lon1) * (Math.PI / 180);
-  const a = Math.sin(dLat/2) * Math.sin(dLat/2) + Math.cos(lat1*(Math.PI/180)) * Math.cos(lat2*(Math.PI/180)) * Math.sin(dLon/2) * Math.sin(dLon/2);
-  return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+// 導航模式：地圖依行進方向旋轉，使用者位置固定在畫面中心下方 (畫面高度的比例)
+const NAV_USER_OFFSET_RATIO = 0.3;
+
+// 視窗外保留的緩衝比例，避免平移時邊緣標記閃爍
+const VIEWPORT_PADDING = 0.2;
+
+// --- 標記圖示 ---
+const ADMIN_PIN_COLOR = '#7C3AED';
+const REPORT_PIN_COLOR = '#E11D48';
+const FAVOURITE_COLOR = '#F59E0B';
+
+// 導航模式旋轉地圖時，.map-upright 內的內容以標記錨點為軸反向旋轉，保持正立
+const uprightHtml = (html, [anchorX, anchorY]) => `<div class="map-upright" style="transform-origin: ${anchorX}px ${anchorY}px;">${html}</div>`;
+
+// colorOverride: 不依選取/打卡狀態上色時使用 (例如管理模式的座標標記)
+// 收藏的店家：名稱前加 ★，圖釘外框改為金色
+const createStoreIcon = (store, isSelected, visitStatus, colorOverride = null, isFavourite = false) => {
+    const color = colorOverride || (isSelected ? '#FFAA00' : VISIT_STATUS_COLORS[visitStatus]);
+    const text = isSelected ? '' : `${isFavourite ? '★ ' : ''}${store.name}`;
+    const size = 30;
+    const textHtml = text ? `<div style="position: absolute; top: -${size * 0.9}px; left: 50%; transform: translateX(-50%); padding: 4px 8px; background: ${color}; color: white;${isFavourite ? ` border: 2px solid ${FAVOURITE_COLOR};` : ''} font-size: 14px; font-weight: 700; border-radius: 9999px; white-space: nowrap; box-shadow: 0 2px 6px rgba(0,0,0,0.5); line-height: 1; z-index: 10;">${text}</div>` : '';
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="${color}" stroke="${isFavourite ? FAVOURITE_COLOR : 'white'}" stroke-width="${isFavourite ? 3 : 2}" stroke-linecap="round" stroke-linejoin="round"><path d="M21 10c0 7-9 13-9 13s-9-6-9-13a9 9 0 0 1 18 0z"></path><circle cx="12" cy="10" r="3"></circle></svg>`;
+    const htmlContent = textHtml + svg; 
+    const markerSize = isSelected ? 45 : size;
+    const anchor = [markerSize / 2, markerSize];
+    return window.L.divIcon({ className: 'custom-store-icon', html: uprightHtml(htmlContent, anchor), iconSize: [markerSize, markerSize], iconAnchor: anchor, popupAnchor: [0, -markerSize] });
 };
 
-// 資料處理
-const flattenStoreData = (nestedData) => {
-  let stores = [];
-  if (!nestedData) return [];
-  for (const cityKey in nestedData) {
-    const cityData = nestedData[cityKey];
-    for (const areaKey in cityData) {
-      if (cityData[areaKey]?.data) {
-        stores = stores.concat(cityData[areaKey].data);
-      }
-    }
-  }
-  return stores.filter(s => s.lat && s.lng && s.name).map((s, i) => ({
-      ...s,
-      id: s.id || `${s.city}-${s.area}-${i}`
-  }));
+const createClusterIcon = (count) => {
+    const size = count < 10 ? 34 : count < 100 ? 42 : count < 1000 ? 50 : 58;
+    const color = count < 10 ? '#F87171' : count < 100 ? '#EF4444' : count < 1000 ? '#DC2626' : '#991B1B';
+    const anchor = [size / 2, size / 2];
+    return window.L.divIcon({ className: '', html: uprightHtml(`<div class="store-cluster-icon" style="width: ${size}px; height: ${size}px; background: ${color}; font-size: ${count < 1000 ? 14 : 12}px;">${count}</div>`, anchor), iconSize: [size, size], iconAnchor: anchor });
 };
 
+const createUserIcon = (size = 30, heading, isTracking) => {
+    const arrowColor = isTracking ? '#0044FF' : '#555555';
+    const arrowSvg = `<svg xmlns="http://www.w3.org/2000/svg" width="${size}" height="${size}" viewBox="0 0 24 24" fill="${arrowColor}" stroke="white" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round"><path d="M12 2L12 2 L22 22 L12 18 L2 22 Z" /></svg>`;
+    
+    // *** 修正：移除 +180，直接使用 heading，讓箭頭朝向前方 ***
+    const rotationStyle = (heading !== null && heading !== undefined) ? `transform: rotate(${heading}deg);` : ''; 
+    
+    const glowClass = !isTracking ? 'user-icon-static-glow' : '';
+    const userHtml = `<div class="user-icon-div ${glowClass}" style="width: ${size + 12}px; height: ${size + 12}px; display: flex; align-items: center; justify-content: center; background: white; border-radius: 50%; box-shadow: 0 3px 8px rgba(0, 0, 0, 0.5); border: 3px solid ${arrowColor}; transition: transform 0.1s linear; ${rotationStyle}">${arrowSvg}</div>`;
+    return window.L.divIcon({ className: 'user-icon-container', html: userHtml, iconSize: [size + 12, size + 12], iconAnchor: [(size + 12) / 2, (size + 12) / 2], popupAnchor: [0, -size/2] });
+};
+
+const TEAMMATE_COLOR = '#0D9488';
+
+// 隊友：依方向旋轉的箭頭 (隨地圖旋轉，維持實際方位)，名稱標籤保持水平
+const createTeammateIcon = (name, heading) => {
+    const size = 26;
+    const rotation = Number.isFinite(heading) ? `transform: rotate(${heading}deg);` : '';
+    const arrowSvg = `<svg xmlns="http://www.w3.org/2000/svg" width="${size}" height="${size}" viewBox="0 0 24 24" fill="${TEAMMATE_COLOR}" stroke="white" stroke-width="1.5" stroke-linejoin="round" style="${rotation}"><path d="M12 2 L22 22 L12 18 L2 22 Z" /></svg>`;
+    const label = `<div style="position: absolute; top: ${size + 2}px; left: 50%; transform: translateX(-50%); padding: 1px 6px; background: ${TEAMMATE_COLOR}; color: white; font-size: 12px; font-weight: 700; border-radius: 9999px; white-space: nowrap; box-shadow: 0 1px 4px rgba(0,0,0,0.4);">${escapeHtml(name)}</div>`;
+    return window.L.divIcon({ className: '', html: `<div style="position: relative; width: ${size}px; height: ${size}px;">${arrowSvg}<div style="position: absolute; inset: 0;">${uprightHtml(label, [size / 2, size / 2])}</div></div>`, iconSize: [size, size], iconAnchor: [size / 2, size / 2] });
+};
+
+const createRouteStopIcon = (number, isNext, isDone) => {
+    const background = isDone ? '#9CA3AF' : isNext ? '#16A34A' : '#2563EB';
+    const anchor = [11, -4];
+    return window.L.divIcon({ className: '', html: uprightHtml(`<div style="width: 22px; height: 22px; border-radius: 9999px; background: ${background}; color: white; font-size: 12px; font-weight: 700; display: flex; align-items: center; justify-content: center; border: 2px solid white; box-shadow: 0 1px 4px rgba(0,0,0,0.4);">${number}</div>`, anchor), iconSize: [22, 22], iconAnchor: anchor });
+};
+
+// 彈出視窗的內容包進 .map-upright，以箭頭尖端 (視窗下緣再往下 20px) 為軸反向旋轉
+const makePopupUpright = (popup) => {
+    const container = popup.getElement();
+    if (!container || container.firstElementChild?.classList.contains('map-upright')) return;
+    const wrapper = document.createElement('div');
+    wrapper.className = 'map-upright map-upright-popup';
+    wrapper.append(...container.childNodes);
+    container.appendChild(wrapper);
+};
+
+const escapeHtml = (text) => String(text).replace(/[<>&"]/g, ch => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;' })[ch]);
+
 // --- Leaflet 地圖元件 ---
-const LeafletMap = ({ centerLat, centerLng, zoom, userLocation, stores, selectedStore, onStoreSelect, proximityRadius, mapControlRef, isWatching, userHeading, followMode, onMapDragStart }) => {
+const LeafletMap = ({ centerLat, centerLng, zoom, userLocation, stores, selectedStore, onStoreSelect, proximityRadius, mapControlRef, isWatching, userHeading, followMode, onMapDragStart, lastVisits, onCheckIn, route, nextStopIndex, adminDraft, onMapClick, onAdminDraftMove, onViewChange, stats, statsMetric, replayTrack, replayIndex, annotations, onLongPress, isManualLocation, tileConfig, teammates, onReport, reportPin, onReportPinMove, now, versionDiff }) => {
+  const viewportRef = useRef(null);
   const mapRef = useRef(null); 
   const mapInstanceRef = useRef(null); 
-  const markersRef = useRef([]);
+  // 導航模式的旋轉角度 (不折返到 0~360，CSS 轉場才會走最短方向)；0 代表未旋轉
+  const bearingRef = useRef(0);
+  const layoutNavigationRef = useRef(null);
+  const markersRef = useRef(new Map());
+  const selectedMarkerKeyRef = useRef(null);
+  const onStoreSelectRef = useRef(onStoreSelect);
+  onStoreSelectRef.current = onStoreSelect;
+  const onCheckInRef = useRef(onCheckIn);
+  onCheckInRef.current = onCheckIn;
+  const onReportRef = useRef(onReport);
+  onReportRef.current = onReport;
+  const onReportPinMoveRef = useRef(onReportPinMove);
+  onReportPinMoveRef.current = onReportPinMove;
+  const onMapClickRef = useRef(onMapClick);
+  onMapClickRef.current = onMapClick;
+  const onLongPressRef = useRef(onLongPress);
+  onLongPressRef.current = onLongPress;
+  const onAdminDraftMoveRef = useRef(onAdminDraftMove);
+  onAdminDraftMoveRef.current = onAdminDraftMove;
+  const onViewChangeRef = useRef(onViewChange);
+  onViewChangeRef.current = onViewChange;
   const userMarkerRef = useRef(null); 
   const userCircleRef = useRef(null); 
+  const routeLayerRef = useRef(null);
+  const adminMarkerRef = useRef(null);
+  const reportMarkerRef = useRef(null);
+  const statsLayerRef = useRef(null);
+  const diffLayerRef = useRef(null);
+  const replayLayerRef = useRef(null);
+  const tileLayerRef = useRef(null);
+  const teammateMarkersRef = useRef(new Map());
+  // 店家卡片：所有店家標記共用同一個彈出視窗內容節點，由 React 以 portal 繪製
+  const popupContainerRef = useRef(null);
+  if (!popupContainerRef.current) popupContainerRef.current = document.createElement('div');
+  const openPopupRef = useRef(null);
+  const [popupStoreId, setPopupStoreId] = useState(null);
   const [isLeafletLoaded, setIsLeafletLoaded] = useState(false);
+  // 地圖移動/縮放後遞增，用來觸發視窗內標記重繪
+  const [viewVersion, setViewVersion] = useState(0);
   
   // 暴露給父元件的方法
   const forceMapResize = useCallback(() => {
     if (mapInstanceRef.current && window.L) {
         window.requestAnimationFrame(() => {
-            mapInstanceRef.current.invalidateSize({ pan: false });
+            if (layoutNavigationRef.current) layoutNavigationRef.current();
+            else mapInstanceRef.current.invalidateSize({ pan: false });
         });
     }
   }, []);
@@ -107,20 +233,77 @@ const LeafletMap = ({ centerLat, centerLng, zoom, userLocation, stores, selected
         maxZoom: MAX_ZOOM, 
         attributionControl: false
     }).setView([centerLat, centerLng], zoom);
-    
-    window.L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
-      maxZoom: MAX_ZOOM, 
-    }).addTo(map);
 
     map.on('dragstart', () => {
         if (onMapDragStart) onMapDragStart();
     });
+    map.on('moveend', () => {
+        setViewVersion(v => v + 1);
+        if (onViewChangeRef.current) {
+            const center = map.getCenter();
+            onViewChangeRef.current({ lat: center.lat, lng: center.lng, zoom: map.getZoom() });
+        }
+    });
+    map.on('click', (e) => {
+        if (onMapClickRef.current) onMapClickRef.current(e.latlng);
+    });
+    map.on('popupopen', (e) => makePopupUpright(e.popup));
+
+    // 地圖旋轉時，滑鼠/觸控的畫面座標需轉回未旋轉的地圖容器座標 (點擊、長按、滾輪縮放)
+    const toContainerPoint = map.mouseEventToContainerPoint.bind(map);
+    map.mouseEventToContainerPoint = (e) => {
+        if (!bearingRef.current) return toContainerPoint(e);
+        const rect = map.getContainer().getBoundingClientRect();
+        const dx = e.clientX - (rect.left + rect.width / 2);
+        const dy = e.clientY - (rect.top + rect.height / 2);
+        const rad = bearingRef.current * Math.PI / 180;
+        return map.getSize().divideBy(2).add([dx * Math.cos(rad) - dy * Math.sin(rad), dx * Math.sin(rad) + dy * Math.cos(rad)]);
+    };
+
+    // 長按 (觸控) 或右鍵設定位置；部分瀏覽器長按也會觸發 contextmenu，短時間內只處理一次
+    let lastLongPressAt = 0;
+    const fireLongPress = (latlng) => {
+        if (Date.now() - lastLongPressAt < 1000) return;
+        lastLongPressAt = Date.now();
+        if (onLongPressRef.current) onLongPressRef.current(latlng);
+    };
+    map.on('contextmenu', (e) => fireLongPress(e.latlng));
+    const container = map.getContainer();
+    let pressTimer = null, pressStart = null;
+    const cancelPress = () => { clearTimeout(pressTimer); pressTimer = null; };
+    container.addEventListener('touchstart', (e) => {
+        cancelPress();
+        if (e.touches.length !== 1) return;
+        const touch = e.touches[0];
+        pressStart = { x: touch.clientX, y: touch.clientY };
+        pressTimer = setTimeout(() => { pressTimer = null; fireLongPress(map.mouseEventToLatLng(touch)); }, LONG_PRESS_MS);
+    }, { passive: true });
+    container.addEventListener('touchmove', (e) => {
+        const touch = e.touches[0];
+        if (pressTimer && Math.hypot(touch.clientX - pressStart.x, touch.clientY - pressStart.y) > LONG_PRESS_TOLERANCE_PX) cancelPress();
+    }, { passive: true });
+    container.addEventListener('touchend', cancelPress);
+    container.addEventListener('touchcancel', cancelPress);
 
     mapInstanceRef.current = map;
     setTimeout(() => map.invalidateSize(), 100); 
   // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [isLeafletLoaded]); 
 
+  // 地圖圖磚 (來源由伺服器 /api/config 決定，變更時重建圖層)
+  useEffect(() => {
+    if (!mapInstanceRef.current || !isLeafletLoaded) return;
+    if (tileLayerRef.current) tileLayerRef.current.remove();
+    tileLayerRef.current = window.L.tileLayer(tileConfig.url, {
+      subdomains: tileConfig.subdomains || 'abc',
+      maxNativeZoom: Math.min(tileConfig.maxZoom, MAX_ZOOM),
+      maxZoom: MAX_ZOOM,
+      attribution: tileConfig.attribution,
+      // 以 CORS 載入，Service Worker 才能快取一般回應而非 opaque 回應
+      crossOrigin: true,
+    }).addTo(mapInstanceRef.current);
+  }, [isLeafletLoaded, tileConfig]);
+
   // 視圖控制 (flyTo)
   useEffect(() => {
       if (!mapInstanceRef.current || !isLeafletLoaded) return;
@@ -135,41 +318,17 @@ const LeafletMap = ({ centerLat, centerLng, zoom, userLocation, stores, selected
       }
   }, [centerLat, centerLng, zoom, isLeafletLoaded, followMode, userLocation, selectedStore]);
 
-  // 標記繪製
+  // 使用者標記
   useEffect(() => {
     if (!mapInstanceRef.current || !isLeafletLoaded) return;
     const map = mapInstanceRef.current;
     const L = window.L;
 
-    markersRef.current.forEach(marker => marker.remove());
-    markersRef.current = [];
-
-    const createStoreIcon = (color, size = 30, text = '', isSelected) => {
-        const textHtml = text ? `<div style="position: absolute; top: -${size * 0.9}px; left: 50%; transform: translateX(-50%); padding: 4px 8px; background: ${color}; color: white; font-size: 14px; font-weight: 700; border-radius: 9999px; white-space: nowrap; box-shadow: 0 2px 6px rgba(0,0,0,0.5); line-height: 1; z-index: 10;">${text}</div>` : '';
-        const svg = `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="${color}" stroke="white" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M21 10c0 7-9 13-9 13s-9-6-9-13a9 9 0 0 1 18 0z"></path><circle cx="12" cy="10" r="3"></circle></svg>`;
-        const htmlContent = textHtml + svg; 
-        const markerSize = isSelected ? 45 : size;
-        return L.divIcon({ className: 'custom-store-icon', html: htmlContent, iconSize: [markerSize, markerSize], iconAnchor: [markerSize / 2, markerSize], popupAnchor: [0, -markerSize] });
-    };
-
-    const createUserIcon = (size = 30, heading, isTracking) => {
-        const arrowColor = isTracking ? '#0044FF' : '#555555';
-        const arrowSvg = `<svg xmlns="http://www.w3.org/2000/svg" width="${size}" height="${size}" viewBox="0 0 24 24" fill="${arrowColor}" stroke="white" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round"><path d="M12 2L12 2 L22 22 L12 18 L2 22 Z" /></svg>`;
-        
-        // *** 修正：移除 +180，直接使用 heading，讓箭頭朝向前方 ***
-        const rotationStyle = (heading !== null && heading !== undefined) ? `transform: rotate(${heading}deg);` : ''; 
-        
-        const glowClass = !isTracking ? 'user-icon-static-glow' : '';
-        const userHtml = `<div class="user-icon-div ${glowClass}" style="width: ${size + 12}px; height: ${size + 12}px; display: flex; align-items: center; justify-content: center; background: white; border-radius: 50%; box-shadow: 0 3px 8px rgba(0, 0, 0, 0.5); border: 3px solid ${arrowColor}; transition: transform 0.1s linear; ${rotationStyle}">${arrowSvg}</div>`;
-        return L.divIcon({ className: 'user-icon-container', html: userHtml, iconSize: [size + 12, size + 12], iconAnchor: [(size + 12) / 2, (size + 12) / 2], popupAnchor: [0, -size/2] });
-    };
-
-    // 使用者標記
     if (userLocation) {
         const latLng = [userLocation.lat, userLocation.lng];
         const currentIcon = createUserIcon(30, userHeading, isWatching);
         
-        let popupContent = `<b>🚶 您的位置</b>`;
+        let popupContent = isManualLocation ? `<b>📍 手動設定的位置</b>` : `<b>🚶 您的位置</b>`;
         if (userHeading !== null && userHeading !== undefined) popupContent += `<br/>方向: ${userHeading.toFixed(0)}°`;
 
         if (!userMarkerRef.current) {
@@ -178,7 +337,7 @@ const LeafletMap = ({ centerLat, centerLng, zoom, userLocation, stores, selected
              userMarkerRef.current.setLatLng(latLng).setIcon(currentIcon).setPopupContent(popupContent);
         }
 
-        if (isWatching) {
+        if (isWatching || isManualLocation) {
             const radiusInMeters = proximityRadius * 1000;
             if (!userCircleRef.current) {
                 userCircleRef.current = L.circle(latLng, { color: '#0044FF', fillColor: '#0044FF', fillOpacity: 0.15, radius: radiusInMeters, weight: 2, interactive: false, zIndexOffset: 400 }).addTo(map);
@@ -192,71 +351,438 @@ const LeafletMap = ({ centerLat, centerLng, zoom, userLocation, stores, selected
         if (userMarkerRef.current) { userMarkerRef.current.remove(); userMarkerRef.current = null; }
         if (userCircleRef.current) { userCircleRef.current.remove(); userCircleRef.current = null; }
     }
+  }, [isLeafletLoaded, userLocation, userHeading, isWatching, isManualLocation, proximityRadius]);
 
-    // 店家標記 
-    stores.slice(0, 50).forEach(store => {
-      const isSelected = selectedStore?.id === store.id;
-      const iconColor = isSelected ? '#FFAA00' : '#FF0000'; 
-      const iconText = isSelected ? '' : store.name; 
-      const icon = createStoreIcon(iconColor, 30, iconText, isSelected); 
-      const marker = L.marker([store.lat, store.lng], { icon: icon, zIndexOffset: isSelected ? 1000 : 0 })
-      .addTo(map)
-      .bindPopup(`<div class="text-center"><strong class="text-gray-800 text-lg">${store.name}</strong><br/><span class="text-xs text-gray-500">${store.city} ${store.area}</span><br/><button class="mt-2 px-2 py-1 bg-blue-500 hover:bg-blue-600 text-white text-xs rounded" onclick="window.open('https://www.google.com/maps/dir/?api=1&destination=${store.lat},${store.lng}', '_blank')">導航</button></div>`);
-      
-      marker.on('click', () => onStoreSelect(store));
-      if (isSelected) marker.openPopup();
-      markersRef.current.push(marker);
+  // 店家標記：只繪製視窗內的店家，低縮放層級時以網格聚合，既有標記就地更新
+  useEffect(() => {
+    if (!mapInstanceRef.current || !isLeafletLoaded) return;
+    const map = mapInstanceRef.current;
+    const L = window.L;
+    const zoomLevel = map.getZoom();
+    const bounds = map.getBounds().pad(VIEWPORT_PADDING);
+
+    const visibleStores = stores.filter(s => s.id !== selectedStore?.id && bounds.contains([s.lat, s.lng]));
+    const groups = zoomLevel >= CLUSTER_MAX_ZOOM
+        ? visibleStores.map(s => ({ key: s.id, lat: s.lat, lng: s.lng, stores: [s] }))
+        : clusterStores(visibleStores, (lat, lng) => map.project([lat, lng], zoomLevel));
+
+    const next = new Map();
+    const upsert = (key, latLng, signature, create, update) => {
+        let entry = markersRef.current.get(key);
+        if (entry) {
+            entry.marker.setLatLng(latLng);
+            if (entry.signature !== signature) {
+                update(entry.marker);
+                entry.signature = signature;
+            }
+        } else {
+            entry = { marker: create(), signature };
+        }
+        next.set(key, entry);
+        return entry.marker;
+    };
+
+    const upsertStore = (store, isSelected) => {
+        const lastVisitedAt = lastVisits[store.id];
+        const visitStatus = getVisitStatus(lastVisitedAt);
+        const annotation = annotations[store.id];
+        const isFavourite = Boolean(annotation?.favourite);
+        const zIndexOffset = isSelected ? 1000 : isFavourite ? 500 : 0;
+        const marker = upsert(`store:${store.id}`, [store.lat, store.lng], `${isSelected}|${store.name}|${visitStatus}|${isFavourite}`,
+            () => L.marker([store.lat, store.lng], { icon: createStoreIcon(store, isSelected, visitStatus, null, isFavourite), zIndexOffset })
+                .addTo(map)
+                .bindPopup(popupContainerRef.current, { minWidth: 220, maxWidth: 300 })
+                .on('click', (e) => onStoreSelectRef.current(e.target.store))
+                .on('popupopen', (e) => { openPopupRef.current = e.popup; setPopupStoreId(e.target.store.id); })
+                .on('popupclose', (e) => {
+                    if (openPopupRef.current !== e.popup) return;
+                    openPopupRef.current = null;
+                    setPopupStoreId(null);
+                }),
+            (m) => m.setIcon(createStoreIcon(store, isSelected, visitStatus, null, isFavourite)).setZIndexOffset(zIndexOffset));
+        marker.store = store;
+        return marker;
+    };
+
+    groups.forEach(group => {
+        if (group.stores.length === 1) {
+            upsertStore(group.stores[0], false);
+            return;
+        }
+        const marker = upsert(`cluster:${zoomLevel}:${group.key}`, [group.lat, group.lng], `${group.stores.length}`,
+            () => L.marker([group.lat, group.lng], { icon: createClusterIcon(group.stores.length) })
+                .addTo(map)
+                .on('click', (e) => map.flyToBounds(clusterBounds(e.target.cluster), { padding: [40, 40], maxZoom: MAX_ZOOM })),
+            (m) => m.setIcon(createClusterIcon(group.stores.length)));
+        marker.cluster = group;
     });
-    
-  }, [isLeafletLoaded, userLocation, userHeading, isWatching, stores, selectedStore, onStoreSelect, proximityRadius]); 
 
-  // 地圖容器旋轉 (導航模式)
-  const mapRotation = (followMode === 'compass' && userHeading) ? -userHeading : 0;
-  const mapScale = mapRotation !== 0 ? 1.5 : 1;
+    const prevSelectedKey = selectedMarkerKeyRef.current;
+    selectedMarkerKeyRef.current = null;
+    if (selectedStore) {
+        const key = `store:${selectedStore.id}`;
+        const marker = upsertStore(selectedStore, true);
+        if (prevSelectedKey !== key) marker.openPopup();
+        selectedMarkerKeyRef.current = key;
+    }
+
+    markersRef.current.forEach((entry, key) => {
+        if (!next.has(key)) entry.marker.remove();
+    });
+    markersRef.current = next;
+  }, [isLeafletLoaded, stores, selectedStore, viewVersion, lastVisits, annotations]);
 
+  // 隊友位置
   useEffect(() => {
-      if (mapRef.current) {
-          mapRef.current.style.transition = 'transform 0.3s ease-out';
-          mapRef.current.style.transform = `rotate(${mapRotation}deg) scale(${mapScale})`;
-      }
-      if (followMode === 'compass' && userLocation && mapInstanceRef.current) {
-          mapInstanceRef.current.setView([userLocation.lat, userLocation.lng], MAX_ZOOM, { animate: false });
-      }
-  }, [mapRotation, mapScale, followMode, userLocation]);
+    if (!mapInstanceRef.current || !isLeafletLoaded) return;
+    const L = window.L;
+    const next = new Map();
+    teammates.forEach(m => {
+        const signature = `${m.name}|${m.heading}`;
+        let entry = teammateMarkersRef.current.get(m.id);
+        if (!entry) {
+            entry = { marker: L.marker([m.lat, m.lng], { icon: createTeammateIcon(m.name, m.heading), zIndexOffset: 450 }).addTo(mapInstanceRef.current), signature };
+        } else {
+            entry.marker.setLatLng([m.lat, m.lng]);
+            if (entry.signature !== signature) { entry.marker.setIcon(createTeammateIcon(m.name, m.heading)); entry.signature = signature; }
+        }
+        entry.marker.bindTooltip(`${escapeHtml(m.name)} · ${new Date(m.updatedAt).toLocaleTimeString('zh-TW')} 更新`);
+        next.set(m.id, entry);
+    });
+    teammateMarkersRef.current.forEach((entry, id) => { if (!next.has(id)) entry.marker.remove(); });
+    teammateMarkersRef.current = next;
+  }, [isLeafletLoaded, teammates]);
+
+  // 巡店路線
+  useEffect(() => {
+    if (!mapInstanceRef.current || !isLeafletLoaded) return;
+    const L = window.L;
+    if (routeLayerRef.current) { routeLayerRef.current.remove(); routeLayerRef.current = null; }
+    if (!route || route.stops.length === 0) return;
+
+    const points = [route.start, ...route.stops.map(s => s.store)].map(p => [p.lat, p.lng]);
+    const layer = L.layerGroup();
+    // 已完成的路段以灰色虛線表示
+    if (nextStopIndex > 0) {
+        L.polyline(points.slice(0, nextStopIndex + 1), { color: '#9CA3AF', weight: 4, dashArray: '6 8', interactive: false }).addTo(layer);
+    }
+    L.polyline(points.slice(nextStopIndex), { color: '#2563EB', weight: 5, opacity: 0.8, interactive: false }).addTo(layer);
+    route.stops.forEach((stop, i) => {
+        L.marker([stop.store.lat, stop.store.lng], { icon: createRouteStopIcon(i + 1, i === nextStopIndex, i < nextStopIndex), interactive: false, zIndexOffset: 900 }).addTo(layer);
+    });
+    routeLayerRef.current = layer.addTo(mapInstanceRef.current);
+  }, [isLeafletLoaded, route, nextStopIndex]);
+
+  // 軌跡回放：灰線為完整軌跡，紫線為已播放部分
+  useEffect(() => {
+    if (!mapInstanceRef.current || !isLeafletLoaded) return;
+    const L = window.L;
+    if (replayLayerRef.current) { replayLayerRef.current.group.remove(); replayLayerRef.current = null; }
+    if (!replayTrack || replayTrack.points.length === 0) return;
+
+    const latLngs = replayTrack.points.map(p => [p.lat, p.lng]);
+    const group = L.layerGroup();
+    L.polyline(latLngs, { color: '#9CA3AF', weight: 4, opacity: 0.6, interactive: false }).addTo(group);
+    const progress = L.polyline([], { color: '#4F46E5', weight: 5, interactive: false }).addTo(group);
+    const head = L.circleMarker(latLngs[0], { radius: 7, color: 'white', weight: 2, fillColor: '#4F46E5', fillOpacity: 1, interactive: false }).addTo(group);
+    replayTrack.passedStores.forEach(s => {
+        L.circleMarker([s.lat, s.lng], { radius: 5, color: '#16A34A', weight: 2, fillOpacity: 0.3 }).bindTooltip(s.name).addTo(group);
+    });
+    replayLayerRef.current = { group: group.addTo(mapInstanceRef.current), progress, head, latLngs };
+    mapInstanceRef.current.fitBounds(L.latLngBounds(latLngs), { padding: [30, 30] });
+  }, [isLeafletLoaded, replayTrack]);
+
+  useEffect(() => {
+    const layer = replayLayerRef.current;
+    if (!layer) return;
+    const end = Math.min(replayIndex, layer.latLngs.length - 1);
+    layer.progress.setLatLngs(layer.latLngs.slice(0, end + 1));
+    layer.head.setLatLng(layer.latLngs[end]);
+  }, [replayTrack, replayIndex]);
+
+  // 統計圖層：以各區域外框著色 (店家數或覆蓋率)
+  useEffect(() => {
+    if (!mapInstanceRef.current || !isLeafletLoaded) return;
+    const L = window.L;
+    if (statsLayerRef.current) { statsLayerRef.current.remove(); statsLayerRef.current = null; }
+    if (!stats) return;
+
+    const areas = flattenStatsAreas(stats);
+    const maxCount = Math.max(...areas.map(a => a.count));
+    const layer = L.layerGroup();
+    areas.forEach(a => {
+        const color = statsColor(a, statsMetric, maxCount);
+        const style = { color, weight: 1, fillColor: color, fillOpacity: 0.35, interactive: true };
+        const shape = a.bboxAreaKm2 > 0
+            ? L.rectangle([[a.bbox.minLat, a.bbox.minLng], [a.bbox.maxLat, a.bbox.maxLng]], style)
+            : L.circleMarker([a.centroid.lat, a.centroid.lng], { ...style, radius: 8 });
+        const coverage = a.coverage !== undefined ? `<br/>已巡 ${a.visited} (${(a.coverage * 100).toFixed(0)}%)` : '';
+        shape.bindTooltip(`<b>${escapeHtml(a.city)} ${escapeHtml(a.area)}</b><br/>${a.count} 家店${coverage}`).addTo(layer);
+    });
+    statsLayerRef.current = layer.addTo(mapInstanceRef.current);
+  }, [isLeafletLoaded, stats, statsMetric]);
+
+  // 版本差異圖層：新增 (綠)、消失 (紅) 與搬遷 (橘，虛線連到原位置)
+  useEffect(() => {
+    if (!mapInstanceRef.current || !isLeafletLoaded) return;
+    const L = window.L;
+    if (diffLayerRef.current) { diffLayerRef.current.remove(); diffLayerRef.current = null; }
+    if (!versionDiff) return;
+
+    const layer = L.layerGroup();
+    const points = [];
+    const addPoint = (s, kind, label) => {
+        L.circleMarker([s.lat, s.lng], { radius: 9, color: 'white', weight: 2, fillColor: DIFF_COLORS[kind], fillOpacity: 0.9 })
+            .bindTooltip(`${label}：${escapeHtml(s.name)}`)
+            .addTo(layer);
+        points.push([s.lat, s.lng]);
+    };
+    flattenDiffAreas(versionDiff).forEach(a => {
+        a.added.forEach(s => addPoint(s, 'added', '新增'));
+        a.removed.forEach(s => addPoint(s, 'removed', '消失'));
+        a.moved.forEach(s => {
+            L.polyline([[s.from.lat, s.from.lng], [s.lat, s.lng]], { color: DIFF_COLORS.moved, weight: 3, dashArray: '6 6' }).addTo(layer);
+            addPoint(s, 'moved', '搬遷');
+        });
+    });
+    diffLayerRef.current = layer.addTo(mapInstanceRef.current);
+    if (points.length > 0) mapInstanceRef.current.fitBounds(points, { padding: [40, 40], maxZoom: 16 });
+  }, [isLeafletLoaded, versionDiff]);
+
+  // 管理模式的店家座標標記 (可拖曳)
+  useEffect(() => {
+    if (!mapInstanceRef.current || !isLeafletLoaded) return;
+    const L = window.L;
+    const lat = Number(adminDraft?.lat), lng = Number(adminDraft?.lng);
+    const hasPin = adminDraft && adminDraft.lat !== '' && adminDraft.lng !== '' && Number.isFinite(lat) && Number.isFinite(lng);
+    if (!hasPin) {
+        if (adminMarkerRef.current) { adminMarkerRef.current.remove(); adminMarkerRef.current = null; }
+        return;
+    }
+    const icon = createStoreIcon({ name: adminDraft.name || '新店家' }, false, null, ADMIN_PIN_COLOR);
+    if (!adminMarkerRef.current) {
+        adminMarkerRef.current = L.marker([lat, lng], { draggable: true, zIndexOffset: 1100, icon })
+            .addTo(mapInstanceRef.current)
+            .on('dragend', (e) => {
+                const pos = e.target.getLatLng();
+                if (onAdminDraftMoveRef.current) onAdminDraftMoveRef.current(pos);
+            });
+    } else {
+        adminMarkerRef.current.setLatLng([lat, lng]).setIcon(icon);
+    }
+  }, [isLeafletLoaded, adminDraft]);
+
+  // 回報「位置錯誤」時的修正標記 (可拖曳)
+  useEffect(() => {
+    if (!mapInstanceRef.current || !isLeafletLoaded) return;
+    if (!reportPin) {
+        if (reportMarkerRef.current) { reportMarkerRef.current.remove(); reportMarkerRef.current = null; }
+        return;
+    }
+    const icon = createStoreIcon({ name: `${reportPin.name} (修正)` }, false, null, REPORT_PIN_COLOR);
+    if (!reportMarkerRef.current) {
+        reportMarkerRef.current = window.L.marker([reportPin.lat, reportPin.lng], { draggable: true, zIndexOffset: 1100, icon })
+            .addTo(mapInstanceRef.current)
+            .on('dragend', (e) => {
+                if (onReportPinMoveRef.current) onReportPinMoveRef.current(e.target.getLatLng());
+            });
+    } else {
+        reportMarkerRef.current.setLatLng([reportPin.lat, reportPin.lng]).setIcon(icon);
+    }
+  }, [isLeafletLoaded, reportPin]);
+
+  // 開啟中的店家卡片；selectedStore 可能不在篩選結果內
+  const popupStore = useMemo(
+      () => popupStoreId && (stores.find(s => s.id === popupStoreId) || (selectedStore?.id === popupStoreId ? selectedStore : null)),
+      [popupStoreId, stores, selectedStore]
+  );
+
+  // 卡片內容變動後重新計算彈出視窗大小與位置
+  useEffect(() => {
+    if (openPopupRef.current) openPopupRef.current.update();
+  }, [popupStore, lastVisits, annotations, now]);
+
+  // 導航模式：地圖容器放大成畫面對角線長的正方形再旋轉，四角不會露出空白
+  const isNavigating = followMode === 'compass';
+  useEffect(() => {
+    const map = mapInstanceRef.current;
+    if (!map || !isLeafletLoaded) return;
+    const container = mapRef.current;
+    container.style.transition = 'transform 0.3s ease-out';
+    if (!isNavigating) {
+        Object.assign(container.style, { position: '', left: '', top: '', width: '', height: '', transform: '' });
+        container.style.setProperty('--map-bearing', '0deg');
+        bearingRef.current = 0;
+        map.invalidateSize({ pan: false });
+        return;
+    }
+    const layout = () => {
+        const { clientWidth: width, clientHeight: height } = viewportRef.current;
+        const side = Math.ceil(Math.hypot(width, height));
+        Object.assign(container.style, { position: 'absolute', left: `${(width - side) / 2}px`, top: `${(height - side) / 2}px`, width: `${side}px`, height: `${side}px` });
+        map.invalidateSize({ pan: false });
+    };
+    layout();
+    layoutNavigationRef.current = layout;
+    window.addEventListener('resize', layout);
+    return () => {
+        window.removeEventListener('resize', layout);
+        layoutNavigationRef.current = null;
+    };
+  }, [isLeafletLoaded, isNavigating]);
+
+  // 導航模式：地圖轉到行進方向朝上 (標記與彈出視窗以 --map-bearing 反向旋轉保持正立)，使用者固定在畫面下方
+  useEffect(() => {
+    const map = mapInstanceRef.current;
+    if (!map || !isLeafletLoaded || !isNavigating) return;
+    const container = mapRef.current;
+    bearingRef.current += headingDelta(bearingRef.current, userHeading ?? 0);
+    const bearing = bearingRef.current;
+    container.style.transform = `rotate(${-bearing}deg)`;
+    container.style.setProperty('--map-bearing', `${bearing}deg`);
+    if (!userLocation) return;
+    // 畫面正下方 offset 像素，換算成未旋轉地圖容器中的位移
+    const offset = viewportRef.current.clientHeight * NAV_USER_OFFSET_RATIO;
+    const rad = bearing * Math.PI / 180;
+    const shift = window.L.point(-offset * Math.sin(rad), offset * Math.cos(rad));
+    const center = map.unproject(map.project([userLocation.lat, userLocation.lng], MAX_ZOOM).subtract(shift), MAX_ZOOM);
+    map.setView(center, MAX_ZOOM, { animate: false });
+  }, [isLeafletLoaded, isNavigating, userHeading, userLocation]);
 
   return (
-    <div className="h-full w-full bg-gray-100 rounded-xl shadow-inner relative overflow-hidden">
+    <div ref={viewportRef} className="h-full w-full bg-gray-100 rounded-xl shadow-inner relative overflow-hidden">
       <div ref={mapRef} id="leaflet-map-container" className="h-full w-full rounded-xl" />
-      <style>{`.custom-store-icon { display: flex; align-items: center; justify-content: center; cursor: pointer; }`}</style>
+      {popupStore && createPortal(
+        <StoreCard store={popupStore} lastVisitedAt={lastVisits[popupStore.id]} annotation={annotations[popupStore.id]} now={now} onCheckIn={(store) => onCheckInRef.current?.(store)} onReport={(store) => onReportRef.current?.(store)} />,
+        popupContainerRef.current
+      )}
+      <style>{`.custom-store-icon { display: flex; align-items: center; justify-content: center; cursor: pointer; } .store-cluster-icon { display: flex; align-items: center; justify-content: center; border-radius: 9999px; color: white; font-weight: 700; border: 3px solid rgba(255,255,255,0.85); box-shadow: 0 2px 6px rgba(0,0,0,0.4); cursor: pointer; } .map-upright { position: relative; width: 100%; height: 100%; display: flex; align-items: center; justify-content: center; transform: rotate(var(--map-bearing, 0deg)); transition: transform 0.3s ease-out; } .map-upright-popup { display: block; height: auto; transform-origin: 50% calc(100% + 20px); }`}</style>
     </div>
   );
 };
 
+// 列表中的營業狀態與機台數
+const StoreListDetails = ({ store, now }) => {
+  const openStatus = describeOpenStatus(store.openStatus !== undefined ? store.openStatus : getOpenStatus(store.hours, now));
+  if (!openStatus && store.machineCount === undefined) return null;
+  return (
+    <p className="text-xs mt-0.5">
+      {openStatus && <span className={`font-medium ${openStatus.className}`}>{openStatus.text}</span>}
+      {store.machineCount !== undefined && <span className="text-gray-600">{openStatus ? ' · ' : ''}🎰 {store.machineCount} 台</span>}
+    </p>
+  );
+};
+
 // --- App ---
 const App = () => {
   const [allStores, setAllStores] = useState([]);
   const [filteredStores, setFilteredStores] = useState([]);
   const [loading, setLoading] = useState(true);
+  const [runtimeConfig, setRuntimeConfig] = useState(loadCachedConfig);
   const [error, setError] = useState('');
+  // 資料來源：fromCache 為 true 時顯示快取時間
+  const [dataStatus, setDataStatus] = useState({ fromCache: false, cachedAt: null });
+  const [isOnline, setIsOnline] = useState(navigator.onLine);
+  // 離線地圖下載進度：null | { done, total } | { message }
+  const [tilePrefetch, setTilePrefetch] = useState(null);
   const [selectedStore, setSelectedStore] = useState(null);
+  // 打卡紀錄 { storeId: 最後打卡時間 }
+  const [lastVisits, setLastVisits] = useState({});
   
+  // 深層連結：網址帶入的初始狀態
+  const [initialUrlState] = useState(() => parseUrlState());
+  // 網址指定的地圖中心，使用者改變篩選或選取後清除
+  const [urlView, setUrlView] = useState(initialUrlState.view);
+  const hasDeepLinkRef = useRef(hasDeepLink(initialUrlState));
+  // 店家資料載入後才能依 id 找到網址指定的店家
+  const pendingStoreIdRef = useRef(initialUrlState.storeId);
+  const mapViewRef = useRef(initialUrlState.view);
+  const urlStateRef = useRef({});
+  // 為 true 時下一次網址同步以 replaceState 取代目前紀錄 (初次載入、自動定位、上一頁/下一頁)
+  const replaceNextUrlRef = useRef(true);
+
   // 篩選狀態
-  const [filterCity, setFilterCity] = useState(DEFAULT_CITY);
-  const [filterArea, setFilterArea] = useState(DEFAULT_AREA);
+  const [filterCity, setFilterCity] = useState(initialUrlState.city ?? DEFAULT_CITY);
+  const [filterArea, setFilterArea] = useState(initialUrlState.city ? initialUrlState.area : DEFAULT_AREA);
   
   // 定位狀態
   const [userLocation, setUserLocation] = useState(null);
   const [userHeading, setUserHeading] = useState(null); 
   const [isWatching, setIsWatching] = useState(false); // 預設：靜態模式
+  // 位置來源：'gps' 或 'manual' (長按地圖/地址搜尋)；手動位置與追蹤模式一樣以附近範圍篩選與排序
+  const [locationSource, setLocationSource] = useState(null);
+  const locationSourceRef = useRef(null);
+  // { code: 'denied' | 'timeout' | 'unavailable' | 'unsupported', attempt, retryInMs }
+  const [locationError, setLocationError] = useState(null);
+  const locationRetryTimerRef = useRef(null);
+  const locationRetryAttemptRef = useRef(0);
+  const initialLocateStartedRef = useRef(false);
+  const userLocationRef = useRef(null);
   const [proximityRadius, setProximityRadius] = useState(0.1); 
   
   const [isListOpen, setIsListOpen] = useState(false); 
   // *** 追蹤模式狀態: 'none'(自由), 'center'(鎖定), 'compass'(導航) ***
-  const [followMode, setFollowMode] = useState('none'); 
+  const [followMode, setFollowMode] = useState(initialUrlState.follow || 'none'); 
   
   // 強制置中狀態 (保留供按鈕使用)
   const [isRecenterForced, setIsRecenterForced] = useState(false);
 
+  // 管理模式：編輯中的店家草稿
+  const [isAdminMode, setIsAdminMode] = useState(false);
+  const [adminDraft, setAdminDraft] = useState(EMPTY_STORE_DRAFT);
+
+  // 回報店家狀態的草稿 (null 為未開啟)
+  const [reportDraft, setReportDraft] = useState(null);
+
+  // 店家搜尋
+  const [searchQuery, setSearchQuery] = useState('');
+  const [searchResults, setSearchResults] = useState([]);
+
+  // 統計儀表板
+  const [isStatsOpen, setIsStatsOpen] = useState(false);
+
+  // 資料版本比較
+  const [isVersionsOpen, setIsVersionsOpen] = useState(false);
+  const [versionDiff, setVersionDiff] = useState(null);
+  const [stats, setStats] = useState(null);
+  const [statsMetric, setStatsMetric] = useState('count');
+
+  // 接近店家提醒：設定、顯示中的提醒，以及本次追蹤已提醒過的店家 (每次追蹤每家店只提醒一次)
+  const [alertSettings, setAlertSettings] = useState(loadAlertSettings);
+  const [proximityAlerts, setProximityAlerts] = useState([]);
+  const alertedStoreIdsRef = useRef(new Set());
+
+  // 巡店路線：勾選的店家 id、規劃結果、下一站索引與自動前進模式
+  const [routeSelection, setRouteSelection] = useState([]);
+  const [route, setRoute] = useState(null);
+  const [nextStopIndex, setNextStopIndex] = useState(0);
+  const [isNextStopMode, setIsNextStopMode] = useState(false);
+
+  // 個人收藏/標籤/備註與篩選
+  const [annotations, setAnnotations] = useState(loadLocalAnnotations);
+  const [filterFavourite, setFilterFavourite] = useState(false);
+  const [filterTag, setFilterTag] = useState('');
+
+  // 營業中篩選與列表排序 (default 保留原本順序：附近模式依距離、其他依資料順序)
+  const [filterOpenNow, setFilterOpenNow] = useState(false);
+  const [sortBy, setSortBy] = useState('default');
+  // 營業狀態每分鐘重新判斷
+  const [now, setNow] = useState(() => new Date());
+
+  // 團隊即時位置
+  const [presenceSettings, setPresenceSettings] = useState(loadPresenceSettings);
+  const [teammates, setTeammates] = useState([]);
+  const lastPresencePublishRef = useRef(0);
+  const userHeadingRef = useRef(null);
+
+  // 巡店軌跡
+  const [tracks, setTracks] = useState([]);
+  const [recordingPointCount, setRecordingPointCount] = useState(0);
+  const [replay, setReplay] = useState(null);
+  const recordingTrackRef = useRef(null);
+
+  // 目前資料的版本 (伺服器 X-Updated-At)，供差異同步使用
+  const dataVersionRef = useRef(null);
   const watchIdRef = useRef(null); 
   const mapControlRef = useRef(null); 
 
@@ -270,28 +796,75 @@ const App = () => {
     }, 350); 
   };
 
+  // 方向經濾波後才更新：移動中採用 GPS 行進方向，靜止時採用羅盤
+  const headingFilterRef = useRef(null);
+  if (!headingFilterRef.current) headingFilterRef.current = createHeadingFilter();
+  const updateCourse = (coords) => {
+    const heading = headingFilterRef.current.addCourse(coords.heading, coords.speed);
+    if (heading !== null) setUserHeading(heading);
+  };
+
   const handleOrientation = useCallback((event) => {
-    let heading = event.webkitCompassHeading;
-    if (!heading && event.alpha) heading = 360 - event.alpha;
-    if (heading !== null && heading !== undefined) setUserHeading(heading);
+    const heading = headingFilterRef.current.addCompass(compassHeadingFromEvent(event));
+    if (heading !== null) setUserHeading(heading);
+  }, []);
+
+  // Service Worker 以 stale-while-revalidate 提供資料，回應帶有 X-Cached-At 時代表來自快取
+  // 已有資料時以 ?since= 只取變動的店家
+  const loadData = useCallback(async () => {
+      const since = dataVersionRef.current;
+      try {
+          const res = await fetch(since ? `${API_URL}?since=${encodeURIComponent(since)}` : API_URL);
+          if (!res.ok) throw new Error('API Error');
+          const body = await res.json();
+          dataVersionRef.current = res.headers.get('X-Updated-At');
+          if (body.delta) setAllStores(prev => applyStoreDelta(prev, body));
+          else setAllStores(flattenStoreData(body));
+          const cachedAt = res.headers.get('X-Cached-At');
+          setDataStatus({ fromCache: Boolean(cachedAt), cachedAt });
+      } catch (err) {
+          console.error(err);
+          // 已有資料時保留目前資料
+          if (since) { setLoading(false); return; }
+          const cached = await loadCachedStores(API_URL).catch(() => null);
+          if (cached) {
+              setAllStores(flattenStoreData(cached.raw));
+              setDataStatus({ fromCache: true, cachedAt: cached.cachedAt });
+          } else {
+              setError('無法載入店家資料。');
+          }
+      }
+      setLoading(false);
+  }, []);
+
+  useEffect(() => {
+    fetchRuntimeConfig().then(setRuntimeConfig).catch(err => console.warn('Failed to load config, using cached:', err));
   }, []);
 
   useEffect(() => {
-    const loadData = async () => {
+    registerServiceWorker(loadData);
+    const handleOnlineChange = () => setIsOnline(navigator.onLine);
+    window.addEventListener('online', handleOnlineChange);
+    window.addEventListener('offline', handleOnlineChange);
+    return () => {
+        window.removeEventListener('online', handleOnlineChange);
+        window.removeEventListener('offline', handleOnlineChange);
+    };
+  }, [loadData]);
+
+  useEffect(() => {
+    const loadVisits = async () => {
         try {
-            const res = await fetch(API_URL);
+            const res = await fetch(`${API_BASE}/visits/summary`);
             if (!res.ok) throw new Error('API Error');
-            const raw = await res.json();
-            setAllStores(flattenStoreData(raw));
-            setLoading(false);
+            setLastVisits(await res.json());
         } catch (err) {
-            console.error(err);
-            setError('無法載入店家資料。');
-            setLoading(false);
+            console.warn('Failed to load visits:', err);
         }
     };
     loadData();
-  }, []);
+    loadVisits();
+  }, [loadData]);
   
   // 修正：定義缺失的 handleRecenter, handleCityChange, handleAreaChange, handleStoreSelect
   const handleRecenter = () => {
@@ -306,6 +879,7 @@ const App = () => {
   };
 
   const handleCityChange = (e) => {
+    setUrlView(null);
     setFilterCity(e.target.value);
     setFilterArea('');
     setFollowMode('none');
@@ -313,17 +887,37 @@ const App = () => {
   };
 
   const handleAreaChange = (e) => {
+    setUrlView(null);
     setFilterArea(e.target.value);
     setFollowMode('none');
     setIsRecenterForced(false);
   };
 
   const handleStoreSelect = (store) => {
+      setUrlView(null);
       setSelectedStore(store);
       setFollowMode('none');
       setIsRecenterForced(false);
   };
 
+  const handleCheckIn = useCallback(async (store) => {
+      const note = window.prompt(`${store.name} 打卡備註（可留空）`, '');
+      if (note === null) return;
+      try {
+          const res = await fetch(`${API_BASE}/visits`, {
+              method: 'POST',
+              headers: { 'Content-Type': 'application/json', 'X-User-Id': getUserId() },
+              body: JSON.stringify({ storeId: store.id, lat: userLocation?.lat ?? null, lng: userLocation?.lng ?? null, note }),
+          });
+          if (!res.ok) throw new Error('API Error');
+          const visit = await res.json();
+          setLastVisits(prev => ({ ...prev, [store.id]: visit.visitedAt }));
+      } catch (err) {
+          console.error(err);
+          setError('打卡失敗，請稍後再試。');
+      }
+  }, [userLocation]);
+
   const findLocationBasedOnStores = useCallback((location) => {
     if (!location || allStores.length === 0) return { city: DEFAULT_CITY, area: DEFAULT_AREA }; 
     let nearest = null, minDst = Infinity;
@@ -336,39 +930,106 @@ const App = () => {
     return nearest ? { city: nearest.city, area: nearest.area } : { city: DEFAULT_CITY, area: DEFAULT_AREA }; 
   }, [allStores]);
 
-  const startWatchingPosition = useCallback(async () => {
-    if (watchIdRef.current !== null) return;
-    if (!navigator.geolocation) { setError('瀏覽器不支持定位。'); return; }
+  const refreshTracks = useCallback(() => {
+      listTracks().then(setTracks).catch(err => console.warn('Failed to list tracks:', err));
+  }, []);
 
-    if (typeof DeviceOrientationEvent !== 'undefined' && typeof DeviceOrientationEvent.requestPermission === 'function') {
-        try {
-            const permission = await DeviceOrientationEvent.requestPermission();
-            if (permission === 'granted') window.addEventListener('deviceorientation', handleOrientation);
-        } catch (e) {}
-    } else {
-        window.addEventListener('deviceorientation', handleOrientation);
-    }
+  useEffect(() => { refreshTracks(); }, [refreshTracks]);
 
-    setFilterCity(''); setFilterArea(''); setSelectedStore(null); setIsWatching(true); setError(''); 
-    setFollowMode('center'); setIsRecenterForced(true);
+  const recordTrackPoint = useCallback((pos) => {
+      const track = recordingTrackRef.current;
+      if (!track || pos.coords.accuracy > MAX_TRACK_ACCURACY_M) return;
+      track.points.push(toTrackPoint(pos));
+      setRecordingPointCount(track.points.length);
+      if (track.points.length % TRACK_CHECKPOINT_POINTS === 0) {
+          saveTrack(summarizeTrack(track)).catch(err => console.warn('Track checkpoint failed:', err));
+      }
+  }, []);
+
+  // 結束記錄：少於兩點的軌跡不保存
+  const finishRecording = useCallback(() => {
+      const track = recordingTrackRef.current;
+      recordingTrackRef.current = null;
+      if (!track) return;
+      const save = track.points.length < 2
+          ? deleteTrack(track.id)
+          : saveTrack(summarizeTrack({ ...track, endedAt: new Date().toISOString() }));
+      save.then(refreshTracks).catch(err => console.warn('Failed to save track:', err));
+  }, [refreshTracks]);
 
+  const updateLocationSource = (source) => {
+      locationSourceRef.current = source;
+      setLocationSource(source);
+  };
+  userLocationRef.current = userLocation;
+  userHeadingRef.current = userHeading;
+
+  const clearLocationRetry = () => {
+      clearTimeout(locationRetryTimerRef.current);
+      locationRetryTimerRef.current = null;
+      locationRetryAttemptRef.current = 0;
+  };
+
+  // 追蹤模式的 watchPosition：逾時或無法定位時以退避間隔重新開始，權限被拒或重試用盡才結束追蹤
+  const beginWatchRef = useRef(null);
+  const beginWatch = useCallback(() => {
     watchIdRef.current = navigator.geolocation.watchPosition(
         (pos) => {
+            locationRetryAttemptRef.current = 0;
+            setLocationError(null);
+            updateLocationSource('gps');
             setUserLocation({ lat: pos.coords.latitude, lng: pos.coords.longitude });
-            if (pos.coords.heading && !isNaN(pos.coords.heading)) setUserHeading(pos.coords.heading);
+            updateCourse(pos.coords);
+            recordTrackPoint(pos);
         },
         (err) => {
             console.error(err);
-            if (watchIdRef.current) { navigator.geolocation.clearWatch(watchIdRef.current); watchIdRef.current = null; }
+            if (watchIdRef.current !== null) { navigator.geolocation.clearWatch(watchIdRef.current); watchIdRef.current = null; }
+            const code = classifyLocationError(err);
+            const attempt = locationRetryAttemptRef.current;
+            if (isRetryableLocationError(code) && attempt < MAX_LOCATION_RETRIES) {
+                const delay = locationRetryDelay(attempt);
+                locationRetryAttemptRef.current = attempt + 1;
+                setLocationError({ code, attempt: attempt + 1, retryInMs: delay });
+                locationRetryTimerRef.current = setTimeout(() => { locationRetryTimerRef.current = null; beginWatchRef.current(); }, delay);
+                return;
+            }
+            setLocationError({ code, attempt, retryInMs: null });
+            finishRecording();
             setIsWatching(false); setFollowMode('none'); setIsRecenterForced(false);
-            setFilterCity(DEFAULT_CITY); setFilterArea(DEFAULT_AREA);
+            const { city, area } = findLocationBasedOnStores(userLocationRef.current);
+            setFilterCity(city); setFilterArea(area);
         },
         { enableHighAccuracy: true, timeout: 10000, maximumAge: 0 }
     );
-  }, [handleOrientation]); 
+  }, [recordTrackPoint, finishRecording, findLocationBasedOnStores]);
+  beginWatchRef.current = beginWatch;
+
+  const startWatchingPosition = useCallback(async () => {
+    if (watchIdRef.current !== null) return;
+    if (!navigator.geolocation) { setLocationError({ code: 'unsupported', attempt: 0, retryInMs: null }); return; }
+
+    if (typeof DeviceOrientationEvent !== 'undefined' && typeof DeviceOrientationEvent.requestPermission === 'function') {
+        try {
+            const permission = await DeviceOrientationEvent.requestPermission();
+            if (permission === 'granted') window.addEventListener(ORIENTATION_EVENT, handleOrientation);
+        } catch (e) {}
+    } else {
+        window.addEventListener(ORIENTATION_EVENT, handleOrientation);
+    }
+
+    setFilterCity(''); setFilterArea(''); setSelectedStore(null); setIsWatching(true); setError(''); setUrlView(null);
+    alertedStoreIdsRef.current = new Set(); setProximityAlerts([]);
+    setFollowMode('center'); setIsRecenterForced(true);
+    recordingTrackRef.current = createTrack(proximityRadius); setRecordingPointCount(0); setReplay(null);
+    clearLocationRetry(); setLocationError(null);
+    beginWatch();
+  }, [handleOrientation, proximityRadius, beginWatch]); 
 
   const stopWatchingPosition = useCallback(() => {
       if (watchIdRef.current !== null) { navigator.geolocation.clearWatch(watchIdRef.current); watchIdRef.current = null; }
+      clearLocationRetry(); setLocationError(null);
+      finishRecording();
       setIsWatching(false);
       const { city, area } = findLocationBasedOnStores(userLocation);
       setFilterCity(city); setFilterArea(area);
@@ -377,49 +1038,145 @@ const App = () => {
       if (userLocation) { setFollowMode('center'); setIsRecenterForced(true); } 
       else { setFollowMode('none'); setIsRecenterForced(false); }
       
-  }, [findLocationBasedOnStores, userLocation]); 
+  }, [findLocationBasedOnStores, userLocation, finishRecording]); 
 
   useEffect(() => {
     if (isWatching) startWatchingPosition(); 
-    return () => { if (watchIdRef.current) navigator.geolocation.clearWatch(watchIdRef.current); };
+    return () => {
+        if (watchIdRef.current) navigator.geolocation.clearWatch(watchIdRef.current);
+        clearTimeout(locationRetryTimerRef.current);
+    };
   // eslint-disable-next-line react-hooks/exhaustive-deps
   }, []); 
 
+  // 單次定位 (靜態模式)：成功後依最近店家選擇縣市/區域；逾時或無法定位時以退避間隔重試
+  const locateOnceRef = useRef(null);
+  const locateOnce = useCallback((attempt = 0) => {
+    if (!navigator.geolocation) { setLocationError({ code: 'unsupported', attempt: 0, retryInMs: null }); return; }
+    // 期間已開始追蹤或手動設定位置時忽略結果
+    const isSuperseded = () => watchIdRef.current !== null || locationSourceRef.current === 'manual';
+    navigator.geolocation.getCurrentPosition(
+        (position) => {
+            if (isSuperseded()) return;
+            setLocationError(null);
+            const loc = { lat: position.coords.latitude, lng: position.coords.longitude };
+            setUserLocation(loc);
+            updateLocationSource('gps');
+            updateCourse(position.coords);
+
+            // 由深層連結開啟時保留連結指定的畫面
+            if (!hasDeepLinkRef.current) {
+                const { city, area } = findLocationBasedOnStores(loc);
+                replaceNextUrlRef.current = true;
+                setFilterCity(city); setFilterArea(area);
+                setFollowMode('center'); setIsRecenterForced(true);
+            }
+        },
+        (err) => {
+            if (isSuperseded()) return;
+            console.warn('Locating failed:', err);
+            const code = classifyLocationError(err);
+            const retry = isRetryableLocationError(code) && attempt < MAX_LOCATION_RETRIES;
+            const delay = locationRetryDelay(attempt);
+            setLocationError({ code, attempt: attempt + 1, retryInMs: retry ? delay : null });
+            if (retry) locationRetryTimerRef.current = setTimeout(() => { locationRetryTimerRef.current = null; locateOnceRef.current(attempt + 1); }, delay);
+        },
+        { enableHighAccuracy: true, timeout: 5000 }
+    );
+  }, [findLocationBasedOnStores]);
+  locateOnceRef.current = locateOnce;
+
+  // 店家資料載入後定位一次 (需要店家資料才能決定縣市/區域)
+  useEffect(() => {
+    if (loading || initialLocateStartedRef.current) return;
+    initialLocateStartedRef.current = true;
+    locateOnce();
+  }, [loading, locateOnce]);
+
   useEffect(() => {
-    if (navigator.geolocation) {
-        navigator.geolocation.getCurrentPosition(
-            (position) => {
-                const loc = { lat: position.coords.latitude, lng: position.coords.longitude };
-                setUserLocation(loc);
-                if (position.coords.heading && !isNaN(position.coords.heading)) setUserHeading(position.coords.heading);
-
-                if (!isWatching && allStores.length > 0) {
-                    const { city, area } = findLocationBasedOnStores(loc);
-                    setFilterCity(city); setFilterArea(area);
-                    setFollowMode('center'); setIsRecenterForced(true);
-                }
-            },
-            (err) => console.warn("Initial geo failed:", err),
-            { enableHighAccuracy: true, timeout: 5000 }
-        );
+    window.addEventListener(ORIENTATION_EVENT, handleOrientation);
+    return () => { window.removeEventListener(ORIENTATION_EVENT, handleOrientation); };
+  }, [handleOrientation]);
+
+  const handleLocationRetry = () => {
+      clearLocationRetry(); setLocationError(null);
+      if (!isWatching) locateOnce();
+      else if (watchIdRef.current === null) beginWatch();
+  };
+
+  // 手動設定位置：結束 GPS 追蹤，改以此位置篩選附近店家
+  const handleManualLocation = useCallback((latlng) => {
+      if (watchIdRef.current !== null) { navigator.geolocation.clearWatch(watchIdRef.current); watchIdRef.current = null; }
+      clearLocationRetry(); setLocationError(null);
+      finishRecording();
+      setIsWatching(false);
+      updateLocationSource('manual');
+      setUserLocation({ lat: latlng.lat, lng: latlng.lng }); setUserHeading(null); headingFilterRef.current.reset();
+      setFilterCity(''); setFilterArea(''); setSelectedStore(null); setUrlView(null);
+      setFollowMode('center'); setIsRecenterForced(true);
+  }, [finishRecording]);
+
+  const handleClearManualLocation = () => {
+      const { city, area } = findLocationBasedOnStores(userLocation);
+      updateLocationSource(null);
+      setUserLocation(null);
+      setFilterCity(city); setFilterArea(area); setSelectedStore(null);
+      setFollowMode('none'); setIsRecenterForced(false);
+      locateOnce();
+  };
+
+  const isManualLocation = locationSource === 'manual';
+  // 追蹤模式或手動位置：以目前位置的附近範圍篩選並依距離排序
+  const isProximityMode = isWatching || isManualLocation;
+
+  // 附近查詢的基準位置：與上次查詢位置相距不到 NEARBY_REFETCH_KM 時沿用，避免每次 GPS 更新都重新查詢
+  const [nearbyOrigin, setNearbyOrigin] = useState(null);
+  useEffect(() => {
+    setNearbyOrigin(prev => (userLocation && prev && getDistance(prev.lat, prev.lng, userLocation.lat, userLocation.lng) < NEARBY_REFETCH_KM ? prev : userLocation));
+  }, [userLocation]);
+
+  // 基準位置附近的候選店家；查詢半徑多加 NEARBY_REFETCH_KM，在基準位置附近移動時仍涵蓋目前位置的整個範圍
+  const [nearbyCandidates, setNearbyCandidates] = useState(null);
+  useEffect(() => {
+    if (!(nearbyOrigin && isProximityMode)) {
+        setNearbyCandidates(null);
+        return;
     }
-    window.addEventListener('deviceorientation', handleOrientation);
-    return () => { window.removeEventListener('deviceorientation', handleOrientation); };
-  }, [allStores, handleOrientation]); 
 
+    // 追蹤模式：由伺服器空間索引查詢附近店家，失敗時退回本機計算
+    const radius = proximityRadius + NEARBY_REFETCH_KM;
+    const controller = new AbortController();
+    const params = new URLSearchParams({ lat: nearbyOrigin.lat, lng: nearbyOrigin.lng, radius, limit: NEARBY_LIMIT });
+    fetch(`${API_BASE}/stores/nearby?${params}`, { signal: controller.signal })
+        .then(res => {
+            if (!res.ok) throw new Error('API Error');
+            return res.json();
+        })
+        .then(data => setNearbyCandidates(data.stores))
+        .catch(err => {
+            if (err.name === 'AbortError') return;
+            console.warn('Nearby query failed, scanning locally:', err);
+            setNearbyCandidates(allStores.filter(s => getDistance(nearbyOrigin.lat, nearbyOrigin.lng, s.lat, s.lng) <= radius));
+        });
+    return () => controller.abort();
+  }, [allStores, nearbyOrigin, proximityRadius, isProximityMode]);
+
+  // 附近模式的距離一律以目前位置重新計算
   useEffect(() => {
-    let results = [...allStores];
-    if (userLocation && isWatching) {
-        results = allStores.map(s => ({ ...s, distance: getDistance(userLocation.lat, userLocation.lng, s.lat, s.lng) }))
-            .filter(s => s.distance <= proximityRadius)
-            .sort((a, b) => a.distance - b.distance);
-    } else {
+    if (!(userLocation && isProximityMode)) {
+        let results = [...allStores];
         if (filterCity) results = results.filter(s => s.city === filterCity);
         if (filterArea) results = results.filter(s => s.area === filterArea);
         results = results.map(s => { const { distance, ...r } = s; return r; });
+        setFilteredStores(results);
+        return;
     }
-    setFilteredStores(results);
-  }, [allStores, filterCity, filterArea, userLocation, proximityRadius, isWatching]);
+    // 首次查詢完成前沿用目前清單
+    if (!nearbyCandidates) return;
+    setFilteredStores(nearbyCandidates.map(s => ({ ...s, distance: getDistance(userLocation.lat, userLocation.lng, s.lat, s.lng) }))
+        .filter(s => s.distance <= proximityRadius)
+        .sort((a, b) => a.distance - b.distance));
+  }, [allStores, filterCity, filterArea, userLocation, proximityRadius, isProximityMode, nearbyCandidates]);
 
   const cities = useMemo(() => [...new Set(allStores.map(s => s.city))].filter(Boolean).sort(), [allStores]);
   const areas = useMemo(() => {
@@ -427,6 +1184,53 @@ const App = () => {
       return [...new Set(allStores.filter(s => s.city === filterCity).map(s => s.area))].filter(Boolean).sort();
   }, [allStores, filterCity]);
 
+  useEffect(() => {
+      const timer = setInterval(() => setNow(new Date()), 60 * 1000);
+      return () => clearInterval(timer);
+  }, []);
+
+  // 收藏/標籤/營業中篩選與排序疊加在縣市/區域或附近範圍篩選之上
+  const knownTags = useMemo(() => collectTags(annotations), [annotations]);
+  const visibleStores = useMemo(() => {
+      const needsOpenStatus = filterOpenNow || sortBy === 'open';
+      let stores = filteredStores;
+      if (needsOpenStatus) stores = stores.map(s => ({ ...s, openStatus: getOpenStatus(s.hours, now) }));
+      if (filterFavourite || filterTag || filterOpenNow) {
+          stores = stores.filter(s => {
+              const annotation = annotations[s.id];
+              if (filterFavourite && !annotation?.favourite) return false;
+              if (filterTag && !annotation?.tags.includes(filterTag)) return false;
+              if (filterOpenNow && !s.openStatus?.isOpen) return false;
+              return true;
+          });
+      }
+      if (sortBy === 'default') return stores;
+
+      // 距離：附近模式已有 distance，其他模式有定位時才計算
+      const distanceOf = (s) => s.distance ?? (userLocation ? getDistance(userLocation.lat, userLocation.lng, s.lat, s.lng) : Infinity);
+      // 營業中 → 未提供營業時間 → 休息中
+      const openRank = (s) => s.openStatus?.isOpen ? 0 : s.openStatus ? 2 : 1;
+      const compare = {
+          distance: (a, b) => distanceOf(a) - distanceOf(b),
+          machines: (a, b) => (b.machineCount ?? -1) - (a.machineCount ?? -1) || distanceOf(a) - distanceOf(b),
+          open: (a, b) => openRank(a) - openRank(b) || distanceOf(a) - distanceOf(b),
+      }[sortBy];
+      return [...stores].sort(compare);
+  }, [filteredStores, annotations, filterFavourite, filterTag, filterOpenNow, sortBy, now, userLocation]);
+
+  useEffect(() => {
+      if (filterTag && !knownTags.includes(filterTag)) setFilterTag('');
+  }, [knownTags, filterTag]);
+
+  useEffect(() => {
+      if (isOnline) syncAnnotations(API_BASE).then(setAnnotations);
+  }, [isOnline]);
+
+  const handleAnnotationChange = (storeId, annotation) => {
+      setAnnotations(prev => applyAnnotation(prev, storeId, annotation));
+      saveAnnotation(API_BASE, storeId, annotation);
+  };
+
   const handleModeToggle = () => {
       if (followMode === 'none') {
           if (!userLocation) { startWatchingPosition(); return; }
@@ -439,6 +1243,347 @@ const App = () => {
       }
   };
   
+  const toggleRouteSelection = (store) => {
+      setRouteSelection(prev => prev.includes(store.id) ? prev.filter(id => id !== store.id) : [...prev, store.id]);
+  };
+
+  // useAll: 以目前列表中的所有店家規劃，否則只用勾選的店家
+  const handlePlanRoute = (useAll) => {
+      const stops = useAll ? visibleStores : allStores.filter(s => routeSelection.includes(s.id));
+      if (stops.length === 0) return;
+      setRoute(planRoute(userLocation, stops));
+      setNextStopIndex(0);
+  };
+
+  const handleClearRoute = () => {
+      setRoute(null);
+      setRouteSelection([]);
+      setNextStopIndex(0);
+      setIsNextStopMode(false);
+  };
+
+  const handleNextStopModeToggle = () => {
+      if (!isNextStopMode && !isWatching) startWatchingPosition();
+      setIsNextStopMode(!isNextStopMode);
+  };
+
+  // 下一站模式：追蹤中抵達下一站時自動前進
+  useEffect(() => {
+      if (!isNextStopMode || !isWatching || !userLocation || !route) return;
+      const nextStop = route.stops[nextStopIndex];
+      if (!nextStop) return;
+      if (getDistance(userLocation.lat, userLocation.lng, nextStop.store.lat, nextStop.store.lng) <= ARRIVAL_RADIUS_KM) {
+          setNextStopIndex(nextStopIndex + 1);
+      }
+  }, [isNextStopMode, isWatching, userLocation, route, nextStopIndex]);
+
+  // 下載目前縣市/區域店家範圍內的地圖圖磚供離線使用
+  const handlePrefetchTiles = async () => {
+      const urls = listTileUrls(filteredStores, runtimeConfig.tiles.url);
+      if (urls.length > MAX_PREFETCH_TILES) {
+          setTilePrefetch({ message: `範圍過大 (${urls.length} 張圖磚)，請先選擇區域。` });
+          return;
+      }
+      setTilePrefetch({ done: 0, total: urls.length });
+      try {
+          const { failed } = await prefetchTiles(urls, (done, total) => setTilePrefetch({ done, total }));
+          setTilePrefetch({ message: failed > 0 ? `離線地圖下載完成，${failed} 張失敗。` : '離線地圖下載完成。' });
+      } catch (err) {
+          console.error(err);
+          setTilePrefetch({ message: '離線地圖下載失敗。' });
+      }
+  };
+
+  // 搜尋：延遲送出查詢，離線時退回本機比對店名/地址
+  useEffect(() => {
+      const q = searchQuery.trim();
+      if (!q) { setSearchResults([]); return; }
+      const controller = new AbortController();
+      const timer = setTimeout(() => {
+          const params = new URLSearchParams({ q, limit: SEARCH_LIMIT });
+          fetch(`${API_BASE}/stores/search?${params}`, { signal: controller.signal })
+              .then(res => {
+                  if (!res.ok) throw new Error('API Error');
+                  return res.json();
+              })
+              .then(data => setSearchResults(data.stores))
+              .catch(err => {
+                  if (err.name === 'AbortError') return;
+                  console.warn('Search failed, matching locally:', err);
+                  setSearchResults(allStores.filter(s => s.name.includes(q) || s.address?.includes(q)).slice(0, SEARCH_LIMIT));
+              });
+      }, SEARCH_DEBOUNCE_MS);
+      return () => { clearTimeout(timer); controller.abort(); };
+  }, [searchQuery, allStores]);
+
+  const handleSearchResultSelect = (store) => {
+      setSearchQuery('');
+      setSearchResults([]);
+      handleStoreSelect(store);
+  };
+
+  const updatePresenceSettings = (patch) => {
+      setPresenceSettings(prev => {
+          const next = { ...prev, ...patch };
+          savePresenceSettings(next);
+          return next;
+      });
+  };
+
+  useEffect(() => {
+      if (!isPresenceReady(presenceSettings)) { setTeammates([]); return; }
+      return subscribePresence(API_BASE, presenceSettings.team, setTeammates);
+  }, [presenceSettings]);
+
+  // 追蹤時回報位置：位置變動時節流送出，靜止時定期重送以免被伺服器視為離線；停止追蹤或關閉分享時離開
+  const publishCurrentPresence = useCallback((settings) => {
+      const location = userLocationRef.current;
+      if (!location) return;
+      lastPresencePublishRef.current = Date.now();
+      publishPresence(API_BASE, settings, { ...location, heading: userHeadingRef.current })
+          .catch(err => console.warn('Failed to publish presence:', err));
+  }, []);
+
+  useEffect(() => {
+      if (!isWatching || !isPresenceReady(presenceSettings)) return;
+      const timer = setInterval(() => publishCurrentPresence(presenceSettings), PRESENCE_HEARTBEAT_MS);
+      // 關閉頁面時停止分享 (伺服器不再依 SSE 斷線移除成員)
+      const leave = () => leavePresence(API_BASE, presenceSettings.team);
+      window.addEventListener('pagehide', leave);
+      return () => { clearInterval(timer); window.removeEventListener('pagehide', leave); lastPresencePublishRef.current = 0; leave(); };
+  }, [isWatching, presenceSettings, publishCurrentPresence]);
+
+  useEffect(() => {
+      if (!isWatching || !userLocation || !isPresenceReady(presenceSettings)) return;
+      if (Date.now() - lastPresencePublishRef.current < PRESENCE_PUBLISH_INTERVAL_MS) return;
+      publishCurrentPresence(presenceSettings);
+  }, [isWatching, userLocation, userHeading, presenceSettings, publishCurrentPresence]);
+
+  // 記錄軌跡經過的店家 (追蹤模式下列表即為附近範圍內的店家)
+  useEffect(() => {
+      const track = recordingTrackRef.current;
+      if (!track || !isWatching) return;
+      const passedIds = new Set(track.passedStores.map(s => s.id));
+      filteredStores.forEach(s => {
+          if (s.distance === undefined || s.distance > proximityRadius || passedIds.has(s.id)) return;
+          track.passedStores.push({ id: s.id, name: s.name, lat: s.lat, lng: s.lng, passedAt: new Date().toISOString() });
+      });
+  }, [filteredStores, isWatching, proximityRadius]);
+
+  const handleTrackReplay = async (id) => {
+      const track = await getTrack(id);
+      if (!track) return;
+      setFollowMode('none'); setIsRecenterForced(false);
+      setReplay({ track, index: 0 });
+  };
+
+  // 回放動畫
+  useEffect(() => {
+      if (!replay || replay.index >= replay.track.points.length - 1) return;
+      const step = Math.max(1, Math.ceil(replay.track.points.length * REPLAY_FRAME_MS / REPLAY_DURATION_MS));
+      const timer = setTimeout(() => setReplay(prev => prev && { ...prev, index: Math.min(prev.index + step, prev.track.points.length - 1) }), REPLAY_FRAME_MS);
+      return () => clearTimeout(timer);
+  }, [replay]);
+
+  const handleTrackExport = async (id) => {
+      const track = await getTrack(id);
+      if (track) downloadGpx(track);
+  };
+
+  const handleTrackUpload = async (id) => {
+      try {
+          const track = await getTrack(id);
+          if (!track) return;
+          const res = await fetch(`${API_BASE}/tracks`, { method: 'POST', headers: { 'Content-Type': 'application/json', 'X-User-Id': getUserId() }, body: JSON.stringify(track) });
+          if (!res.ok) throw new Error('API Error');
+          await saveTrack({ ...track, uploadedAt: new Date().toISOString() });
+          refreshTracks();
+      } catch (err) {
+          console.error(err);
+          setError('軌跡上傳失敗，請稍後再試。');
+      }
+  };
+
+  const handleTrackDelete = async (id) => {
+      if (!window.confirm('確定刪除這段軌跡？')) return;
+      if (replay?.track.id === id) setReplay(null);
+      await deleteTrack(id).catch(err => console.warn('Failed to delete track:', err));
+      refreshTracks();
+  };
+
+  // 匯出目前縣市/區域的店家
+  const handleExport = (format) => {
+      if (!format) return;
+      const params = new URLSearchParams({ format });
+      if (filterCity) params.set('city', filterCity);
+      if (filterArea) params.set('area', filterArea);
+      window.open(`${API_BASE}/stores/export?${params}`, '_blank');
+  };
+
+  const handleAdminPin = useCallback((latlng) => {
+      setAdminDraft(prev => ({ ...prev, lat: latlng.lat.toFixed(6), lng: latlng.lng.toFixed(6) }));
+  }, []);
+
+  // 回報：選取店家並開啟回報表單
+  const handleReport = useCallback((store) => {
+      handleStoreSelect(store);
+      setReportDraft(createReportDraft(store));
+  }, []);
+
+  const handleReportPin = useCallback((latlng) => {
+      setReportDraft(prev => prev && ({ ...prev, lat: Number(latlng.lat.toFixed(6)), lng: Number(latlng.lng.toFixed(6)) }));
+  }, []);
+
+  const isReportRelocating = reportDraft?.type === 'relocated';
+  const reportPin = useMemo(
+      () => isReportRelocating ? { lat: reportDraft.lat, lng: reportDraft.lng, name: reportDraft.store.name } : null,
+      [isReportRelocating, reportDraft?.lat, reportDraft?.lng, reportDraft?.store]
+  );
+
+  // 回報重複店家時可選的附近店家
+  const reportCandidates = useMemo(() => {
+      if (reportDraft?.type !== 'duplicate') return [];
+      const { store } = reportDraft;
+      return allStores
+          .filter(s => s.id !== store.id)
+          .map(s => ({ id: s.id, name: s.name, distance: getDistance(store.lat, store.lng, s.lat, s.lng) }))
+          .filter(s => s.distance <= DUPLICATE_SEARCH_RADIUS_KM)
+          .sort((a, b) => a.distance - b.distance)
+          .slice(0, 10);
+  }, [allStores, reportDraft?.type, reportDraft?.store]);
+
+  // 深層連結：店家資料載入後選取網址指定的店家
+  useEffect(() => {
+      if (!pendingStoreIdRef.current || allStores.length === 0) return;
+      const store = allStores.find(s => s.id === pendingStoreIdRef.current);
+      pendingStoreIdRef.current = null;
+      if (!store) return;
+      setSelectedStore(store);
+      setFilterCity(store.city); setFilterArea(store.area);
+  }, [allStores]);
+
+  // 狀態同步到網址：店家/篩選變更新增歷史紀錄，其餘 (追蹤模式、地圖位置) 只取代目前紀錄
+  useEffect(() => {
+      if (pendingStoreIdRef.current) return;
+      urlStateRef.current = {
+          storeId: selectedStore?.id,
+          city: isProximityMode ? null : filterCity,
+          area: isProximityMode ? null : filterArea,
+          follow: followMode,
+      };
+      const url = buildUrl({ ...urlStateRef.current, view: mapViewRef.current });
+      const shouldReplace = replaceNextUrlRef.current;
+      replaceNextUrlRef.current = false;
+      if (url === window.location.pathname + window.location.search) return;
+      if (shouldReplace || url.split('?')[0] === window.location.pathname) window.history.replaceState(null, '', url);
+      else window.history.pushState(null, '', url);
+  }, [selectedStore, filterCity, filterArea, followMode, isProximityMode]);
+
+  const handleViewChange = useCallback((view) => {
+      mapViewRef.current = view;
+      if (pendingStoreIdRef.current) return;
+      window.history.replaceState(null, '', buildUrl({ ...urlStateRef.current, view }));
+  }, []);
+
+  // 瀏覽器上一頁/下一頁：依網址還原狀態
+  useEffect(() => {
+      const handlePopState = () => {
+          const state = parseUrlState();
+          const store = state.storeId ? allStores.find(s => s.id === state.storeId) : null;
+          replaceNextUrlRef.current = true;
+          mapViewRef.current = state.view;
+          setSelectedStore(store || null);
+          if (store) { setFilterCity(store.city); setFilterArea(store.area); }
+          else { setFilterCity(state.city || ''); setFilterArea(state.area || ''); }
+          setFollowMode(state.follow || 'none');
+          setIsRecenterForced(false);
+          setUrlView(state.view);
+      };
+      window.addEventListener('popstate', handlePopState);
+      return () => window.removeEventListener('popstate', handlePopState);
+  }, [allStores]);
+
+  // 追蹤中進入店家範圍時提醒
+  useEffect(() => {
+      if (!isWatching || !alertSettings.enabled) return;
+      const entered = filteredStores.filter(s =>
+          s.distance !== undefined && s.distance <= proximityRadius &&
+          !alertedStoreIdsRef.current.has(s.id) &&
+          !(alertSettings.onlyUnvisited && getVisitStatus(lastVisits[s.id]) === 'recent'));
+      if (entered.length === 0) return;
+
+      entered.forEach(s => alertedStoreIdsRef.current.add(s.id));
+      setProximityAlerts(prev => [...entered, ...prev].slice(0, 3));
+      if (alertSettings.vibrate) vibrate();
+      if (alertSettings.sound) playAlertSound();
+      if (alertSettings.notification) entered.forEach(store => showSystemNotification(store, () => handleProximityAlertSelect(store)));
+  // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [filteredStores, isWatching, proximityRadius, alertSettings, lastVisits]);
+
+  const dismissProximityAlert = (store) => setProximityAlerts(prev => prev.filter(s => s.id !== store.id));
+
+  const handleProximityAlertSelect = (store) => {
+      dismissProximityAlert(store);
+      handleStoreSelect(store);
+  };
+
+  const updateAlertSettings = async (changes) => {
+      const next = { ...alertSettings, ...changes };
+      if (changes.notification) {
+          const permission = await requestNotificationPermission();
+          if (permission !== 'granted') {
+              next.notification = false;
+              setError('未取得通知權限，無法使用系統通知。');
+          }
+      }
+      setAlertSettings(next);
+      saveAlertSettings(next);
+  };
+
+  const handleStatsToggle = async () => {
+      if (isStatsOpen) { setIsStatsOpen(false); return; }
+      setIsVersionsOpen(false);
+      setIsStatsOpen(true);
+      try {
+          const res = await fetch(`${API_BASE}/stats`);
+          if (!res.ok) throw new Error('API Error');
+          const data = await res.json();
+          setStats(data);
+          setStatsMetric(data.hasVisits ? 'coverage' : 'count');
+      } catch (err) {
+          console.error(err);
+          setIsStatsOpen(false);
+          setError('無法載入統計資料。');
+      }
+  };
+
+  const handleVersionsToggle = () => {
+      if (isVersionsOpen) { handleVersionsClose(); return; }
+      setIsStatsOpen(false);
+      setIsVersionsOpen(true);
+  };
+
+  const handleVersionsClose = () => {
+      setIsVersionsOpen(false);
+      setVersionDiff(null);
+  };
+
+  const handleVersionDiffLocate = (lat, lng) => {
+      setUrlView(null);
+      setFollowMode('none');
+      setIsRecenterForced(false);
+      if (mapControlRef.current) mapControlRef.current.flyTo(lat, lng, MAX_ZOOM);
+  };
+
+  const handleStatsAreaSelect = (area) => {
+      setUrlView(null);
+      setSelectedStore(null);
+      setFollowMode('none');
+      setIsRecenterForced(false);
+      setFilterCity(area.city);
+      setFilterArea(area.area);
+  };
+
   const handleMapDragStart = useCallback(() => {
       if (followMode !== 'none') setFollowMode('none');
   }, [followMode]);
@@ -447,6 +1592,7 @@ const App = () => {
       if (isRecenterForced && userLocation) return { lat: userLocation.lat, lng: userLocation.lng, zoom: 17 };
       if ((followMode === 'center' || followMode === 'compass') && userLocation) return { lat: userLocation.lat, lng: userLocation.lng, zoom: followMode === 'compass' ? MAX_ZOOM : 17 };
       if (selectedStore) return { lat: selectedStore.lat, lng: selectedStore.lng, zoom: MAX_ZOOM };
+      if (urlView) return { lat: urlView.lat, lng: urlView.lng, zoom: urlView.zoom ?? DEFAULT_STATIC_ZOOM };
       if (filteredStores.length > 0) {
           let lat = 0, lng = 0;
           filteredStores.forEach(s => { lat += s.lat; lng += s.lng; });
@@ -454,7 +1600,7 @@ const App = () => {
       }
       if (userLocation) return { lat: userLocation.lat, lng: userLocation.lng, zoom: 17 };
       return { lat: DEFAULT_STATIC_LAT, lng: DEFAULT_STATIC_LNG, zoom: DEFAULT_STATIC_ZOOM };
-  }, [userLocation, followMode, filteredStores, selectedStore, isRecenterForced]); 
+  }, [userLocation, followMode, filteredStores, selectedStore, isRecenterForced, urlView]); 
 
   return (
     <div className="flex flex-col h-[100dvh] bg-gray-50 font-sans overflow-hidden">
@@ -466,14 +1612,38 @@ const App = () => {
                 userLocation={userLocation}
                 userHeading={userHeading}
                 isWatching={isWatching}
-                stores={filteredStores}
+                isManualLocation={isManualLocation}
+                onLongPress={handleManualLocation}
+                tileConfig={runtimeConfig.tiles}
+                teammates={teammates}
+                stores={visibleStores}
                 selectedStore={selectedStore}
                 onStoreSelect={handleStoreSelect} 
                 proximityRadius={proximityRadius} 
                 mapControlRef={mapControlRef}
                 followMode={followMode}
                 onMapDragStart={handleMapDragStart}
+                lastVisits={lastVisits}
+                onCheckIn={handleCheckIn}
+                route={route}
+                nextStopIndex={nextStopIndex}
+                adminDraft={isAdminMode ? adminDraft : null}
+                onMapClick={isAdminMode ? handleAdminPin : isReportRelocating ? handleReportPin : null}
+                onAdminDraftMove={handleAdminPin}
+                onViewChange={handleViewChange}
+                stats={isStatsOpen ? stats : null}
+                versionDiff={versionDiff}
+                statsMetric={statsMetric}
+                replayTrack={replay?.track}
+                replayIndex={replay?.index ?? 0}
+                annotations={annotations}
+                now={now}
+                onReport={handleReport}
+                reportPin={reportPin}
+                onReportPinMove={handleReportPin}
             />
+            {isVersionsOpen && <VersionDiffPanel apiBase={API_BASE} city={isProximityMode ? '' : filterCity} area={isProximityMode ? '' : filterArea} diff={versionDiff} onDiffChange={setVersionDiff} onLocate={handleVersionDiffLocate} onClose={handleVersionsClose} />}
+            {isStatsOpen && <StatsDashboard stats={stats} metric={statsMetric} onMetricChange={setStatsMetric} onAreaSelect={handleStatsAreaSelect} onClose={() => setIsStatsOpen(false)} />}
             <div className="absolute bottom-4 right-4 z-[1000] flex flex-col gap-2">
                 {userLocation && (
                     <button onClick={handleRecenter} className={`p-3 rounded-full shadow-xl transition-all flex justify-center items-center border-2 ${isRecenterForced ? 'bg-blue-100 text-blue-700 border-2 border-blue-500' : 'bg-white text-blue-600 hover:bg-gray-100'}`} title="置中到我的位置">
@@ -489,27 +1659,128 @@ const App = () => {
                     {isWatching ? <svg xmlns="http://www.w3.org/2000/svg" className="h-6 w-6 animate-pulse" fill="none" viewBox="0 0 24 24" stroke="currentColor" strokeWidth={2}><path strokeLinecap="round" strokeLinejoin="round" d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z" /></svg> : <svg xmlns="http://www.w3.org/2000/svg" className="h-6 w-6" fill="none" viewBox="0 0 24 24" stroke="currentColor" strokeWidth={2}><path strokeLinecap="round" strokeLinejoin="round" d="M17.657 16.657L13.414 20.9a1.998 1.998 0 01-2.827 0l-4.244-4.243a8 8 0 1111.314 0z" /><path strokeLinecap="round" strokeLinejoin="round" d="M15 11a3 3 0 11-6 0 3 3 0 016 0z" /></svg>}
                 </button>
             </div>
+            {proximityAlerts.length > 0 && (
+                <div className="absolute bottom-4 left-4 right-20 z-[1000] flex flex-col gap-2 md:right-auto md:w-80">
+                    {proximityAlerts.map(store => (
+                        <div key={store.id} className="bg-white rounded-lg shadow-xl border-l-4 border-green-500 p-3 flex items-center gap-2">
+                            <div className="flex-1 min-w-0">
+                                <div className="text-xs text-green-700 font-medium">📍 進入店家範圍</div>
+                                <div className="font-bold text-gray-800 truncate">{store.name}</div>
+                            </div>
+                            <button onClick={() => handleProximityAlertSelect(store)} className="px-2 py-1 bg-blue-500 hover:bg-blue-600 text-white text-xs rounded">選取</button>
+                            <button onClick={() => { dismissProximityAlert(store); window.open(googleMapsDirectionsUrl(store), '_blank'); }} className="px-2 py-1 bg-green-600 hover:bg-green-700 text-white text-xs rounded">導航</button>
+                            <button onClick={() => dismissProximityAlert(store)} className="px-1 text-gray-400 hover:text-gray-600" title="關閉">✕</button>
+                        </div>
+                    ))}
+                </div>
+            )}
+            {locationError && !error && <div className="absolute top-14 left-4 right-4 z-[1000] md:right-auto md:w-96"><LocationBanner error={locationError} onRetry={handleLocationRetry} onManualLocation={handleManualLocation} onDismiss={() => setLocationError(null)} /></div>}
             {error && <div className="absolute top-4 left-4 right-4 z-[1000] bg-red-100 border border-red-400 text-red-700 px-4 py-2 rounded shadow-lg text-sm">{error}</div>}
-            {userLocation && <div className="absolute top-4 left-4 z-[1000] bg-white text-gray-700 px-3 py-1 rounded shadow-lg text-xs font-medium border border-gray-200">{isWatching ? <><span className="text-red-500">• 實時追蹤</span> | 方向: {userHeading !== null ? `${userHeading.toFixed(0)}°` : 'N/A'}</> : <span className="text-blue-500">• 靜態模式</span>}</div>}
+            {(dataStatus.fromCache || !isOnline) && <div className={`absolute top-4 right-4 z-[1000] px-3 py-1 rounded shadow-lg text-xs font-medium border ${isOnline ? 'bg-white text-gray-600 border-gray-200' : 'bg-amber-100 text-amber-800 border-amber-300'}`}>{isOnline ? '快取資料' : '離線模式'}{dataStatus.fromCache && ` · ${formatDataAge(dataStatus.cachedAt)}更新`}</div>}
+            {userLocation && <div className="absolute top-4 left-4 z-[1000] bg-white text-gray-700 px-3 py-1 rounded shadow-lg text-xs font-medium border border-gray-200">{isWatching ? <><span className="text-red-500">• 實時追蹤</span> | 方向: {userHeading !== null ? `${userHeading.toFixed(0)}°` : 'N/A'}</> : isManualLocation ? <span className="text-purple-600">• 手動位置</span> : <span className="text-blue-500">• 靜態模式</span>}</div>}
         </div>
         <div className={`bg-white shadow-[0_-4px_6px_-1px_rgba(0,0,0,0.1)] z-10 flex flex-col transition-all duration-300 ease-in-out flex-shrink-0 ${isListOpen ? 'h-[40vh]' : 'h-14'}`}>
             <div className="flex-shrink-0 p-3 border-b bg-gray-50 flex justify-between items-center cursor-pointer" onClick={handleListToggle}>
-                <h3 className="font-bold text-lg text-gray-700">{isWatching && userLocation ? '附近店家' : '靜態店家列表'} <span className="ml-2 text-sm font-normal text-gray-500">({filteredStores.length})</span></h3>
+                <h3 className="font-bold text-lg text-gray-700">{isProximityMode && userLocation ? '附近店家' : '靜態店家列表'} <span className="ml-2 text-sm font-normal text-gray-500">({visibleStores.length})</span></h3>
                 <button className="p-1 rounded-full text-gray-500 hover:text-gray-700 transition"><svg xmlns="http://www.w3.org/2000/svg" className={`h-6 w-6 transform transition-transform ${isListOpen ? 'rotate-180' : 'rotate-0'}`} fill="none" viewBox="0 0 24 24" stroke="currentColor" strokeWidth={2}><path strokeLinecap="round" strokeLinejoin="round" d="M5 15l7-7 7 7" /></svg></button>
             </div>
             <div className={`flex-1 overflow-y-auto ${isListOpen ? 'block' : 'hidden'}`}>
+                <div className="flex-shrink-0 px-4 pt-4 bg-white relative">
+                    <input type="search" value={searchQuery} onChange={(e) => setSearchQuery(e.target.value)} placeholder="搜尋店名或地址" className="p-2 border rounded text-sm w-full" />
+                    {searchQuery.trim() && (
+                        <div className="absolute left-4 right-4 mt-1 z-20 bg-white border rounded shadow-lg max-h-64 overflow-y-auto">
+                            {searchResults.length === 0 ? <div className="p-3 text-sm text-gray-500">找不到符合的店家</div> : searchResults.map(store => (
+                                <div key={store.id} onClick={() => handleSearchResultSelect(store)} className="p-3 border-b last:border-b-0 cursor-pointer hover:bg-blue-50">
+                                    <div className="font-medium text-gray-800 text-sm">{store.name}</div>
+                                    <div className="text-xs text-gray-500">{store.city} {store.area} · {store.address}</div>
+                                </div>
+                            ))}
+                        </div>
+                    )}
+                </div>
                 <div className="flex-shrink-0 p-4 border-b bg-white flex flex-col md:flex-row gap-2 items-start md:items-center">
                     <div className="flex gap-2 flex-wrap flex-grow">
-                        <select className="p-2 border rounded text-sm w-full md:w-auto" value={filterCity} onChange={handleCityChange} disabled={isWatching}><option value="">所有縣市</option>{cities.map(c => <option key={c} value={c}>{c}</option>)}</select>
-                        {filterCity && <select className="p-2 border rounded text-sm w-full md:w-auto" value={filterArea} onChange={handleAreaChange} disabled={isWatching}><option value="">所有區域</option>{areas.map(a => <option key={a} value={a}>{a}</option>)}</select>}
-                        {isWatching && userLocation && <select className="p-2 border border-green-300 bg-green-50 rounded text-sm text-green-800 font-medium w-full md:w-auto" value={proximityRadius} onChange={(e) => setProximityRadius(Number(e.target.value))}><option value="0.1">100 公尺</option><option value="0.2">200 公尺</option><option value="0.5">500 公尺</option><option value="1">1 km</option><option value="3">3 km</option><option value="5">5 km</option><option value="10">10 km</option><option value="20">20 km</option></select>}
+                        <select className="p-2 border rounded text-sm w-full md:w-auto" value={filterCity} onChange={handleCityChange} disabled={isProximityMode}><option value="">所有縣市</option>{cities.map(c => <option key={c} value={c}>{c}</option>)}</select>
+                        {filterCity && <select className="p-2 border rounded text-sm w-full md:w-auto" value={filterArea} onChange={handleAreaChange} disabled={isProximityMode}><option value="">所有區域</option>{areas.map(a => <option key={a} value={a}>{a}</option>)}</select>}
+                        {filterCity && !isWatching && <button onClick={handlePrefetchTiles} disabled={tilePrefetch?.total !== undefined && tilePrefetch.done < tilePrefetch.total} className="p-2 border border-blue-300 bg-blue-50 rounded text-sm text-blue-700 w-full md:w-auto disabled:opacity-60">{tilePrefetch?.total !== undefined && tilePrefetch.done < tilePrefetch.total ? `下載中 ${tilePrefetch.done}/${tilePrefetch.total}` : '下載離線地圖'}</button>}
+                        {tilePrefetch?.message && <span className="self-center text-xs text-gray-500">{tilePrefetch.message}</span>}
+                        {!isWatching && <select value="" onChange={(e) => handleExport(e.target.value)} className="p-2 border rounded text-sm w-full md:w-auto"><option value="">匯出…</option><option value="csv">CSV</option><option value="geojson">GeoJSON</option><option value="kml">KML (Google My Maps)</option><option value="gpx">GPX</option></select>}
+                        {isManualLocation && <button onClick={handleClearManualLocation} className="p-2 border border-purple-300 bg-purple-50 rounded text-sm text-purple-700 w-full md:w-auto">清除手動位置</button>}
+                        {!isWatching && (
+                            <details className="w-full md:w-64 text-sm">
+                                <summary className="p-2 border border-purple-300 bg-purple-50 rounded text-purple-700 cursor-pointer">設定位置</summary>
+                                <div className="mt-1 p-2 border rounded bg-white">
+                                    <AddressSearch onSelect={handleManualLocation} />
+                                    <div className="mt-1 text-xs text-gray-500">也可以長按地圖 (電腦上按右鍵) 設定位置</div>
+                                </div>
+                            </details>
+                        )}
+                        <label className="p-2 border border-amber-300 bg-amber-50 rounded text-sm text-amber-800 flex items-center gap-1 w-full md:w-auto"><input type="checkbox" checked={filterFavourite} onChange={(e) => setFilterFavourite(e.target.checked)} />只看收藏</label>
+                        {knownTags.length > 0 && <select className="p-2 border border-amber-300 bg-amber-50 rounded text-sm text-amber-800 w-full md:w-auto" value={filterTag} onChange={(e) => setFilterTag(e.target.value)}><option value="">所有標籤</option>{knownTags.map(t => <option key={t} value={t}>{t}</option>)}</select>}
+                        <label className="p-2 border border-green-300 bg-green-50 rounded text-sm text-green-800 flex items-center gap-1 w-full md:w-auto"><input type="checkbox" checked={filterOpenNow} onChange={(e) => setFilterOpenNow(e.target.checked)} />營業中</label>
+                        <select className="p-2 border rounded text-sm w-full md:w-auto" value={sortBy} onChange={(e) => setSortBy(e.target.value)} title="排序">
+                            <option value="default">預設排序</option>
+                            <option value="distance" disabled={!userLocation}>依距離</option>
+                            <option value="machines">依機台數</option>
+                            <option value="open">營業中優先</option>
+                        </select>
+                        <button onClick={handleStatsToggle} className={`p-2 border rounded text-sm w-full md:w-auto ${isStatsOpen ? 'bg-gray-700 text-white border-gray-700' : 'bg-white text-gray-700 border-gray-300'}`}>統計</button>
+                        <button onClick={handleVersionsToggle} className={`p-2 border rounded text-sm w-full md:w-auto ${isVersionsOpen ? 'bg-gray-700 text-white border-gray-700' : 'bg-white text-gray-700 border-gray-300'}`}>版本</button>
+                        <PresenceSettings settings={presenceSettings} onChange={updatePresenceSettings} teammateCount={teammates.length} />
+                        {runtimeConfig.adminEnabled && <button onClick={() => setIsAdminMode(!isAdminMode)} className={`p-2 border rounded text-sm w-full md:w-auto ${isAdminMode ? 'bg-purple-600 text-white border-purple-600' : 'bg-white text-purple-700 border-purple-300'}`}>管理</button>}
+                        {isWatching && (
+                            <details className="w-full md:w-auto text-sm">
+                                <summary className="p-2 border border-green-300 bg-green-50 rounded text-green-800 cursor-pointer">提醒設定</summary>
+                                <div className="mt-1 p-2 border rounded bg-white flex flex-col gap-1 text-gray-700">
+                                    <label className="flex items-center gap-2"><input type="checkbox" checked={alertSettings.enabled} onChange={(e) => updateAlertSettings({ enabled: e.target.checked })} />進入店家範圍時提醒</label>
+                                    <label className="flex items-center gap-2"><input type="checkbox" checked={alertSettings.vibrate} onChange={(e) => updateAlertSettings({ vibrate: e.target.checked })} />震動</label>
+                                    <label className="flex items-center gap-2"><input type="checkbox" checked={alertSettings.sound} onChange={(e) => updateAlertSettings({ sound: e.target.checked })} />音效</label>
+                                    <label className="flex items-center gap-2"><input type="checkbox" checked={alertSettings.notification} onChange={(e) => updateAlertSettings({ notification: e.target.checked })} />系統通知</label>
+                                    <label className="flex items-center gap-2"><input type="checkbox" checked={alertSettings.onlyUnvisited} onChange={(e) => updateAlertSettings({ onlyUnvisited: e.target.checked })} />只提醒 {VISIT_RECENT_DAYS} 天內未打卡的店家</label>
+                                </div>
+                            </details>
+                        )}
+                        {isProximityMode && userLocation && <select className="p-2 border border-green-300 bg-green-50 rounded text-sm text-green-800 font-medium w-full md:w-auto" value={proximityRadius} onChange={(e) => setProximityRadius(Number(e.target.value))}><option value="0.1">100 公尺</option><option value="0.2">200 公尺</option><option value="0.5">500 公尺</option><option value="1">1 km</option><option value="3">3 km</option><option value="5">5 km</option><option value="10">10 km</option><option value="20">20 km</option></select>}
                     </div>
                 </div>
+                {isAdminMode && <AdminPanel apiBase={API_BASE} draft={adminDraft} setDraft={setAdminDraft} selectedStore={selectedStore} cities={cities} onSaved={loadData} onLocateStore={handleStoreSelect} />}
+                <div className="flex-shrink-0 p-4 border-b bg-white flex flex-wrap gap-2 items-center">
+                    <button onClick={() => handlePlanRoute(false)} disabled={routeSelection.length === 0} className="px-3 py-1.5 bg-blue-600 hover:bg-blue-700 disabled:bg-gray-300 text-white text-sm rounded">規劃已選路線 ({routeSelection.length})</button>
+                    <button onClick={() => handlePlanRoute(true)} disabled={visibleStores.length === 0} className="px-3 py-1.5 bg-blue-100 hover:bg-blue-200 disabled:bg-gray-100 disabled:text-gray-400 text-blue-700 text-sm rounded">規劃列表全部</button>
+                    {(route || routeSelection.length > 0) && <button onClick={handleClearRoute} className="px-3 py-1.5 bg-gray-100 hover:bg-gray-200 text-gray-700 text-sm rounded">清除路線</button>}
+                </div>
+                {reportDraft && <ReportForm key={reportDraft.store.id} apiBase={API_BASE} draft={reportDraft} setDraft={setReportDraft} candidates={reportCandidates} onClose={() => setReportDraft(null)} />}
+                {selectedStore && <StoreAnnotationEditor store={selectedStore} annotation={annotations[selectedStore.id]} knownTags={knownTags} onChange={(annotation) => handleAnnotationChange(selectedStore.id, annotation)} />}
+                {selectedStore && isPresenceReady(presenceSettings) && <NearestTeammates apiBase={API_BASE} store={selectedStore} team={presenceSettings.team} />}
+                <TrackPanel tracks={tracks} isRecording={isWatching} recordingPointCount={recordingPointCount} replay={replay} onReplay={handleTrackReplay} onStopReplay={() => setReplay(null)} onExport={handleTrackExport} onUpload={handleTrackUpload} onDelete={handleTrackDelete} />
+                {route && (
+                    <div className="flex-shrink-0 p-4 border-b bg-blue-50">
+                        <div className="flex justify-between items-center mb-2">
+                            <span className="font-bold text-blue-800 text-sm">巡店路線 · {route.stops.length} 站 · {formatDistance(route.totalDistance)}</span>
+                            <button onClick={handleNextStopModeToggle} className={`px-3 py-1 text-xs rounded font-medium ${isNextStopMode ? 'bg-green-600 text-white' : 'bg-white text-green-700 border border-green-600'}`}>{isNextStopMode ? '下一站模式：開' : '下一站模式'}</button>
+                        </div>
+                        <ol className="space-y-1">
+                            {route.stops.map((stop, i) => (
+                                <li key={stop.store.id} onClick={() => handleStoreSelect(stop.store)} className={`flex justify-between text-sm px-2 py-1 rounded cursor-pointer ${i === nextStopIndex ? 'bg-green-100 text-green-800 font-bold' : i < nextStopIndex ? 'text-gray-400 line-through' : 'text-gray-700 hover:bg-blue-100'}`}>
+                                    <span>{i + 1}. {stop.store.name}</span>
+                                    <span className="flex-shrink-0 ml-2">{formatDistance(stop.legDistance)}</span>
+                                </li>
+                            ))}
+                        </ol>
+                        {nextStopIndex >= route.stops.length && <div className="mt-2 text-sm text-green-700 font-bold">🎉 路線完成</div>}
+                    </div>
+                )}
                 <div className="flex-1 overflow-y-auto p-4 space-y-3 bg-gray-100">
-                    {loading ? <div className="text-center py-10 text-gray-500">載入中...</div> : filteredStores.length === 0 ? <div className="text-center py-10 text-gray-500">無店家資料</div> : filteredStores.map(store => (
+                    {loading ? <div className="text-center py-10 text-gray-500">載入中...</div> : visibleStores.length === 0 ? <div className="text-center py-10 text-gray-500">無店家資料</div> : visibleStores.map(store => (
                         <div key={store.id} onClick={() => handleStoreSelect(store)} className={`p-4 bg-white rounded-lg shadow-sm border-l-4 cursor-pointer transition-all hover:shadow-md flex justify-between items-center ${selectedStore?.id === store.id ? 'border-blue-500 ring-2 ring-blue-300' : 'border-gray-200 hover:border-blue-300'}`}>
-                            <div><h4 className="font-bold text-gray-800">{store.name}</h4><p className="text-xs text-gray-500 mt-0.5">{store.address}</p></div>
-                            {store.distance !== undefined && <div className="text-right flex-shrink-0 ml-4"><span className="block text-lg font-extrabold text-green-600 leading-none">{store.distance < 1 ? (store.distance * 1000).toFixed(0) : store.distance.toFixed(1)}</span><span className="text-[10px] text-gray-500">{store.distance < 1 ? '公尺' : 'km'}</span></div>}
+                            <div><h4 className="font-bold text-gray-800">{store.name}</h4><p className="text-xs text-gray-500 mt-0.5">{store.address}</p><StoreListDetails store={store} now={now} /><span className={`inline-block mt-1 px-2 py-0.5 rounded-full text-[10px] font-medium ${VISIT_STATUS_BADGE_CLASSES[getVisitStatus(lastVisits[store.id])]}`}>{formatVisitAge(lastVisits[store.id])}</span>{annotations[store.id]?.tags.map(tag => <span key={tag} className="inline-block mt-1 ml-1 px-2 py-0.5 rounded-full text-[10px] bg-amber-100 text-amber-800">{tag}</span>)}{annotations[store.id]?.note && <p className="text-xs text-gray-600 mt-1 line-clamp-2">📝 {annotations[store.id].note}</p>}</div>
+                            <div className="flex items-center gap-3 flex-shrink-0 ml-4">
+                                <button onClick={(e) => { e.stopPropagation(); handleAnnotationChange(store.id, { ...(annotations[store.id] || EMPTY_ANNOTATION), favourite: !annotations[store.id]?.favourite }); }} className={`text-xl leading-none ${annotations[store.id]?.favourite ? 'text-amber-400' : 'text-gray-300 hover:text-amber-300'}`} title={annotations[store.id]?.favourite ? '取消收藏' : '收藏'}>{annotations[store.id]?.favourite ? '★' : '☆'}</button>
+                                <input type="checkbox" title="加入路線" checked={routeSelection.includes(store.id)} onClick={(e) => e.stopPropagation()} onChange={() => toggleRouteSelection(store)} className="h-4 w-4" />
+                                {store.distance !== undefined && <div className="text-right"><span className="block text-lg font-extrabold text-green-600 leading-none">{store.distance < 1 ? (store.distance * 1000).toFixed(0) : store.distance.toFixed(1)}</span><span className="text-[10px] text-gray-500">{store.distance < 1 ? '公尺' : 'km'}</span></div>}
+                                <button onClick={(e) => { e.stopPropagation(); handleCheckIn(store); }} className="px-3 py-1 bg-green-600 hover:bg-green-700 text-white text-xs font-medium rounded">打卡</button>
+                                <button onClick={(e) => { e.stopPropagation(); handleReport(store); }} className="px-2 py-1 bg-white border border-rose-300 text-rose-700 text-xs font-medium rounded" title="回報歇業、位置錯誤、改名或重複">回報</button>
+                            </div>
                         </div>
                     ))}
                 </div>
@@ -0,0 +1,90 @@
+// 離線支援：Service Worker 註冊、快取店家資料讀取與地圖圖磚預先下載
+
+// 需與 public/sw.js 的快取名稱一致
+const DATA_CACHE = 'patrol-data-v1';
+const TILE_CACHE = 'patrol-tiles-v2';
+
+// 預先下載的縮放層級與上限 (避免對 OSM 圖磚伺服器大量請求)
+export const PREFETCH_ZOOMS = [15, 16, 17, 18];
+export const MAX_PREFETCH_TILES = 3000;
+const PREFETCH_CONCURRENCY = 2;
+
+export const registerServiceWorker = (onStoresUpdated) => {
+  if (!('serviceWorker' in navigator) || !import.meta.env.PROD) return;
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register('/sw.js').catch(err => console.warn('Service worker registration failed:', err));
+  });
+  navigator.serviceWorker.addEventListener('message', (event) => {
+    if (event.data?.type === 'stores-updated') onStoresUpdated();
+  });
+};
+
+// 網路失敗時直接從快取讀取店家資料；回傳 { raw, cachedAt } 或 null
+export const loadCachedStores = async (url) => {
+  if (typeof caches === 'undefined') return null;
+  const cache = await caches.open(DATA_CACHE);
+  const res = await cache.match(url);
+  if (!res) return null;
+  return { raw: await res.json(), cachedAt: res.headers.get('X-Cached-At') };
+};
+
+export const formatDataAge = (isoTime, now = Date.now()) => {
+  if (!isoTime) return '時間不明';
+  const minutes = Math.floor((now - Date.parse(isoTime)) / 60000);
+  if (minutes < 1) return '剛剛';
+  if (minutes < 60) return `${minutes} 分鐘前`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `${hours} 小時前`;
+  return `${Math.floor(hours / 24)} 天前`;
+};
+
+const lngToTileX = (lng, z) => Math.floor((lng + 180) / 360 * 2 ** z);
+const latToTileY = (lat, z) => {
+  const rad = lat * Math.PI / 180;
+  return Math.floor((1 - Math.log(Math.tan(rad) + 1 / Math.cos(rad)) / Math.PI) / 2 * 2 ** z);
+};
+
+// 涵蓋店家範圍的所有圖磚網址；urlTemplate 如 https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png
+// 不帶子網域，與 Service Worker 的快取鍵一致
+export const listTileUrls = (stores, urlTemplate, zooms = PREFETCH_ZOOMS) => {
+  if (stores.length === 0) return [];
+  const lats = stores.map(s => s.lat), lngs = stores.map(s => s.lng);
+  const minLat = Math.min(...lats), maxLat = Math.max(...lats);
+  const minLng = Math.min(...lngs), maxLng = Math.max(...lngs);
+  const template = urlTemplate.replace('{s}.', '');
+  const urls = [];
+  for (const z of zooms) {
+    for (let x = lngToTileX(minLng, z); x <= lngToTileX(maxLng, z); x++) {
+      for (let y = latToTileY(maxLat, z); y <= latToTileY(minLat, z); y++) {
+        urls.push(template.replace('{z}', z).replace('{x}', x).replace('{y}', y));
+      }
+    }
+  }
+  return urls;
+};
+
+// 下載圖磚存入快取，已存在的略過；onProgress(done, total)
+export const prefetchTiles = async (urls, onProgress) => {
+  const cache = await caches.open(TILE_CACHE);
+  let done = 0, failed = 0, next = 0;
+  const worker = async () => {
+    while (next < urls.length) {
+      const url = urls[next++];
+      try {
+        if (!(await cache.match(url))) {
+          // 以 CORS 下載：opaque 回應無法確認是否成功，且每筆都占用大量快取配額
+          const res = await fetch(url, { mode: 'cors' });
+          if (!res.ok) throw new Error(`Tile request failed: ${res.status}`);
+          await cache.put(url, res);
+        }
+      } catch (err) {
+        failed++;
+      }
+      onProgress(++done, urls.length);
+    }
+  };
+  await Promise.all(Array.from({ length: PREFETCH_CONCURRENCY }, worker));
+  // 由 Service Worker 依快取上限刪除較早的圖磚
+  navigator.serviceWorker?.controller?.postMessage({ type: 'trim-tiles' });
+  return { total: urls.length, failed };
+};
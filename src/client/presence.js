@@ -0,0 +1,89 @@
+import { getUserId } from './annotations.js';
+
+// 團隊即時位置：設定存於本機，追蹤時回報位置並以 EventSource 接收隊友位置
+
+const SETTINGS_STORAGE_KEY = 'patrol-presence-settings';
+
+// 位置回報的最短間隔
+export const PRESENCE_PUBLISH_INTERVAL_MS = 3000;
+// 位置未變動時的重送間隔，需短於伺服器的離線判定時間 (60 秒)
+export const PRESENCE_HEARTBEAT_MS = 20000;
+
+export const DEFAULT_PRESENCE_SETTINGS = { enabled: false, name: '', team: '' };
+
+export const loadPresenceSettings = () => {
+  try {
+    return { ...DEFAULT_PRESENCE_SETTINGS, ...JSON.parse(localStorage.getItem(SETTINGS_STORAGE_KEY) || '{}') };
+  } catch (err) {
+    return DEFAULT_PRESENCE_SETTINGS;
+  }
+};
+
+export const savePresenceSettings = (settings) => {
+  localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(settings));
+};
+
+export const isPresenceReady = (settings) => settings.enabled && settings.team.trim() !== '' && settings.name.trim() !== '';
+
+export const publishPresence = async (apiBase, settings, { lat, lng, heading }) => {
+  const res = await fetch(`${apiBase}/presence`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'X-User-Id': getUserId() },
+    body: JSON.stringify({ team: settings.team.trim(), name: settings.name.trim(), lat, lng, heading: Number.isFinite(heading) ? heading : null }),
+  });
+  if (!res.ok) throw new Error('API Error');
+};
+
+// keepalive：頁面關閉途中也能送出
+export const leavePresence = (apiBase, team) =>
+  fetch(`${apiBase}/presence?team=${encodeURIComponent(team.trim())}`, { method: 'DELETE', headers: { 'X-User-Id': getUserId() }, keepalive: true })
+    .catch(err => console.warn('Failed to leave presence:', err));
+
+// 自己在團隊中的成員 id (伺服器不會送出 userId)；取得失敗時為 null
+const fetchSelfMemberId = async (apiBase, team) => {
+  try {
+    const params = new URLSearchParams({ team: team.trim() });
+    const res = await fetch(`${apiBase}/presence/self?${params}`, { headers: { 'X-User-Id': getUserId() } });
+    if (!res.ok) throw new Error('API Error');
+    return (await res.json()).id;
+  } catch (err) {
+    console.warn('Failed to fetch presence member id:', err);
+    return null;
+  }
+};
+
+// 訂閱隊友位置；onChange 收到不含自己的成員陣列。回傳取消訂閱的函式
+// 斷線時 EventSource 會自動重連，重連後的 snapshot 會取代現有資料
+export const subscribePresence = (apiBase, team, onChange) => {
+  const params = new URLSearchParams({ team: team.trim() });
+  const source = new EventSource(`${apiBase}/presence/stream?${params}`);
+  let members = new Map();
+  let selfId = null;
+  const emit = () => onChange([...members.values()].filter(m => m.id !== selfId));
+  fetchSelfMemberId(apiBase, team).then((id) => {
+    selfId = id;
+    emit();
+  });
+
+  source.addEventListener('snapshot', (e) => {
+    members = new Map(JSON.parse(e.data).map(m => [m.id, m]));
+    emit();
+  });
+  source.addEventListener('update', (e) => {
+    const member = JSON.parse(e.data);
+    members.set(member.id, member);
+    emit();
+  });
+  source.addEventListener('leave', (e) => {
+    members.delete(JSON.parse(e.data).id);
+    emit();
+  });
+  return () => source.close();
+};
+
+export const fetchNearestTeammates = async (apiBase, team, storeId) => {
+  const params = new URLSearchParams({ team: team.trim(), storeId });
+  const res = await fetch(`${apiBase}/presence/nearest?${params}`);
+  if (!res.ok) throw new Error('API Error');
+  return (await res.json()).members;
+};
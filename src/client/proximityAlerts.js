@@ -0,0 +1,69 @@
+// 追蹤時進入店家範圍的提醒：震動、音效與系統通知
+
+const SETTINGS_STORAGE_KEY = 'patrol-alert-settings';
+
+export const DEFAULT_ALERT_SETTINGS = {
+  enabled: true,
+  vibrate: true,
+  sound: true,
+  notification: false,
+  // 只提醒近期 (VISIT_RECENT_DAYS 內) 未打卡的店家
+  onlyUnvisited: false,
+};
+
+export const loadAlertSettings = () => {
+  try {
+    return { ...DEFAULT_ALERT_SETTINGS, ...JSON.parse(localStorage.getItem(SETTINGS_STORAGE_KEY) || '{}') };
+  } catch (err) {
+    return DEFAULT_ALERT_SETTINGS;
+  }
+};
+
+export const saveAlertSettings = (settings) => {
+  localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(settings));
+};
+
+export const vibrate = () => {
+  if (navigator.vibrate) navigator.vibrate([200, 100, 200]);
+};
+
+let audioContext = null;
+
+// 以 Web Audio 產生提示音，不需額外音檔
+export const playAlertSound = () => {
+  const AudioContext = window.AudioContext || window.webkitAudioContext;
+  if (!AudioContext) return;
+  if (!audioContext) audioContext = new AudioContext();
+  const now = audioContext.currentTime;
+  [0, 0.18].forEach((offset) => {
+    const oscillator = audioContext.createOscillator();
+    const gain = audioContext.createGain();
+    oscillator.frequency.value = 880;
+    gain.gain.setValueAtTime(0.2, now + offset);
+    gain.gain.exponentialRampToValueAtTime(0.001, now + offset + 0.15);
+    oscillator.connect(gain).connect(audioContext.destination);
+    oscillator.start(now + offset);
+    oscillator.stop(now + offset + 0.15);
+  });
+};
+
+export const requestNotificationPermission = async () => {
+  if (typeof Notification === 'undefined') return 'unsupported';
+  if (Notification.permission !== 'default') return Notification.permission;
+  return Notification.requestPermission();
+};
+
+// 點擊通知時回到 App 並執行 onClick
+export const showSystemNotification = (store, onClick) => {
+  if (typeof Notification === 'undefined' || Notification.permission !== 'granted') return;
+  const notification = new Notification(`附近店家：${store.name}`, {
+    body: [store.city, store.area, store.address].filter(Boolean).join(' '),
+    tag: `proximity-${store.id}`,
+    icon: '/icon.svg',
+  });
+  notification.onclick = () => {
+    window.focus();
+    onClick();
+    notification.close();
+  };
+};
@@ -0,0 +1,57 @@
+// 店家狀態回報：送出後由管理者審核，核准後才會套用到店家資料
+import { getUserId } from './annotations.js';
+import { apiErrorMessage } from './config.js';
+
+export const REPORT_TYPE_LABELS = { closed: '已歇業', relocated: '位置錯誤', renamed: '店名變更', duplicate: '重複店家' };
+
+export const REPORT_STATUS_LABELS = { pending: '待審核', approved: '已核准', rejected: '已駁回' };
+
+// 候選重複店家的搜尋範圍 (公里)
+export const DUPLICATE_SEARCH_RADIUS_KM = 0.3;
+
+// 上傳前縮小照片，避免手機原圖過大
+const MAX_PHOTO_DIMENSION = 1280;
+const PHOTO_QUALITY = 0.8;
+
+export const createReportDraft = (store) => ({ store, type: 'closed', name: store.name, lat: store.lat, lng: store.lng, duplicateOf: '', note: '', photo: null });
+
+// 讀取照片並縮成 JPEG data URL
+export const readReportPhoto = (file) => new Promise((resolve, reject) => {
+  const url = URL.createObjectURL(file);
+  const image = new Image();
+  image.onload = () => {
+    const scale = Math.min(1, MAX_PHOTO_DIMENSION / Math.max(image.width, image.height));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(image.width * scale);
+    canvas.height = Math.round(image.height * scale);
+    canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+    URL.revokeObjectURL(url);
+    resolve(canvas.toDataURL('image/jpeg', PHOTO_QUALITY));
+  };
+  image.onerror = () => {
+    URL.revokeObjectURL(url);
+    reject(new Error('無法讀取照片'));
+  };
+  image.src = url;
+});
+
+// 依類型只送出需要的欄位
+export const toReportBody = (draft) => {
+  const body = { storeId: draft.store.id, type: draft.type, note: draft.note.trim() };
+  if (draft.type === 'relocated') Object.assign(body, { lat: Number(draft.lat), lng: Number(draft.lng) });
+  if (draft.type === 'renamed') body.name = draft.name.trim();
+  if (draft.type === 'duplicate') body.duplicateOf = draft.duplicateOf;
+  if (draft.photo) body.photo = draft.photo;
+  return body;
+};
+
+export const submitReport = async (apiBase, draft) => {
+  const res = await fetch(`${apiBase}/reports`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'X-User-Id': getUserId() },
+    body: JSON.stringify(toReportBody(draft)),
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(res.status === 409 ? '已回報過，等待審核中' : apiErrorMessage(data));
+  return data;
+};
@@ -0,0 +1,70 @@
+import { getDistance } from '../shared/geo.js';
+
+// 超過此站數時只做最近鄰，不再做 2-opt (O(n²) 每輪)
+const TWO_OPT_MAX_STOPS = 300;
+const TWO_OPT_MAX_PASSES = 50;
+
+// 抵達判定距離 (公里)
+export const ARRIVAL_RADIUS_KM = 0.05;
+
+const dist = (a, b) => getDistance(a.lat, a.lng, b.lat, b.lng);
+
+// 從起點出發的最近鄰順序
+const nearestNeighbour = (start, stores) => {
+  const remaining = [...stores];
+  const order = [];
+  let current = start;
+  while (remaining.length > 0) {
+    let bestIndex = 0, bestDst = Infinity;
+    remaining.forEach((s, i) => {
+      const d = dist(current, s);
+      if (d < bestDst) { bestDst = d; bestIndex = i; }
+    });
+    current = remaining.splice(bestIndex, 1)[0];
+    order.push(current);
+  }
+  return order;
+};
+
+// 2-opt 改善開放路徑 (起點固定，不需回到起點)
+const twoOpt = (start, order) => {
+  const path = [start, ...order];
+  let improved = true;
+  for (let pass = 0; improved && pass < TWO_OPT_MAX_PASSES; pass++) {
+    improved = false;
+    for (let i = 0; i < path.length - 2; i++) {
+      for (let k = i + 2; k < path.length; k++) {
+        const a = path[i], b = path[i + 1], c = path[k], d = path[k + 1];
+        const before = dist(a, b) + (d ? dist(c, d) : 0);
+        const after = dist(a, c) + (d ? dist(b, d) : 0);
+        if (after < before - 1e-9) {
+          const reversed = path.slice(i + 1, k + 1).reverse();
+          path.splice(i + 1, reversed.length, ...reversed);
+          improved = true;
+        }
+      }
+    }
+  }
+  return path.slice(1);
+};
+
+// 規劃巡店順序；start 為 { lat, lng }，未提供時由第一家店出發
+// 回傳 { start, stops: [{ store, legDistance }], totalDistance }
+export const planRoute = (start, stores) => {
+  if (stores.length === 0) return { start, stops: [], totalDistance: 0 };
+  const origin = start || stores[0];
+  let order = nearestNeighbour(origin, stores);
+  if (order.length <= TWO_OPT_MAX_STOPS) order = twoOpt(origin, order);
+
+  let previous = origin;
+  let totalDistance = 0;
+  const stops = order.map(store => {
+    const legDistance = dist(previous, store);
+    totalDistance += legDistance;
+    previous = store;
+    return { store, legDistance };
+  });
+  return { start: origin, stops, totalDistance };
+};
+
+export const formatDistance = (km) => km < 1 ? `${(km * 1000).toFixed(0)} 公尺` : `${km.toFixed(1)} km`;
@@ -0,0 +1,101 @@
+import { getDistance } from '../shared/geo.js';
+
+// 巡店軌跡：以 IndexedDB 保存在本機 (軌跡點數量可能超過 localStorage 容量)
+
+const DB_NAME = 'patrol-master';
+const DB_VERSION = 1;
+const TRACK_STORE = 'tracks';
+
+// 精度太差 (公尺) 的定位點不記錄
+export const MAX_TRACK_ACCURACY_M = 100;
+
+const openDb = () => new Promise((resolve, reject) => {
+  const request = indexedDB.open(DB_NAME, DB_VERSION);
+  request.onupgradeneeded = () => request.result.createObjectStore(TRACK_STORE, { keyPath: 'id' });
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const withStore = async (mode, action) => {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(TRACK_STORE, mode);
+    const request = action(tx.objectStore(TRACK_STORE));
+    tx.oncomplete = () => { db.close(); resolve(request.result); };
+    tx.onerror = () => { db.close(); reject(tx.error); };
+  });
+};
+
+export const saveTrack = (track) => withStore('readwrite', store => store.put(track));
+export const getTrack = (id) => withStore('readonly', store => store.get(id));
+export const deleteTrack = (id) => withStore('readwrite', store => store.delete(id));
+
+// 新到舊，不含軌跡點
+export const listTracks = async () => {
+  const tracks = await withStore('readonly', store => store.getAll());
+  return tracks
+    .map(({ points, ...summary }) => summary)
+    .sort((a, b) => b.startedAt.localeCompare(a.startedAt));
+};
+
+export const createTrack = (proximityRadius) => ({
+  id: `trk_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+  startedAt: new Date().toISOString(),
+  endedAt: null,
+  proximityRadius,
+  points: [],
+  passedStores: [],
+  distanceKm: 0,
+  durationMs: 0,
+  uploadedAt: null,
+});
+
+// 由 GeolocationPosition 轉成軌跡點
+export const toTrackPoint = (pos) => ({
+  t: pos.timestamp,
+  lat: pos.coords.latitude,
+  lng: pos.coords.longitude,
+  accuracy: pos.coords.accuracy,
+  heading: Number.isFinite(pos.coords.heading) ? pos.coords.heading : null,
+  speed: Number.isFinite(pos.coords.speed) ? pos.coords.speed : null,
+});
+
+// 重新計算距離與時間
+export const summarizeTrack = (track) => {
+  let distanceKm = 0;
+  for (let i = 1; i < track.points.length; i++) {
+    const a = track.points[i - 1], b = track.points[i];
+    distanceKm += getDistance(a.lat, a.lng, b.lat, b.lng);
+  }
+  const first = track.points[0], last = track.points[track.points.length - 1];
+  return { ...track, distanceKm, durationMs: first && last ? last.t - first.t : 0 };
+};
+
+export const formatDuration = (ms) => {
+  const minutes = Math.round(ms / 60000);
+  if (minutes < 60) return `${minutes} 分鐘`;
+  return `${Math.floor(minutes / 60)} 小時 ${minutes % 60} 分`;
+};
+
+const escapeXml = (value) =>
+  String(value ?? '').replace(/[<>&'"]/g, ch => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', "'": '&apos;', '"': '&quot;' })[ch]);
+
+export const trackToGpx = (track) => `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="巡台神器" xmlns="http://www.topografix.com/GPX/1/1">
+<metadata><name>${escapeXml(`巡店 ${new Date(track.startedAt).toLocaleString('zh-TW')}`)}</name><time>${track.startedAt}</time></metadata>
+${track.passedStores.map(s => `<wpt lat="${s.lat}" lon="${s.lng}"><name>${escapeXml(s.name)}</name></wpt>`).join('\n')}
+<trk><name>巡店軌跡</name><trkseg>
+${track.points.map(p => `<trkpt lat="${p.lat}" lon="${p.lng}"><time>${new Date(p.t).toISOString()}</time></trkpt>`).join('\n')}
+</trkseg></trk>
+</gpx>
+`;
+
+export const downloadGpx = (track) => {
+  const blob = new Blob([trackToGpx(track)], { type: 'application/gpx+xml' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `patrol-${track.startedAt.slice(0, 10)}-${track.id}.gpx`;
+  link.click();
+  URL.revokeObjectURL(url);
+};
@@ -0,0 +1,49 @@
+// 網址與 App 狀態的對應：
+//   /store/:id            選取的店家
+//   /area/:city[/:area]   縣市/區域篩選
+//   ?map=lat,lng,zoom     地圖中心與縮放
+//   ?follow=center|compass 追蹤模式
+
+const FOLLOW_MODES = ['center', 'compass'];
+
+// 格式錯誤的網址 (例如 /store/%E0) 解碼會丟出 URIError，此時忽略路徑，回到預設畫面
+const decodePathSegments = (pathname) => {
+  try {
+    return pathname.split('/').filter(Boolean).map(decodeURIComponent);
+  } catch (err) {
+    return [];
+  }
+};
+
+export const parseUrlState = (location = window.location) => {
+  const state = { storeId: null, city: null, area: null, view: null, follow: null };
+  const segments = decodePathSegments(location.pathname);
+  if (segments[0] === 'store' && segments[1]) {
+    state.storeId = segments[1];
+  } else if (segments[0] === 'area' && segments[1]) {
+    state.city = segments[1];
+    state.area = segments[2] || '';
+  }
+
+  const params = new URLSearchParams(location.search);
+  const [lat, lng, zoom] = (params.get('map') || '').split(',').map(Number);
+  if (Number.isFinite(lat) && Number.isFinite(lng)) {
+    state.view = { lat, lng, zoom: Number.isFinite(zoom) ? zoom : null };
+  }
+  if (FOLLOW_MODES.includes(params.get('follow'))) state.follow = params.get('follow');
+  return state;
+};
+
+export const buildUrl = ({ storeId, city, area, view, follow }) => {
+  let path = '/';
+  if (storeId) path = `/store/${encodeURIComponent(storeId)}`;
+  else if (city) path = `/area/${encodeURIComponent(city)}${area ? `/${encodeURIComponent(area)}` : ''}`;
+
+  const params = new URLSearchParams();
+  if (view) params.set('map', `${view.lat.toFixed(5)},${view.lng.toFixed(5)},${view.zoom}`);
+  if (follow && FOLLOW_MODES.includes(follow)) params.set('follow', follow);
+  const query = params.toString().replace(/%2C/g, ',');
+  return query ? `${path}?${query}` : path;
+};
+
+export const hasDeepLink = (state) => Boolean(state.storeId || state.city || state.view);
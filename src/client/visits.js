@@ -0,0 +1,32 @@
+// 打卡紀錄的狀態判斷與顯示
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// 超過此天數未巡視即視為過期
+export const VISIT_RECENT_DAYS = 7;
+
+// 'never'(從未打卡) | 'recent'(7 天內) | 'stale'(過期)
+export const getVisitStatus = (lastVisitedAt, now = Date.now()) => {
+  if (!lastVisitedAt) return 'never';
+  return now - Date.parse(lastVisitedAt) < VISIT_RECENT_DAYS * DAY_MS ? 'recent' : 'stale';
+};
+
+export const VISIT_STATUS_COLORS = {
+  never: '#FF0000',
+  recent: '#16A34A',
+  stale: '#F59E0B',
+};
+
+export const VISIT_STATUS_BADGE_CLASSES = {
+  never: 'bg-red-100 text-red-700',
+  recent: 'bg-green-100 text-green-700',
+  stale: 'bg-amber-100 text-amber-700',
+};
+
+export const formatVisitAge = (lastVisitedAt, now = Date.now()) => {
+  if (!lastVisitedAt) return '未巡';
+  const days = Math.floor((now - Date.parse(lastVisitedAt)) / DAY_MS);
+  if (days <= 0) return '今天';
+  if (days === 1) return '昨天';
+  return `${days} 天前`;
+};
@@ -0,0 +1,24 @@
+import { sendApiError } from "./apiErrors.js";
+
+// 解析 "名稱:token,名稱:token" 格式的環境變數 (ADMIN_TOKENS、API_KEYS)，回傳 Map<token, 名稱>
+export const parseTokens = (value = "") => {
+  const tokens = new Map();
+  for (const pair of value.split(",")) {
+    const separator = pair.indexOf(":");
+    if (separator <= 0) continue;
+    const user = pair.slice(0, separator).trim();
+    const token = pair.slice(separator + 1).trim();
+    if (user && token) tokens.set(token, user);
+  }
+  return tokens;
+};
+
+// 驗證 Authorization: Bearer <token>，通過後將管理者名稱存於 req.adminUser
+export const requireAdmin = (tokens) => (req, res, next) => {
+  if (tokens.size === 0) return sendApiError(res, 503, "Admin API is not configured");
+  const match = /^Bearer\s+(.+)$/i.exec(req.get("Authorization") || "");
+  const user = match && tokens.get(match[1].trim());
+  if (!user) return sendApiError(res, 401, "Unauthorized");
+  req.adminUser = user;
+  next();
+};
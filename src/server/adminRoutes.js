@@ -0,0 +1,194 @@
+import express from "express";
+import { requireAdmin } from "./adminAuth.js";
+import { sendApiError } from "./apiErrors.js";
+import { validateStoreFields } from "./storeValidation.js";
+import { parseCsv, parseGeoJson } from "./storeFormats.js";
+import { diffStores } from "./storeImport.js";
+import { REPORT_STATUSES, MAX_REPORT_NOTE_LENGTH } from "./reportStore.js";
+
+const IMPORT_PARSERS = { csv: parseCsv, geojson: parseGeoJson };
+
+// 匯入會上傳整份 CSV/GeoJSON，只有這個路由在驗證 token 後以較大的上限解析 body
+export const IMPORT_PATH = "/import";
+const IMPORT_BODY_LIMIT = "10mb";
+
+const reviewNoteOf = (req) => (typeof req.body?.note === "string" ? req.body.note.trim().slice(0, MAX_REPORT_NOTE_LENGTH) : "");
+
+// 核准回報時對店家資料的變更；歇業與重複都刪除被回報的店家
+const applyReport = (repository, report, meta) => {
+  switch (report.type) {
+    case "relocated":
+      return repository.update(report.storeId, { lat: report.lat, lng: report.lng }, meta);
+    case "renamed":
+      return repository.update(report.storeId, { name: report.name }, meta);
+    default:
+      return repository.remove(report.storeId, meta);
+  }
+};
+
+// 店家資料管理 API：/api/admin/*
+export const createAdminRouter = ({ repository, changeLog, reportStore, snapshotStore, adminTokens }) => {
+  const router = express.Router();
+  router.use(requireAdmin(adminTokens));
+
+  // 寫入歷史版本的變動資訊
+  const metaOf = (req, action) => ({ user: req.adminUser, action });
+
+  const record = (req, action, storeId, { before, after }) =>
+    changeLog.append({ user: req.adminUser, action, storeId, before, after }).catch((err) => {
+      console.error("Failed to write change log:", err);
+    });
+
+  router.get("/changes", async (req, res) => {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+    try {
+      res.json(await changeLog.list(limit));
+    } catch (err) {
+      console.error("Failed to read change log:", err);
+      sendApiError(res, 500, "Failed to read change log");
+    }
+  });
+
+  // 匯入 CSV/GeoJSON：{ format, content, dryRun, removeMissing }
+  // dryRun 時只回傳差異；套用時 removeMissing 才會刪除匯入範圍內未出現的店家
+  router.post(IMPORT_PATH, express.json({ limit: IMPORT_BODY_LIMIT }), async (req, res) => {
+    const { format, content, dryRun = true, removeMissing = false } = req.body || {};
+    const parse = IMPORT_PARSERS[format];
+    if (!parse) return sendApiError(res, 400, `format must be one of ${Object.keys(IMPORT_PARSERS).join(", ")}`);
+    if (content === undefined || content === null || content === "") return sendApiError(res, 400, "content is required");
+
+    let records;
+    try {
+      records = parse(content);
+    } catch (err) {
+      return sendApiError(res, 400, `Failed to parse ${format}`, [err.message]);
+    }
+
+    const diff = diffStores(repository.stores, records);
+    if (dryRun) return res.json({ dryRun: true, ...diff });
+
+    try {
+      const result = await repository.applyImport(diff, { removeMissing }, metaOf(req, "import"));
+      await record(req, "import", null, { before: null, after: { format, ...result } });
+      res.json({ dryRun: false, ...diff, applied: result });
+    } catch (err) {
+      console.error("Failed to import stores:", err);
+      sendApiError(res, 500, "Failed to save data file");
+    }
+  });
+
+  router.post("/stores", async (req, res) => {
+    const { value, errors } = validateStoreFields(req.body);
+    if (errors.length > 0) return sendApiError(res, 400, "Invalid store", errors);
+    try {
+      const change = await repository.create(value, metaOf(req, "create"));
+      await record(req, "create", change.after.id, change);
+      res.status(201).json(repository.get(change.after.id) || change.after);
+    } catch (err) {
+      console.error("Failed to create store:", err);
+      sendApiError(res, 500, "Failed to save data file");
+    }
+  });
+
+  router.put("/stores/:id", async (req, res) => {
+    const { value, errors } = validateStoreFields(req.body, { partial: true });
+    if (errors.length > 0) return sendApiError(res, 400, "Invalid store", errors);
+    try {
+      const change = await repository.update(req.params.id, value, metaOf(req, "update"));
+      if (!change) return sendApiError(res, 404, "Store not found");
+      await record(req, "update", req.params.id, change);
+      res.json(repository.get(req.params.id) || change.after);
+    } catch (err) {
+      console.error("Failed to update store:", err);
+      sendApiError(res, 500, "Failed to save data file");
+    }
+  });
+
+  router.delete("/stores/:id", async (req, res) => {
+    try {
+      const change = await repository.remove(req.params.id, metaOf(req, "delete"));
+      if (!change) return sendApiError(res, 404, "Store not found");
+      await record(req, "delete", req.params.id, change);
+      res.status(204).end();
+    } catch (err) {
+      console.error("Failed to delete store:", err);
+      sendApiError(res, 500, "Failed to save data file");
+    }
+  });
+
+  // 回復到歷史版本：{ version }；回復本身也會成為新的版本
+  router.post("/rollback", async (req, res) => {
+    const version = snapshotStore.get(req.body?.version);
+    if (!version) return sendApiError(res, 404, "Version not found");
+    // 尚無任何版本 (例如版本索引載入失敗) 時不回復；有版本後索引不會再變空，回復後的 latest 一定存在
+    if (!snapshotStore.latest) return sendApiError(res, 409, "No current version to roll back from");
+    try {
+      const source = await snapshotStore.source(version.id);
+      if (!source) return sendApiError(res, 404, "Version not found");
+      const before = { version: snapshotStore.latest.id, storeCount: repository.stores.length };
+      await repository.replaceAll(source, { ...metaOf(req, "rollback"), rollbackTo: version.id });
+      await record(req, "rollback", null, { before, after: { version: version.id, storeCount: repository.stores.length } });
+      const { hash, ...current } = snapshotStore.latest;
+      res.json({ rolledBackTo: version.id, current });
+    } catch (err) {
+      console.error("Failed to roll back stores:", err);
+      sendApiError(res, 500, "Failed to save data file");
+    }
+  });
+
+  // 回報審核佇列：/api/admin/reports?status=pending|approved|rejected
+  router.get("/reports", (req, res) => {
+    const status = req.query.status || "pending";
+    if (!REPORT_STATUSES.includes(status)) return sendApiError(res, 400, `status must be one of ${REPORT_STATUSES.join(", ")}`);
+    res.json(
+      reportStore.list({ status }).map((report) => ({
+        ...report,
+        store: repository.get(report.storeId),
+        duplicateOfStore: report.duplicateOf ? repository.get(report.duplicateOf) : undefined,
+      }))
+    );
+  });
+
+  router.get("/reports/:id/photo", (req, res) => {
+    const report = reportStore.get(req.params.id);
+    if (!report?.photo) return sendApiError(res, 404, "Photo not found");
+    res.type(reportStore.photoContentType(report));
+    res.sendFile(reportStore.photoPath(report), (err) => {
+      if (err && !res.headersSent) sendApiError(res, 404, "Photo not found");
+    });
+  });
+
+  // review() 回傳 null：回報不存在或已審核
+  const reviewConflict = (req, res) =>
+    reportStore.get(req.params.id) ? sendApiError(res, 409, "Report already reviewed") : sendApiError(res, 404, "Report not found");
+
+  // 核准：套用到店家資料並寫入異動紀錄；{ note? }
+  router.post("/reports/:id/approve", async (req, res) => {
+    try {
+      const result = await reportStore.review(req.params.id, { status: "approved", reviewer: req.adminUser, note: reviewNoteOf(req) }, (report) =>
+        applyReport(repository, report, { ...metaOf(req, `report:${report.type}`), reportId: report.id })
+      );
+      if (!result) return reviewConflict(req, res);
+      if (!result.applied) return sendApiError(res, 404, "Store not found");
+      const { report, applied: change } = result;
+      await record(req, `report:${report.type}`, report.storeId, change);
+      res.json(report);
+    } catch (err) {
+      console.error("Failed to apply report:", err);
+      sendApiError(res, 500, "Failed to save data file");
+    }
+  });
+
+  router.post("/reports/:id/reject", async (req, res) => {
+    try {
+      const result = await reportStore.review(req.params.id, { status: "rejected", reviewer: req.adminUser, note: reviewNoteOf(req) });
+      if (!result) return reviewConflict(req, res);
+      res.json(result.report);
+    } catch (err) {
+      console.error("Failed to reject report:", err);
+      sendApiError(res, 500, "Failed to save report");
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,69 @@
+import { readJsonFile, writeJsonFileAtomic, createWriteQueue } from "./jsonFile.js";
+
+export const MAX_TAGS = 20;
+export const MAX_TAG_LENGTH = 20;
+export const MAX_ANNOTATION_NOTE_LENGTH = 1000;
+
+// 客戶端產生的匿名使用者 id (X-User-Id)
+const USER_ID_PATTERN = /^usr_[a-f0-9]{16,64}$/;
+
+export const isValidUserId = (value) => typeof value === "string" && USER_ID_PATTERN.test(value);
+
+// 檢查並整理 { favourite, tags, note }，回傳 { value, errors }
+export const validateAnnotation = (input) => {
+  const errors = [];
+  const { favourite = false, tags = [], note = "" } = input || {};
+  if (typeof favourite !== "boolean") errors.push("favourite must be a boolean");
+  if (!Array.isArray(tags) || !tags.every((t) => typeof t === "string")) {
+    errors.push("tags must be an array of strings");
+  }
+  if (typeof note !== "string" || note.length > MAX_ANNOTATION_NOTE_LENGTH) {
+    errors.push(`note must be a string of at most ${MAX_ANNOTATION_NOTE_LENGTH} characters`);
+  }
+  if (errors.length > 0) return { value: null, errors };
+
+  const cleanTags = [...new Set(tags.map((t) => t.trim()).filter(Boolean))];
+  if (cleanTags.length > MAX_TAGS) errors.push(`at most ${MAX_TAGS} tags`);
+  if (cleanTags.some((t) => t.length > MAX_TAG_LENGTH)) errors.push(`tags must be at most ${MAX_TAG_LENGTH} characters`);
+  return { value: { favourite, tags: cleanTags, note: note.trim() }, errors };
+};
+
+const isEmptyAnnotation = ({ favourite, tags, note }) => !favourite && tags.length === 0 && !note;
+
+// 每位使用者對店家的收藏、標籤與備註：{ userId: { storeId: { favourite, tags, note, updatedAt } } }
+export class AnnotationStore {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.users = {};
+    this.enqueue = createWriteQueue();
+  }
+
+  async load() {
+    this.users = await readJsonFile(this.filePath, {});
+    return this;
+  }
+
+  list(userId) {
+    return this.users[userId] || {};
+  }
+
+  // 全部清空時刪除該筆，回傳 null
+  async set(userId, storeId, annotation) {
+    const record = isEmptyAnnotation(annotation) ? null : { ...annotation, updatedAt: new Date().toISOString() };
+    await this.enqueue(async () => {
+      const previous = this.users[userId]?.[storeId];
+      const userAnnotations = { ...this.users[userId] };
+      if (record) userAnnotations[storeId] = record;
+      else delete userAnnotations[storeId];
+      this.users[userId] = userAnnotations;
+      try {
+        await writeJsonFileAtomic(this.filePath, this.users);
+      } catch (err) {
+        if (previous) this.users[userId][storeId] = previous;
+        else delete this.users[userId][storeId];
+        throw err;
+      }
+    });
+    return record;
+  }
+}
@@ -0,0 +1,31 @@
+// 所有 API (/api 與 /api/v1) 的錯誤回應格式：{ error: { code, message, details? } }
+// code 為固定的英文代碼，供程式判斷；message 為說明文字；details 為欄位錯誤等細節
+export const API_ERROR_CODES = {
+  400: "invalid_request",
+  401: "unauthorized",
+  403: "forbidden",
+  404: "not_found",
+  409: "conflict",
+  413: "payload_too_large",
+  429: "rate_limited",
+  500: "internal_error",
+  503: "unavailable",
+};
+
+export const sendApiError = (res, status, message, details) => {
+  const error = { code: API_ERROR_CODES[status] || "error", message };
+  if (details && details.length > 0) error.details = details;
+  res.status(status).json({ error });
+};
+
+// 未對應的路徑
+export const apiNotFound = (req, res) => sendApiError(res, 404, `No endpoint for ${req.method} ${req.originalUrl.split("?")[0]}`);
+
+// 錯誤處理 middleware：JSON 解析失敗、body 過大與未預期的錯誤也以相同格式回應
+export const handleApiError = (err, req, res, next) => {
+  if (res.headersSent) return next(err);
+  if (err.type === "entity.parse.failed") return sendApiError(res, 400, "Request body is not valid JSON");
+  if (err.type === "entity.too.large") return sendApiError(res, 413, "Request body is too large");
+  console.error("Unhandled API error:", err);
+  sendApiError(res, 500, "Internal server error");
+};
@@ -0,0 +1,67 @@
+import { sendApiError } from "./apiErrors.js";
+
+// 公開 API 的 API key：API_KEYS 環境變數格式與 ADMIN_TOKENS 相同 ("名稱:key,名稱:key")，以 X-API-Key 標頭傳送
+export const API_KEY_HEADER = "X-API-Key";
+
+// 有帶 API key 時驗證並將名稱存於 req.apiClient；錯誤的 key 先標記，計入來源 IP 的請求次數後再拒絕 (見 rejectInvalidApiKey)
+export const identifyApiClient = (keys) => (req, res, next) => {
+  const key = req.get(API_KEY_HEADER);
+  if (key === undefined) return next();
+  const client = keys.get(key.trim());
+  if (client) req.apiClient = client;
+  else req.hasInvalidApiKey = true;
+  next();
+};
+
+// 錯誤的 key 不退回匿名存取
+export const rejectInvalidApiKey = (req, res, next) => {
+  if (req.hasInvalidApiKey) return sendApiError(res, 401, "Invalid API key");
+  next();
+};
+
+// 寫入與大量資料的端點必須帶 API key
+export const requireApiKey = (keys) => (req, res, next) => {
+  if (keys.size === 0) return sendApiError(res, 503, "API keys are not configured on this server");
+  if (!req.apiClient) return sendApiError(res, 401, `This endpoint requires an API key in the ${API_KEY_HEADER} header`);
+  next();
+};
+
+// 過期計數的清理間隔 (以請求次數計)
+const PRUNE_EVERY = 1000;
+
+// 固定時間窗的請求次數限制：有 API key 時依 key 名稱計算，匿名時依來源 IP
+// 回應帶 RateLimit-Limit / RateLimit-Remaining / RateLimit-Reset (秒)，超過時回傳 429 與 Retry-After
+export const createRateLimiter = ({ limit, anonymousLimit, windowMs = 60 * 1000 }) => {
+  const windows = new Map();
+  let requests = 0;
+
+  const prune = (now) => {
+    for (const [id, entry] of windows) {
+      if (now - entry.start >= windowMs) windows.delete(id);
+    }
+  };
+
+  return (req, res, next) => {
+    const now = Date.now();
+    if (++requests % PRUNE_EVERY === 0) prune(now);
+
+    const id = req.apiClient ? `key:${req.apiClient}` : `ip:${req.ip}`;
+    const max = req.apiClient ? limit : anonymousLimit;
+    let entry = windows.get(id);
+    if (!entry || now - entry.start >= windowMs) {
+      entry = { start: now, count: 0 };
+      windows.set(id, entry);
+    }
+    entry.count++;
+
+    const resetSeconds = Math.ceil((entry.start + windowMs - now) / 1000);
+    res.set("RateLimit-Limit", String(max));
+    res.set("RateLimit-Remaining", String(Math.max(max - entry.count, 0)));
+    res.set("RateLimit-Reset", String(resetSeconds));
+    if (entry.count > max) {
+      res.set("Retry-After", String(resetSeconds));
+      return sendApiError(res, 429, `Rate limit of ${max} requests per ${windowMs / 1000} seconds exceeded`);
+    }
+    next();
+  };
+};
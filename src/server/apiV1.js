@@ -0,0 +1,155 @@
+import express from "express";
+import { openApiDocument } from "./openapi.js";
+import { findOperation, requiresApiKey, createRequestValidator } from "./schemaValidation.js";
+import { identifyApiClient, rejectInvalidApiKey, requireApiKey, createRateLimiter } from "./apiKeys.js";
+import { sendApiError, apiNotFound } from "./apiErrors.js";
+import { EXPORT_FORMATS } from "./storeFormats.js";
+import { diffStoreLists } from "./snapshotStore.js";
+import { computeStats } from "./stats.js";
+import { normalizePlaceName } from "./dataValidation.js";
+
+const stripHash = ({ hash, ...version }) => version;
+
+// OpenAPI 路徑 /stores/{id} 轉為 Express 的 /stores/:id
+const toExpressPath = (path) => path.replace(/\{(\w+)\}/g, ":$1");
+
+// 公開 API：/api/v1/*
+// 每個端點的參數驗證與是否需要 API key 都由 openapi.js 的文件決定
+export const createApiV1Router = ({ repository, visitStore, snapshotStore, apiKeys, rateLimit }) => {
+  const router = express.Router();
+  router.use(identifyApiClient(apiKeys));
+  router.use(createRateLimiter(rateLimit));
+  router.use(rejectInvalidApiKey);
+
+  const route = (method, path, handler) => {
+    const operation = findOperation(openApiDocument, method, path);
+    const middleware = [createRequestValidator(openApiDocument, operation)];
+    if (requiresApiKey(operation)) middleware.unshift(requireApiKey(apiKeys));
+    router[method](toExpressPath(path), ...middleware, handler);
+  };
+
+  // 店家資料尚未載入時回傳 503
+  const requireStores = (res) => {
+    if (repository.loaded) return true;
+    sendApiError(res, 503, "Store data is not loaded");
+    return false;
+  };
+
+  const storesIn = (city, area) => {
+    const scopeCity = city && normalizePlaceName(city);
+    const scopeArea = area && normalizePlaceName(area);
+    return repository.stores.filter((s) => (!scopeCity || s.city === scopeCity) && (!scopeArea || s.area === scopeArea));
+  };
+
+  route("get", "/openapi.json", (req, res) => {
+    res.json(openApiDocument);
+  });
+
+  route("get", "/stores", (req, res) => {
+    if (!requireStores(res)) return;
+    const { city, area, since } = req.valid.query;
+    const updatedAt = repository.updatedAt.toISOString();
+    if (since) {
+      const changes = repository.changesSince(new Date(since));
+      if (changes) {
+        const inScope = new Set(storesIn(city, area).map((s) => s.id));
+        const updated = changes.updated.filter((s) => inScope.has(s.id));
+        return res.json({ delta: true, since: new Date(since).toISOString(), updatedAt, updated, removed: changes.removed });
+      }
+    }
+    const stores = storesIn(city, area);
+    res.json({ delta: false, updatedAt, count: stores.length, stores });
+  });
+
+  route("get", "/stores/nearby", (req, res) => {
+    if (!requireStores(res)) return;
+    const { lat, lng, radius, limit } = req.valid.query;
+    const stores = repository.spatial.nearby(lat, lng, radius, limit);
+    res.json({ count: stores.length, stores });
+  });
+
+  route("get", "/stores/bbox", (req, res) => {
+    if (!requireStores(res)) return;
+    const { minLat, minLng, maxLat, maxLng, limit } = req.valid.query;
+    if (minLat > maxLat || minLng > maxLng) return sendApiError(res, 400, "Request validation failed", ["minLat/minLng must not exceed maxLat/maxLng"]);
+    const hasOrigin = req.valid.query.lat !== undefined && req.valid.query.lng !== undefined;
+    const lat = hasOrigin ? req.valid.query.lat : (minLat + maxLat) / 2;
+    const lng = hasOrigin ? req.valid.query.lng : (minLng + maxLng) / 2;
+    const stores = repository.spatial.within(minLat, minLng, maxLat, maxLng, lat, lng, limit);
+    res.json({ count: stores.length, stores });
+  });
+
+  route("get", "/stores/search", (req, res) => {
+    if (!requireStores(res)) return;
+    const { q, limit } = req.valid.query;
+    const stores = repository.search.search(q.trim(), limit);
+    res.json({ count: stores.length, stores });
+  });
+
+  route("get", "/stores/export", (req, res) => {
+    if (!requireStores(res)) return;
+    const { format: formatName, city, area } = req.valid.query;
+    const format = EXPORT_FORMATS[formatName];
+    const title = [city, area].filter(Boolean).join(" ") || "全部店家";
+    const filename = `stores-${[city, area].filter(Boolean).join("-") || "all"}.${format.extension}`;
+    res.set("Content-Type", format.contentType);
+    res.set("Content-Disposition", `attachment; filename="stores.${format.extension}"; filename*=UTF-8''${encodeURIComponent(filename)}`);
+    res.send(format.serialize(storesIn(city, area), title));
+  });
+
+  route("get", "/stores/versions", (req, res) => {
+    res.json(snapshotStore.list().map(stripHash));
+  });
+
+  route("get", "/stores/diff", async (req, res) => {
+    const { from: fromRef, to: toRef, city, area } = req.valid.query;
+    const from = snapshotStore.resolve(fromRef);
+    const to = toRef ? snapshotStore.resolve(toRef) : snapshotStore.latest;
+    if (!from) return sendApiError(res, 404, "from version not found");
+    if (!to) return sendApiError(res, 404, "to version not found");
+    try {
+      const [fromStores, toStores] = await Promise.all([snapshotStore.stores(from.id), snapshotStore.stores(to.id)]);
+      if (!fromStores || !toStores) return sendApiError(res, 404, "Version data not found");
+      res.json({ from: stripHash(from), to: stripHash(to), ...diffStoreLists(fromStores, toStores, { city, area }) });
+    } catch (err) {
+      console.error("Failed to diff versions:", err);
+      sendApiError(res, 500, "Failed to read versions");
+    }
+  });
+
+  // 放在 /stores/nearby 等固定路徑之後，避免被當成店家 id
+  route("get", "/stores/{id}", (req, res) => {
+    if (!requireStores(res)) return;
+    const store = repository.get(req.valid.params.id);
+    if (!store) return sendApiError(res, 404, "Store not found");
+    res.json(store);
+  });
+
+  route("get", "/stats", (req, res) => {
+    if (!requireStores(res)) return;
+    res.json(computeStats(repository.stores, visitStore.lastVisits()));
+  });
+
+  route("get", "/visits", (req, res) => {
+    res.json(visitStore.list(req.valid.query.storeId));
+  });
+
+  route("get", "/visits/summary", (req, res) => {
+    res.json(visitStore.lastVisits());
+  });
+
+  route("post", "/visits", async (req, res) => {
+    const { storeId, lat = null, lng = null, note = "" } = req.valid.body;
+    if ((lat === null) !== (lng === null)) return sendApiError(res, 400, "Request validation failed", ["lat and lng must be given together"]);
+    if (repository.loaded && !repository.get(storeId)) return sendApiError(res, 404, "Store not found");
+    try {
+      res.status(201).json(await visitStore.add({ storeId, lat, lng, note: note.trim() }));
+    } catch (err) {
+      console.error("Failed to save visit:", err);
+      sendApiError(res, 500, "Failed to save visit");
+    }
+  });
+
+  router.use(apiNotFound);
+  return router;
+};
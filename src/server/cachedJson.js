@@ -0,0 +1,40 @@
+import crypto from "crypto";
+import zlib from "zlib";
+
+// 預先序列化的 JSON 回應：同一份資料只序列化一次，壓縮結果在第一次需要時產生並保留
+export const createCachedJson = (data, lastModified = new Date()) => {
+  const body = Buffer.from(JSON.stringify(data));
+  const encoded = {};
+  return {
+    etag: `"${crypto.createHash("sha1").update(body).digest("base64url")}"`,
+    // HTTP 日期只精確到秒
+    lastModified: new Date(Math.floor(lastModified.getTime() / 1000) * 1000),
+    body,
+    encode(encoding) {
+      if (encoding === "identity") return body;
+      if (!encoded[encoding]) {
+        encoded[encoding] = encoding === "br"
+          ? zlib.brotliCompressSync(body, { params: { [zlib.constants.BROTLI_PARAM_QUALITY]: 9, [zlib.constants.BROTLI_PARAM_SIZE_HINT]: body.length } })
+          : zlib.gzipSync(body, { level: 9 });
+      }
+      return encoded[encoding];
+    },
+  };
+};
+
+// 送出快取的 JSON：支援 If-None-Match / If-Modified-Since (304) 與 br/gzip 壓縮
+export const sendCachedJson = (req, res, cached) => {
+  res.set({
+    "Content-Type": "application/json; charset=utf-8",
+    ETag: cached.etag,
+    "Last-Modified": cached.lastModified.toUTCString(),
+    // 每次使用前都需向伺服器確認，資料未變時只回 304
+    "Cache-Control": "no-cache",
+    Vary: "Accept-Encoding",
+  });
+  if (req.fresh) return res.status(304).end();
+
+  const encoding = req.acceptsEncodings(["br", "gzip", "identity"]) || "identity";
+  if (encoding !== "identity") res.set("Content-Encoding", encoding);
+  res.send(cached.encode(encoding));
+};
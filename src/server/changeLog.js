@@ -0,0 +1,33 @@
+import fs from "fs";
+import path from "path";
+
+// 店家資料異動紀錄，以 JSON Lines 只附加寫入
+export class ChangeLog {
+  constructor(filePath) {
+    this.filePath = filePath;
+  }
+
+  async append({ user, action, storeId, before = null, after = null }) {
+    const entry = { at: new Date().toISOString(), user, action, storeId, before, after };
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+    await fs.promises.appendFile(this.filePath, `${JSON.stringify(entry)}\n`, "utf8");
+    return entry;
+  }
+
+  // 新到舊排列
+  async list(limit = 100) {
+    let content;
+    try {
+      content = await fs.promises.readFile(this.filePath, "utf8");
+    } catch (err) {
+      if (err.code === "ENOENT") return [];
+      throw err;
+    }
+    return content
+      .split("\n")
+      .filter(Boolean)
+      .slice(-limit)
+      .map((line) => JSON.parse(line))
+      .reverse();
+  }
+}
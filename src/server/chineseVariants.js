@@ -0,0 +1,33 @@
+// 常見簡體字 → 繁體字對照（涵蓋店名與地址常用字），供搜尋正規化使用
+const PAIRS =
+  "区區县縣乡鄉镇鎮里裡号號楼樓层層栋棟园園场場厂廠广廣东東门門间間" +
+  "乐樂机機夹夾娃娃电電游遊戏戲馆館厅廳铺鋪卖賣买買货貨币幣奖獎扭扭" +
+  "龙龍凤鳳兴興华華丰豐义義台臺湾灣莲蓮荣榮宁寧庆慶阳陽云雲汉漢进進" +
+  "发發达達联聯泽澤顺順顶頂宝寶贵貴鸡雞鱼魚鸟鳥马馬车車转轉轮輪站站" +
+  "桥橋运運业業产產会會长長开開关關观觀历歷圣聖总總统統岛島湖湖" +
+  "线線红紅绿綠蓝藍黄黃乌烏饭飯饮飲为為与與后後面麵汤湯干乾" +
+  "儿兒万萬亿億个個们們来來时時实實现現问問听聽说說让讓记記过過还還" +
+  "这這边邊远遠近近钟鐘铁鐵银銀钱錢门門闹鬧体體须須顾顧页頁头頭" +
+  "学學习習爱愛创創农農医醫药藥师師帅帥归歸坏壞块塊坛壇垒壘杨楊树樹" +
+  "桃桃梦夢欢歡乐樂猫貓狮獅虾蝦蛋蛋鹿鹿猪豬觉覺宫宮财財围圍团團" +
+  "图圖国國圆圓荟薈萤螢营營双雙对對导導寿壽岁歲带帶帮幫庄莊应應" +
+  "庙廟废廢弯彎张張强強归歸录錄彩彩征徵忆憶恋戀恶惡惊驚战戰扑撲" +
+  "执執扩擴护護报報担擔拥擁择擇挤擠挥揮换換据據旧舊时時昼晝显顯" +
+  "晓曉术術机機杂雜权權条條极極构構枪槍标標样樣桥橋梦夢检檢椭橢" +
+  "楼樓残殘气氣汇匯沟溝没沒泪淚泻瀉洁潔浅淺济濟浏瀏浓濃涂塗润潤" +
+  "涨漲渐漸温溫满滿滨濱潜潛灯燈灵靈炉爐烟煙热熱爷爺牵牽状狀独獨" +
+  "猎獵玛瑪环環现現琼瓊盘盤盖蓋监監尽盡确確码碼礼禮离離种種积積" +
+  "称稱稳穩竞競笔筆节節范範简簡类類粮糧纪紀约約级級纯純纸紙组組" +
+  "细細终終经經结結给給绝絕统統继繼续續维維综綜网網罗羅职職胜勝" +
+  "脑腦艺藝节節苏蘇苹蘋范範荣榮药藥获獲营營萧蕭虽雖蚁蟻补補装裝";
+
+const MAP = new Map();
+for (let i = 0; i + 1 < PAIRS.length; i += 2) {
+  if (PAIRS[i] !== PAIRS[i + 1] && !MAP.has(PAIRS[i])) MAP.set(PAIRS[i], PAIRS[i + 1]);
+}
+
+export const toTraditional = (text) => {
+  let out = "";
+  for (const ch of text) out += MAP.get(ch) || ch;
+  return out;
+};
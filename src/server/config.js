@@ -0,0 +1,93 @@
+import path from "path";
+import { fileURLToPath } from "url";
+import { DEFAULT_SNAPSHOT_LIMIT } from "./snapshotStore.js";
+
+// 專案根目錄；環境變數中的相對路徑以此為基準
+const rootDir = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "../..");
+
+const resolvePath = (value) => path.resolve(rootDir, value);
+
+const positiveInteger = (value, fallback) => (Number(value) > 0 ? Math.floor(Number(value)) : fallback);
+
+// 伺服器前方的反向代理層數：只信任最後這幾層加上的 X-Forwarded-For，客戶端自行填寫的位址無法用來繞過請求次數限制
+const DEFAULT_TRUST_PROXY_HOPS = 1;
+
+// /api/v1 每分鐘請求數上限
+const DEFAULT_API_RATE_LIMIT = 300;
+const DEFAULT_API_ANON_RATE_LIMIT = 60;
+// 網頁版 /api 寫入端點每個 IP 每分鐘的請求數上限 (團隊位置分享最多每 3 秒回報一次)
+const DEFAULT_WEB_WRITE_RATE_LIMIT = 120;
+// 店家回報 (可附照片) 每個 IP 每 10 分鐘的次數上限
+const DEFAULT_REPORT_RATE_LIMIT = 10;
+
+// 地圖圖磚來源；TILE_URL 可覆寫任一來源的網址 (例如自架圖磚伺服器)
+export const TILE_PROVIDERS = {
+  osm: {
+    url: "https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png",
+    subdomains: "abc",
+    maxZoom: 19,
+    attribution: "© OpenStreetMap contributors",
+  },
+  "osm-hot": {
+    url: "https://{s}.tile.openstreetmap.fr/hot/{z}/{x}/{y}.png",
+    subdomains: "ab",
+    maxZoom: 19,
+    attribution: "© OpenStreetMap contributors, Humanitarian OpenStreetMap Team",
+  },
+  "carto-voyager": {
+    url: "https://{s}.basemaps.cartocdn.com/rastertiles/voyager/{z}/{x}/{y}.png",
+    subdomains: "abcd",
+    maxZoom: 20,
+    attribution: "© OpenStreetMap contributors © CARTO",
+  },
+  // 由本伺服器提供 TILE_DIR 下的 {z}/{x}/{y}.png
+  "self-hosted": {
+    url: "/tiles/{z}/{x}/{y}.png",
+    subdomains: "",
+    maxZoom: 19,
+    attribution: "© OpenStreetMap contributors",
+  },
+};
+
+// 由環境變數讀取伺服器設定：
+//   DATA_DIR    執行期資料 (打卡、軌跡、變更紀錄等) 的目錄，預設 data/
+//   DATA_FILE   店家資料檔，預設 $DATA_DIR/taiwan_stores_data.json
+//   TILE_PROVIDER / TILE_URL / TILE_SUBDOMAINS / TILE_MAX_ZOOM / TILE_ATTRIBUTION  地圖圖磚
+//   TILE_DIR    自架圖磚目錄，設定後以 /tiles 提供，未指定 TILE_PROVIDER 時預設為 self-hosted
+//   SNAPSHOT_LIMIT  保留的店家資料歷史版本數
+//   API_RATE_LIMIT / API_ANON_RATE_LIMIT  /api/v1 每分鐘請求數上限 (每個 API key / 未帶 key 時每個 IP)
+//   WEB_WRITE_RATE_LIMIT  網頁版 /api 寫入端點每個 IP 每分鐘的請求數上限
+//   REPORT_RATE_LIMIT  店家回報每個 IP 每 10 分鐘的次數上限
+export const loadConfig = (env = process.env) => {
+  const dataDir = resolvePath(env.DATA_DIR || "data");
+  const tileDir = env.TILE_DIR ? resolvePath(env.TILE_DIR) : null;
+  const provider = env.TILE_PROVIDER || (tileDir ? "self-hosted" : "osm");
+  const preset = TILE_PROVIDERS[provider];
+  if (!preset && !env.TILE_URL) {
+    throw new Error(`Unknown TILE_PROVIDER "${provider}" (expected one of ${Object.keys(TILE_PROVIDERS).join(", ")}, or set TILE_URL)`);
+  }
+
+  return {
+    port: Number(env.PORT) || 3000,
+    distPath: path.join(rootDir, "dist"),
+    dataDir,
+    dataFilePath: env.DATA_FILE ? resolvePath(env.DATA_FILE) : path.join(dataDir, "taiwan_stores_data.json"),
+    tileDir,
+    // 0 代表直接對外服務，以連線來源位址為準
+    trustProxyHops: env.TRUST_PROXY_HOPS !== undefined && /^\d+$/.test(env.TRUST_PROXY_HOPS.trim()) ? Number(env.TRUST_PROXY_HOPS) : DEFAULT_TRUST_PROXY_HOPS,
+    snapshotLimit: positiveInteger(env.SNAPSHOT_LIMIT, DEFAULT_SNAPSHOT_LIMIT),
+    apiRateLimit: {
+      limit: positiveInteger(env.API_RATE_LIMIT, DEFAULT_API_RATE_LIMIT),
+      anonymousLimit: positiveInteger(env.API_ANON_RATE_LIMIT, DEFAULT_API_ANON_RATE_LIMIT),
+    },
+    webWriteRateLimit: positiveInteger(env.WEB_WRITE_RATE_LIMIT, DEFAULT_WEB_WRITE_RATE_LIMIT),
+    reportRateLimit: positiveInteger(env.REPORT_RATE_LIMIT, DEFAULT_REPORT_RATE_LIMIT),
+    tiles: {
+      provider: preset ? provider : "custom",
+      url: env.TILE_URL || preset.url,
+      subdomains: env.TILE_SUBDOMAINS ?? preset?.subdomains ?? "",
+      maxZoom: Number(env.TILE_MAX_ZOOM) || preset?.maxZoom || 19,
+      attribution: env.TILE_ATTRIBUTION ?? preset?.attribution ?? "",
+    },
+  };
+};
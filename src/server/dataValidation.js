@@ -0,0 +1,139 @@
+import crypto from "crypto";
+import { isInTaiwan } from "../shared/geo.js";
+import { SpatialIndex } from "./spatialIndex.js";
+import { DETAIL_FIELDS, validateStoreDetails } from "../shared/storeDetails.js";
+
+// 判斷縣市錯置時參考的鄰近範圍 (公里) 與最少鄰近店家數
+const NEIGHBOUR_RADIUS_KM = 3;
+const MIN_NEIGHBOURS = 3;
+
+// 縣市/區域名稱正規化：全形轉半形、移除所有空白、「台」統一為正式用字「臺」
+export const normalizePlaceName = (value) =>
+  String(value ?? "").normalize("NFKC").replace(/\s+/g, "").replace(/台/g, "臺");
+
+const normalizeText = (value) => String(value ?? "").normalize("NFKC").replace(/\s+/g, " ").trim();
+
+// 由縣市、區域、店名、地址產生的穩定 id，與資料排列順序無關
+export const stableStoreId = (store) =>
+  "st_" + crypto.createHash("sha1").update(`${store.city}|${store.area}|${store.name}|${store.address || ""}`).digest("hex").slice(0, 12);
+
+// 驗證並正規化 {city: {area: {data: [...]}}} 資料
+// 回傳 { data, report, origins }：data 只包含通過驗證的店家，每家店都有唯一 id；
+// origins 對應 id → 原始資料中的位置 { cityKey, areaKey, index }
+export const normalizeStoreData = (raw) => {
+  const errors = [];
+  const warnings = [];
+  const renamed = [];
+  const data = {};
+  const seenIds = new Set();
+  const origins = new Map();
+  let total = 0, assignedIds = 0;
+
+  const noteRename = (field, from, to) => {
+    if (from !== to && !renamed.some((r) => r.field === field && r.from === from)) renamed.push({ field, from, to });
+  };
+
+  for (const cityKey of Object.keys(raw || {})) {
+    const city = normalizePlaceName(cityKey);
+    noteRename("city", cityKey, city);
+    for (const areaKey of Object.keys(raw[cityKey] || {})) {
+      const area = normalizePlaceName(areaKey);
+      noteRename("area", areaKey, area);
+      const rows = raw[cityKey][areaKey]?.data;
+      if (!Array.isArray(rows)) {
+        errors.push({ type: "malformed-area", city: cityKey, area: areaKey, message: "area has no data array" });
+        continue;
+      }
+
+      rows.forEach((row, index) => {
+        total++;
+        const where = { city: cityKey, area: areaKey, index, name: row?.name };
+        if (!row || typeof row !== "object") {
+          errors.push({ type: "malformed-row", ...where, message: "row is not an object" });
+          return;
+        }
+        const name = normalizeText(row.name);
+        const lat = Number(row.lat);
+        const lng = Number(row.lng);
+        const problems = [];
+        if (!name) problems.push("missing name");
+        if (row.lat === undefined || row.lat === null || row.lat === "" || !Number.isFinite(lat)) problems.push("missing or invalid lat");
+        if (row.lng === undefined || row.lng === null || row.lng === "" || !Number.isFinite(lng)) problems.push("missing or invalid lng");
+        if (problems.length > 0) {
+          errors.push({ type: "malformed-row", ...where, message: problems.join(", ") });
+          return;
+        }
+        if (!isInTaiwan(lat, lng)) {
+          errors.push({ type: "outside-taiwan", ...where, message: `coordinates ${lat},${lng} are outside Taiwan` });
+          return;
+        }
+
+        // 分區鍵值為準；店家自身欄位不一致時記錄警告
+        if (row.city && normalizePlaceName(row.city) !== city) {
+          warnings.push({ type: "city-mismatch", ...where, message: `store city "${row.city}" differs from bucket "${cityKey}"` });
+        }
+        if (row.area && normalizePlaceName(row.area) !== area) {
+          warnings.push({ type: "area-mismatch", ...where, message: `store area "${row.area}" differs from bucket "${areaKey}"` });
+        }
+
+        const store = { ...row, name, address: normalizeText(row.address), city, area, lat, lng };
+
+        // 延伸欄位 (營業時間、機台數等) 格式錯誤時只略過該欄位並記錄警告
+        for (const key of DETAIL_FIELDS) {
+          if (row[key] === undefined) continue;
+          const { value, errors: detailErrors } = validateStoreDetails({ [key]: row[key] });
+          if (detailErrors.length > 0) warnings.push({ type: "invalid-detail", ...where, message: detailErrors.join(", ") });
+          if (value[key] === undefined || value[key] === null) delete store[key];
+          else store[key] = value[key];
+        }
+        let id = row.id ? String(row.id) : stableStoreId(store);
+        if (!row.id) assignedIds++;
+        if (seenIds.has(id)) {
+          if (row.id) warnings.push({ type: "duplicate-id", ...where, message: `id "${row.id}" is already used` });
+          let suffix = 2;
+          while (seenIds.has(`${id}-${suffix}`)) suffix++;
+          id = `${id}-${suffix}`;
+        }
+        seenIds.add(id);
+        origins.set(id, { cityKey, areaKey, index });
+        store.id = id;
+
+        if (!data[city]) data[city] = {};
+        if (!data[city][area]) data[city][area] = { ...raw[cityKey][areaKey], data: [] };
+        data[city][area].data.push(store);
+      });
+    }
+  }
+
+  // 座標周圍的店家都屬於另一個縣市時，可能是縣市或座標填錯
+  const stores = Object.values(data).flatMap((areas) => Object.values(areas).flatMap((a) => a.data));
+  const index = new SpatialIndex(stores);
+  for (const store of stores) {
+    const neighbours = index.nearby(store.lat, store.lng, NEIGHBOUR_RADIUS_KM).filter((s) => s.id !== store.id);
+    if (neighbours.length < MIN_NEIGHBOURS || neighbours.some((s) => s.city === store.city)) continue;
+    const otherCities = [...new Set(neighbours.map((s) => s.city))];
+    warnings.push({
+      type: "wrong-county",
+      city: store.city,
+      area: store.area,
+      id: store.id,
+      name: store.name,
+      message: `coordinates are surrounded by stores in ${otherCities.join("/")}`,
+    });
+  }
+
+  const report = {
+    generatedAt: new Date().toISOString(),
+    totals: {
+      rows: total,
+      valid: stores.length,
+      cities: Object.keys(data).length,
+      areas: Object.values(data).reduce((sum, areas) => sum + Object.keys(areas).length, 0),
+      assignedIds,
+    },
+    renamed,
+    errors,
+    warnings,
+  };
+  return { data, report, origins };
+};
@@ -0,0 +1,30 @@
+import fs from "fs";
+import path from "path";
+
+// 讀取 JSON 檔案，檔案不存在時回傳 fallback
+export const readJsonFile = async (filePath, fallback) => {
+  try {
+    return JSON.parse(await fs.promises.readFile(filePath, "utf8"));
+  } catch (err) {
+    if (err.code === "ENOENT") return fallback;
+    throw err;
+  }
+};
+
+// 先寫入暫存檔再 rename，避免寫到一半中斷時留下損壞的檔案
+export const writeJsonFileAtomic = async (filePath, data) => {
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+  const tmpPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+  await fs.promises.writeFile(tmpPath, JSON.stringify(data, null, 2), "utf8");
+  await fs.promises.rename(tmpPath, filePath);
+};
+
+// 依序執行寫入，避免同時寫入同一檔案
+export const createWriteQueue = () => {
+  let tail = Promise.resolve();
+  return (task) => {
+    const run = tail.then(task);
+    tail = run.catch(() => {});
+    return run;
+  };
+};
@@ -0,0 +1,29 @@
+import fs from "fs";
+
+const escapeHtml = (value) =>
+  String(value ?? "").replace(/[<>&'"]/g, (ch) => ({ "<": "&lt;", ">": "&gt;", "&": "&amp;", "'": "&#39;", '"': "&quot;" })[ch]);
+
+// 分享連結 (LINE 等) 預覽用的 Open Graph 標籤，插入 index.html 的 <head>
+export const createOpenGraphRenderer = (indexHtmlPath) => {
+  let template = null;
+
+  return ({ title, description, url, image, extra = {} }) => {
+    if (template === null) template = fs.readFileSync(indexHtmlPath, "utf8");
+    const tags = {
+      "og:type": "website",
+      "og:site_name": "巡台神器",
+      "og:title": title,
+      "og:description": description,
+      "og:url": url,
+      "og:image": image,
+      ...extra,
+    };
+    const meta = Object.entries(tags)
+      .filter(([, content]) => content !== undefined && content !== null)
+      .map(([property, content]) => `<meta property="${property}" content="${escapeHtml(content)}" />`)
+      .join("\n    ");
+    return template
+      .replace(/<title>[^<]*<\/title>/, `<title>${escapeHtml(title)} · 巡台神器</title>`)
+      .replace("</head>", `    <meta name="description" content="${escapeHtml(description)}" />\n    ${meta}\n  </head>`);
+  };
+};
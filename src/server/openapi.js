@@ -0,0 +1,312 @@
+import { DEFAULT_NEARBY_RADIUS_KM, MAX_NEARBY_RADIUS_KM, DEFAULT_RESULT_LIMIT, MAX_RESULT_LIMIT, MAX_SEARCH_LIMIT } from "./queryLimits.js";
+import { MAX_VISIT_NOTE_LENGTH } from "./visitStore.js";
+import { EXPORT_FORMATS } from "./storeFormats.js";
+import { WEEKDAYS } from "../shared/storeDetails.js";
+import { API_KEY_HEADER } from "./apiKeys.js";
+
+// 公開 API (/api/v1) 的 OpenAPI 文件，也是請求驗證的依據 (見 schemaValidation.js)
+// 由 GET /api/v1/openapi.json 提供；修改端點時請同步更新這裡
+
+const PUBLIC = [{}, { apiKey: [] }];
+const KEY_REQUIRED = [{ apiKey: [] }];
+
+const errorResponse = (description) => ({ description, content: { "application/json": { schema: { $ref: "#/components/schemas/Error" } } } });
+
+const jsonResponse = (description, schema) => ({ description, content: { "application/json": { schema } } });
+
+const query = (name, schema, description, required = false) => ({ name, in: "query", required, description, schema });
+
+const COMMON_ERRORS = {
+  400: { $ref: "#/components/responses/InvalidRequest" },
+  401: { $ref: "#/components/responses/Unauthorized" },
+  429: { $ref: "#/components/responses/RateLimited" },
+  503: { $ref: "#/components/responses/Unavailable" },
+};
+
+const storeListResponse = jsonResponse("Stores with distance (km), nearest first", {
+  type: "object",
+  properties: { count: { type: "integer" }, stores: { type: "array", items: { $ref: "#/components/schemas/StoreWithDistance" } } },
+});
+
+export const openApiDocument = {
+  openapi: "3.0.3",
+  info: {
+    title: "Claw Machine Map API",
+    version: "1.0.0",
+    description:
+      `Taiwan claw machine store data. Read endpoints are public; write and bulk endpoints require an API key in the ${API_KEY_HEADER} header. ` +
+      "Requests are rate limited per API key (or per IP address without a key); see the RateLimit-* response headers. " +
+      "Errors are returned as { error: { code, message, details? } }.",
+  },
+  servers: [{ url: "/api/v1" }],
+  components: {
+    securitySchemes: {
+      apiKey: { type: "apiKey", in: "header", name: API_KEY_HEADER },
+    },
+    parameters: {
+      Limit: query("limit", { type: "integer", minimum: 1, maximum: MAX_RESULT_LIMIT, default: DEFAULT_RESULT_LIMIT }, "Maximum number of stores"),
+      City: query("city", { type: "string", maxLength: 200 }, "City (縣市), e.g. 臺北市"),
+      Area: query("area", { type: "string", maxLength: 200 }, "District (區域), e.g. 信義區"),
+      Lat: query("lat", { type: "number", minimum: -90, maximum: 90 }, "Latitude", true),
+      Lng: query("lng", { type: "number", minimum: -180, maximum: 180 }, "Longitude", true),
+    },
+    schemas: {
+      Error: {
+        type: "object",
+        required: ["error"],
+        properties: {
+          error: {
+            type: "object",
+            required: ["code", "message"],
+            properties: {
+              code: { type: "string", enum: ["invalid_request", "unauthorized", "not_found", "conflict", "payload_too_large", "rate_limited", "internal_error", "unavailable"] },
+              message: { type: "string" },
+              details: { type: "array", items: { type: "string" } },
+            },
+          },
+        },
+      },
+      Store: {
+        type: "object",
+        required: ["id", "name", "city", "area", "lat", "lng"],
+        properties: {
+          id: { type: "string" },
+          name: { type: "string" },
+          address: { type: "string" },
+          city: { type: "string" },
+          area: { type: "string" },
+          lat: { type: "number" },
+          lng: { type: "number" },
+          hours: {
+            type: "object",
+            description: `Weekly opening hours keyed by ${WEEKDAYS.join("/")}, e.g. { "mon": ["10:00-22:00"] }; Asia/Taipei time`,
+            additionalProperties: { type: "array", items: { type: "string" } },
+          },
+          machineCount: { type: "integer" },
+          prizeCategories: { type: "array", items: { type: "string" } },
+          paymentMethods: { type: "array", items: { type: "string" } },
+        },
+      },
+      StoreWithDistance: {
+        allOf: [{ $ref: "#/components/schemas/Store" }, { type: "object", properties: { distance: { type: "number", description: "Kilometres" } } }],
+      },
+      Version: {
+        type: "object",
+        properties: {
+          id: { type: "string" },
+          createdAt: { type: "string", format: "date-time" },
+          storeCount: { type: "integer" },
+          user: { type: "string" },
+          action: { type: "string" },
+        },
+      },
+      Visit: {
+        type: "object",
+        properties: {
+          id: { type: "string" },
+          storeId: { type: "string" },
+          visitedAt: { type: "string", format: "date-time" },
+          lat: { type: "number", nullable: true },
+          lng: { type: "number", nullable: true },
+          note: { type: "string" },
+        },
+      },
+      VisitInput: {
+        type: "object",
+        required: ["storeId"],
+        additionalProperties: false,
+        properties: {
+          storeId: { type: "string", minLength: 1, maxLength: 200 },
+          lat: { type: "number", minimum: -90, maximum: 90, nullable: true },
+          lng: { type: "number", minimum: -180, maximum: 180, nullable: true },
+          note: { type: "string", maxLength: MAX_VISIT_NOTE_LENGTH },
+        },
+      },
+    },
+    responses: {
+      InvalidRequest: errorResponse("Invalid parameters or body; details lists each problem"),
+      Unauthorized: errorResponse("Missing or invalid API key"),
+      NotFound: errorResponse("Not found"),
+      RateLimited: errorResponse("Rate limit exceeded; retry after the Retry-After header (seconds)"),
+      Unavailable: errorResponse("Store data is not loaded, or API keys are not configured on this server"),
+    },
+  },
+  paths: {
+    "/openapi.json": {
+      get: {
+        summary: "This document",
+        security: PUBLIC,
+        responses: { 200: jsonResponse("OpenAPI 3.0 document", { type: "object" }) },
+      },
+    },
+    "/stores": {
+      get: {
+        summary: "All stores (bulk)",
+        description: "With since, returns only stores changed after that time: { delta: true, since, updatedAt, updated, removed }. Falls back to the full list when since is older than the server can track.",
+        security: KEY_REQUIRED,
+        parameters: [
+          { $ref: "#/components/parameters/City" },
+          { $ref: "#/components/parameters/Area" },
+          query("since", { type: "string", format: "date-time" }, "Previous updatedAt value"),
+        ],
+        responses: {
+          200: jsonResponse("Stores", {
+            type: "object",
+            properties: {
+              delta: { type: "boolean" },
+              since: { type: "string", format: "date-time" },
+              updatedAt: { type: "string", format: "date-time" },
+              count: { type: "integer" },
+              stores: { type: "array", items: { $ref: "#/components/schemas/Store" } },
+              updated: { type: "array", items: { $ref: "#/components/schemas/Store" } },
+              removed: { type: "array", items: { type: "string" } },
+            },
+          }),
+          ...COMMON_ERRORS,
+        },
+      },
+    },
+    "/stores/nearby": {
+      get: {
+        summary: "Stores within a radius",
+        security: PUBLIC,
+        parameters: [
+          { $ref: "#/components/parameters/Lat" },
+          { $ref: "#/components/parameters/Lng" },
+          query("radius", { type: "number", minimum: 0, exclusiveMinimum: true, maximum: MAX_NEARBY_RADIUS_KM, default: DEFAULT_NEARBY_RADIUS_KM }, "Radius in kilometres"),
+          { $ref: "#/components/parameters/Limit" },
+        ],
+        responses: { 200: storeListResponse, ...COMMON_ERRORS },
+      },
+    },
+    "/stores/bbox": {
+      get: {
+        summary: "Stores within a bounding box",
+        description: "Sorted by distance from lat/lng, or from the box centre when omitted.",
+        security: PUBLIC,
+        parameters: [
+          query("minLat", { type: "number", minimum: -90, maximum: 90 }, "South edge", true),
+          query("minLng", { type: "number", minimum: -180, maximum: 180 }, "West edge", true),
+          query("maxLat", { type: "number", minimum: -90, maximum: 90 }, "North edge", true),
+          query("maxLng", { type: "number", minimum: -180, maximum: 180 }, "East edge", true),
+          query("lat", { type: "number", minimum: -90, maximum: 90 }, "Sort origin latitude"),
+          query("lng", { type: "number", minimum: -180, maximum: 180 }, "Sort origin longitude"),
+          { $ref: "#/components/parameters/Limit" },
+        ],
+        responses: { 200: storeListResponse, ...COMMON_ERRORS },
+      },
+    },
+    "/stores/search": {
+      get: {
+        summary: "Search stores by name or address",
+        description: "Fuzzy match, insensitive to Traditional/Simplified Chinese and full/half width. Sorted by relevance.",
+        security: PUBLIC,
+        parameters: [
+          query("q", { type: "string", maxLength: 100, pattern: "\\S" }, "Search text", true),
+          query("limit", { type: "integer", minimum: 1, maximum: MAX_SEARCH_LIMIT, default: 20 }, "Maximum number of stores"),
+        ],
+        responses: {
+          200: jsonResponse("Matching stores", {
+            type: "object",
+            properties: { count: { type: "integer" }, stores: { type: "array", items: { $ref: "#/components/schemas/Store" } } },
+          }),
+          ...COMMON_ERRORS,
+        },
+      },
+    },
+    "/stores/export": {
+      get: {
+        summary: "Export stores as a file (bulk)",
+        security: KEY_REQUIRED,
+        parameters: [
+          query("format", { type: "string", enum: Object.keys(EXPORT_FORMATS), default: "csv" }, "File format"),
+          { $ref: "#/components/parameters/City" },
+          { $ref: "#/components/parameters/Area" },
+        ],
+        responses: {
+          200: {
+            description: "File download",
+            content: Object.fromEntries(Object.values(EXPORT_FORMATS).map((f) => [f.contentType.split(";")[0], { schema: { type: "string" } }])),
+          },
+          ...COMMON_ERRORS,
+        },
+      },
+    },
+    "/stores/versions": {
+      get: {
+        summary: "Dataset versions, newest first",
+        security: PUBLIC,
+        responses: { 200: jsonResponse("Versions", { type: "array", items: { $ref: "#/components/schemas/Version" } }), ...COMMON_ERRORS },
+      },
+    },
+    "/stores/diff": {
+      get: {
+        summary: "Stores added, removed and moved between two versions",
+        security: PUBLIC,
+        parameters: [
+          query("from", { type: "string", minLength: 1 }, "Version id, or an ISO time (the version current at that time)", true),
+          query("to", { type: "string" }, "Version id or ISO time; defaults to the latest version"),
+          { $ref: "#/components/parameters/City" },
+          { $ref: "#/components/parameters/Area" },
+        ],
+        responses: {
+          200: jsonResponse("Changes grouped by city and district", {
+            type: "object",
+            properties: {
+              from: { $ref: "#/components/schemas/Version" },
+              to: { $ref: "#/components/schemas/Version" },
+              totals: { type: "object", properties: { added: { type: "integer" }, removed: { type: "integer" }, moved: { type: "integer" } } },
+              cities: { type: "object", description: "{ city: { area: { added: [store], removed: [store], moved: [store with from and distance] } } }" },
+            },
+          }),
+          404: { $ref: "#/components/responses/NotFound" },
+          ...COMMON_ERRORS,
+        },
+      },
+    },
+    "/stores/{id}": {
+      get: {
+        summary: "A single store",
+        security: PUBLIC,
+        parameters: [{ name: "id", in: "path", required: true, schema: { type: "string", minLength: 1 } }],
+        responses: {
+          200: jsonResponse("Store", { $ref: "#/components/schemas/Store" }),
+          404: { $ref: "#/components/responses/NotFound" },
+          ...COMMON_ERRORS,
+        },
+      },
+    },
+    "/stats": {
+      get: {
+        summary: "Store counts, bounding boxes, density and visit coverage per city and district",
+        security: PUBLIC,
+        responses: { 200: jsonResponse("Statistics", { type: "object" }), ...COMMON_ERRORS },
+      },
+    },
+    "/visits": {
+      get: {
+        summary: "Check-ins, newest first",
+        security: PUBLIC,
+        parameters: [query("storeId", { type: "string" }, "Only check-ins at this store")],
+        responses: { 200: jsonResponse("Check-ins", { type: "array", items: { $ref: "#/components/schemas/Visit" } }), ...COMMON_ERRORS },
+      },
+      post: {
+        summary: "Check in at a store",
+        security: KEY_REQUIRED,
+        requestBody: { required: true, content: { "application/json": { schema: { $ref: "#/components/schemas/VisitInput" } } } },
+        responses: {
+          201: jsonResponse("Created check-in", { $ref: "#/components/schemas/Visit" }),
+          404: { $ref: "#/components/responses/NotFound" },
+          ...COMMON_ERRORS,
+        },
+      },
+    },
+    "/visits/summary": {
+      get: {
+        summary: "Last check-in time per store",
+        security: PUBLIC,
+        responses: { 200: jsonResponse("{ storeId: visitedAt }", { type: "object", additionalProperties: { type: "string", format: "date-time" } }), ...COMMON_ERRORS },
+      },
+    },
+  },
+};
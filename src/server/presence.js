@@ -0,0 +1,103 @@
+import crypto from "crypto";
+import { getDistance } from "../shared/geo.js";
+
+// 超過此時間未更新位置視為離線
+export const PRESENCE_TTL_MS = 60 * 1000;
+const SWEEP_INTERVAL_MS = 15 * 1000;
+// 定期送出註解，避免代理伺服器因閒置關閉 SSE 連線
+const HEARTBEAT_INTERVAL_MS = 25 * 1000;
+
+const MAX_TEAM_LENGTH = 40;
+const MAX_NAME_LENGTH = 30;
+
+const isFiniteNumber = (value) => typeof value === "number" && Number.isFinite(value);
+
+export const isValidTeam = (team) => typeof team === "string" && team.trim().length > 0 && team.length <= MAX_TEAM_LENGTH;
+
+// 檢查位置回報 { team, name, lat, lng, heading?, accuracy? }，回傳錯誤訊息陣列
+export const validatePresence = (input) => {
+  const errors = [];
+  const { team, name, lat, lng, heading = null, accuracy = null } = input || {};
+  if (!isValidTeam(team)) errors.push(`team must be 1-${MAX_TEAM_LENGTH} characters`);
+  if (typeof name !== "string" || !name.trim() || name.length > MAX_NAME_LENGTH) errors.push(`name must be 1-${MAX_NAME_LENGTH} characters`);
+  if (!isFiniteNumber(lat) || !isFiniteNumber(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) errors.push("Invalid lat/lng");
+  if (heading !== null && !isFiniteNumber(heading)) errors.push("heading must be a number");
+  if (accuracy !== null && !isFiniteNumber(accuracy)) errors.push("accuracy must be a number");
+  return errors;
+};
+
+// 團隊即時位置：追蹤中的成員回報位置，同隊的訂閱者以 Server-Sent Events 收到 snapshot/update/leave
+// userId 是存取個人資料的憑證，不會送出；成員以 memberId (userId 的雜湊，每次啟動更換金鑰) 識別
+export class PresenceHub {
+  constructor() {
+    this.teams = new Map(); // team -> Map(userId -> member)
+    this.subscribers = new Set(); // { team, res }
+    this.memberKey = crypto.randomBytes(32);
+    this.sweepTimer = setInterval(() => this.sweep(), SWEEP_INTERVAL_MS);
+    this.sweepTimer.unref();
+  }
+
+  memberId(team, userId) {
+    return `mbr_${crypto.createHmac("sha256", this.memberKey).update(`${team}\n${userId}`).digest("hex").slice(0, 24)}`;
+  }
+
+  members(team) {
+    return [...(this.teams.get(team)?.values() || [])];
+  }
+
+  broadcast(team, event, data) {
+    const message = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+    for (const subscriber of this.subscribers) {
+      if (subscriber.team === team) subscriber.res.write(message);
+    }
+  }
+
+  update(userId, { team, name, lat, lng, heading = null, accuracy = null }) {
+    if (!this.teams.has(team)) this.teams.set(team, new Map());
+    const member = { id: this.memberId(team, userId), name: name.trim(), lat, lng, heading, accuracy, updatedAt: new Date().toISOString() };
+    this.teams.get(team).set(userId, member);
+    this.broadcast(team, "update", member);
+    return member;
+  }
+
+  remove(team, userId) {
+    const members = this.teams.get(team);
+    const member = members?.get(userId);
+    if (!member) return false;
+    members.delete(userId);
+    if (members.size === 0) this.teams.delete(team);
+    this.broadcast(team, "leave", { id: member.id });
+    return true;
+  }
+
+  sweep(now = Date.now()) {
+    for (const [team, members] of this.teams) {
+      for (const [userId, member] of members) {
+        if (now - Date.parse(member.updatedAt) > PRESENCE_TTL_MS) this.remove(team, userId);
+      }
+    }
+  }
+
+  // 訂閱不需身分，斷線也不移除成員；成員以 DELETE /api/presence 或逾時離開
+  subscribe(req, res, team) {
+    res.set({ "Content-Type": "text/event-stream", "Cache-Control": "no-cache", Connection: "keep-alive", "X-Accel-Buffering": "no" });
+    res.flushHeaders();
+    res.write(`event: snapshot\ndata: ${JSON.stringify(this.members(team))}\n\n`);
+
+    const subscriber = { team, res };
+    this.subscribers.add(subscriber);
+    const heartbeat = setInterval(() => res.write(": heartbeat\n\n"), HEARTBEAT_INTERVAL_MS);
+    req.on("close", () => {
+      clearInterval(heartbeat);
+      this.subscribers.delete(subscriber);
+    });
+  }
+
+  // 依與 (lat, lng) 的距離排序的成員，附 distance (公里)
+  nearest(team, lat, lng, limit = 5) {
+    return this.members(team)
+      .map((member) => ({ ...member, distance: getDistance(lat, lng, member.lat, member.lng) }))
+      .sort((a, b) => a.distance - b.distance)
+      .slice(0, limit);
+  }
+}
@@ -0,0 +1,7 @@
+// 店家查詢參數的預設值與上限 (舊版 /api 與 /api/v1 共用，並經由 /api/config 提供給前端)
+export const DEFAULT_NEARBY_RADIUS_KM = 1;
+export const MAX_NEARBY_RADIUS_KM = 50;
+export const DEFAULT_RESULT_LIMIT = 100;
+export const MAX_RESULT_LIMIT = 1000;
+// 搜尋結果依相關度排序，不需要太多筆
+export const MAX_SEARCH_LIMIT = 100;
@@ -0,0 +1,158 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { readJsonFile, writeJsonFileAtomic, createWriteQueue } from "./jsonFile.js";
+import { validateStoreFields } from "./storeValidation.js";
+
+export const REPORT_TYPES = ["closed", "relocated", "renamed", "duplicate"];
+export const REPORT_STATUSES = ["pending", "approved", "rejected"];
+export const MAX_REPORT_NOTE_LENGTH = 500;
+export const MAX_REPORT_PHOTO_BYTES = 2 * 1024 * 1024;
+// 每位使用者同時待審核的回報數上限
+export const MAX_PENDING_REPORTS_PER_USER = 20;
+
+const PHOTO_PATTERN = /^data:image\/(jpeg|png|webp);base64,([A-Za-z0-9+/=]+)$/;
+const PHOTO_EXTENSIONS = { jpeg: "jpg", png: "png", webp: "webp" };
+const PHOTO_CONTENT_TYPES = { jpg: "image/jpeg", png: "image/png", webp: "image/webp" };
+
+// 檔案開頭的特徵位元組 (offset -> bytes)，內容需與 data URL 宣告的格式相符
+const PHOTO_SIGNATURES = {
+  jpeg: [[0, [0xff, 0xd8, 0xff]]],
+  png: [[0, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]]],
+  webp: [[0, [0x52, 0x49, 0x46, 0x46]], [8, [0x57, 0x45, 0x42, 0x50]]], // RIFF....WEBP
+};
+
+const hasSignature = (buffer, format) =>
+  PHOTO_SIGNATURES[format].every(([offset, bytes]) => bytes.every((byte, i) => buffer[offset + i] === byte));
+
+const newReportId = () => `rpt_${crypto.randomBytes(6).toString("hex")}`;
+
+// 照片為 data URL (data:image/jpeg;base64,...)，回傳 { buffer, extension } 或錯誤訊息
+const parsePhoto = (photo) => {
+  const match = typeof photo === "string" && photo.match(PHOTO_PATTERN);
+  if (!match) return { error: "photo must be a base64 JPEG, PNG or WebP data URL" };
+  const buffer = Buffer.from(match[2], "base64");
+  if (buffer.length > MAX_REPORT_PHOTO_BYTES) return { error: `photo must be at most ${MAX_REPORT_PHOTO_BYTES / 1024 / 1024} MB` };
+  if (!hasSignature(buffer, match[1])) return { error: `photo content is not a valid ${match[1].toUpperCase()} image` };
+  return { buffer, extension: PHOTO_EXTENSIONS[match[1]] };
+};
+
+// 檢查回報：{ storeId, type, lat?, lng? (relocated), name? (renamed), duplicateOf? (duplicate), note?, photo? }
+// 回傳 { value, photo, errors }；店家是否存在由呼叫端確認
+export const validateReport = (input) => {
+  const errors = [];
+  const { storeId, type, note = "", photo } = input || {};
+  const value = { storeId, type, note: typeof note === "string" ? note.trim() : "" };
+
+  if (typeof storeId !== "string" || !storeId) errors.push("storeId is required");
+  if (!REPORT_TYPES.includes(type)) errors.push(`type must be one of ${REPORT_TYPES.join(", ")}`);
+  if (typeof note !== "string" || note.length > MAX_REPORT_NOTE_LENGTH) {
+    errors.push(`note must be a string of at most ${MAX_REPORT_NOTE_LENGTH} characters`);
+  }
+
+  if (type === "relocated" || type === "renamed") {
+    const fields = type === "relocated" ? { lat: input.lat, lng: input.lng } : { name: input.name };
+    const result = validateStoreFields(fields, { partial: true });
+    if (type === "relocated" && (input.lat === undefined || input.lng === undefined)) errors.push("lat and lng are required");
+    else if (type === "renamed" && input.name === undefined) errors.push("name is required");
+    errors.push(...result.errors);
+    Object.assign(value, result.value);
+  }
+  if (type === "duplicate") {
+    if (typeof input.duplicateOf !== "string" || !input.duplicateOf) errors.push("duplicateOf is required");
+    else if (input.duplicateOf === storeId) errors.push("duplicateOf must be another store");
+    else value.duplicateOf = input.duplicateOf;
+  }
+
+  let parsedPhoto = null;
+  if (photo !== undefined && photo !== null && photo !== "") {
+    parsedPhoto = parsePhoto(photo);
+    if (parsedPhoto.error) errors.push(parsedPhoto.error);
+  }
+
+  return { value, photo: parsedPhoto, errors };
+};
+
+// 使用者回報的店家狀態 (歇業、位置錯誤、改名、重複)，待管理者審核；照片另存於 photoDir
+export class ReportStore {
+  constructor(filePath, photoDir) {
+    this.filePath = filePath;
+    this.photoDir = photoDir;
+    this.reports = [];
+    this.enqueue = createWriteQueue();
+  }
+
+  async load() {
+    this.reports = await readJsonFile(this.filePath, []);
+    return this;
+  }
+
+  // 新到舊排列
+  list({ status, userId } = {}) {
+    return this.reports
+      .filter((r) => (!status || r.status === status) && (!userId || r.userId === userId))
+      .slice()
+      .reverse();
+  }
+
+  get(id) {
+    return this.reports.find((r) => r.id === id) || null;
+  }
+
+  // 同一使用者對同一店家同類型仍待審核的回報
+  findPending(userId, storeId, type) {
+    return this.reports.find((r) => r.status === "pending" && r.userId === userId && r.storeId === storeId && r.type === type) || null;
+  }
+
+  countPending(userId) {
+    return this.reports.filter((r) => r.status === "pending" && r.userId === userId).length;
+  }
+
+  photoPath(report) {
+    return report.photo ? path.join(this.photoDir, report.photo) : null;
+  }
+
+  photoContentType(report) {
+    return PHOTO_CONTENT_TYPES[path.extname(report.photo).slice(1)];
+  }
+
+  async add(userId, value, photo) {
+    const report = { id: newReportId(), ...value, userId, photo: null, status: "pending", createdAt: new Date().toISOString() };
+    if (photo) {
+      report.photo = `${report.id}.${photo.extension}`;
+      await fs.promises.mkdir(this.photoDir, { recursive: true });
+      await fs.promises.writeFile(path.join(this.photoDir, report.photo), photo.buffer);
+    }
+    await this.enqueue(async () => {
+      this.reports.push(report);
+      try {
+        await writeJsonFileAtomic(this.filePath, this.reports);
+      } catch (err) {
+        this.reports = this.reports.filter((r) => r !== report);
+        throw err;
+      }
+    });
+    return report;
+  }
+
+  // 審核結果：status 為 approved 或 rejected；找不到或已審核時回傳 null，否則回傳 { report, applied }
+  // apply(report) 與待審檢查在同一個佇列工作中執行，同一筆回報不會被套用兩次；apply 回傳 null 時不變更狀態
+  async review(id, { status, reviewer, note = "" }, apply = null) {
+    return this.enqueue(async () => {
+      const index = this.reports.findIndex((r) => r.id === id);
+      if (index === -1 || this.reports[index].status !== "pending") return null;
+      const previous = this.reports[index];
+      const applied = apply ? await apply(previous) : undefined;
+      if (applied === null) return { report: previous, applied };
+      const reviewed = { ...previous, status, reviewedBy: reviewer, reviewedAt: new Date().toISOString(), reviewNote: note };
+      this.reports[index] = reviewed;
+      try {
+        await writeJsonFileAtomic(this.filePath, this.reports);
+      } catch (err) {
+        this.reports[index] = previous;
+        throw err;
+      }
+      return { report: reviewed, applied };
+    });
+  }
+}
@@ -0,0 +1,132 @@
+import { sendApiError } from "./apiErrors.js";
+
+// 依 OpenAPI 3.0 文件驗證請求，支援文件中用到的 JSON Schema 子集：
+// type、nullable、enum、minimum/maximum、exclusiveMinimum、minLength/maxLength、pattern、format: date-time、
+// required、properties、additionalProperties: false、items、minItems/maxItems 與 $ref
+
+const resolveRef = (document, node) => {
+  let current = node;
+  while (current?.$ref) {
+    current = current.$ref
+      .replace(/^#\//, "")
+      .split("/")
+      .reduce((parent, key) => parent?.[key], document);
+    if (!current) throw new Error(`Unresolved OpenAPI reference ${node.$ref}`);
+  }
+  return current;
+};
+
+const typeOf = (value) => (value === null ? "null" : Array.isArray(value) ? "array" : typeof value);
+
+const matchesType = (type, value) => {
+  switch (type) {
+    case "integer":
+      return Number.isInteger(value);
+    case "number":
+      return typeof value === "number" && Number.isFinite(value);
+    case "object":
+      return typeOf(value) === "object";
+    default:
+      return typeOf(value) === type;
+  }
+};
+
+const TYPE_LABELS = { integer: "an integer", number: "a number", string: "a string", boolean: "a boolean", object: "an object", array: "an array" };
+
+// 回傳錯誤訊息陣列；name 為錯誤訊息中的欄位路徑
+export const validateSchema = (document, schemaOrRef, value, name) => {
+  const schema = resolveRef(document, schemaOrRef);
+  if (value === null && schema.nullable) return [];
+  if (schema.type && !matchesType(schema.type, value)) return [`${name} must be ${TYPE_LABELS[schema.type] || schema.type}`];
+  if (schema.enum && !schema.enum.includes(value)) return [`${name} must be one of ${schema.enum.join(", ")}`];
+
+  const errors = [];
+  if (typeof value === "number") {
+    if (schema.minimum !== undefined && (schema.exclusiveMinimum ? value <= schema.minimum : value < schema.minimum)) {
+      errors.push(`${name} must be ${schema.exclusiveMinimum ? "greater than" : "at least"} ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${name} must be at most ${schema.maximum}`);
+  }
+  if (typeof value === "string") {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push(schema.minLength === 1 ? `${name} must not be empty` : `${name} must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) errors.push(`${name} must be at most ${schema.maxLength} characters`);
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) errors.push(`${name} has an invalid format`);
+    if (schema.format === "date-time" && Number.isNaN(Date.parse(value))) errors.push(`${name} must be an ISO timestamp`);
+  }
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) errors.push(`${name} must have at least ${schema.minItems} items`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push(`${name} must have at most ${schema.maxItems} items`);
+    if (schema.items) value.forEach((item, i) => errors.push(...validateSchema(document, schema.items, item, `${name}[${i}]`)));
+  }
+  if (typeOf(value) === "object") {
+    const properties = schema.properties || {};
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) errors.push(`${name}.${key} is required`);
+    }
+    for (const [key, item] of Object.entries(value)) {
+      if (properties[key]) errors.push(...validateSchema(document, properties[key], item, `${name}.${key}`));
+      else if (schema.additionalProperties === false) errors.push(`${name}.${key} is not allowed`);
+    }
+  }
+  return errors;
+};
+
+// 路徑與查詢參數都是字串，依 schema 型別轉換；轉換失敗時保留原值交給驗證回報錯誤
+const coerceParameter = (schema, raw) => {
+  if (schema.type === "integer" || schema.type === "number") {
+    const value = Number(raw);
+    return raw.trim() === "" || Number.isNaN(value) ? raw : value;
+  }
+  if (schema.type === "boolean") return raw === "true" ? true : raw === "false" ? false : raw;
+  return raw;
+};
+
+// 找出 OpenAPI 文件中的操作；method 為小寫，path 為文件中的路徑 (例如 /stores/{id})
+export const findOperation = (document, method, path) => {
+  const operation = document.paths[path]?.[method];
+  if (!operation) throw new Error(`No OpenAPI operation for ${method.toUpperCase()} ${path}`);
+  return operation;
+};
+
+// 操作的 security 沒有空的選項 ({}) 時必須帶 API key
+export const requiresApiKey = (operation) => Boolean(operation.security) && !operation.security.some((option) => Object.keys(option).length === 0);
+
+// 建立驗證 middleware：通過後轉型、套用預設值的參數與 body 存於 req.valid = { params, query, body }
+export const createRequestValidator = (document, operation) => {
+  const parameters = (operation.parameters || []).map((parameter) => resolveRef(document, parameter));
+  const bodySchema = operation.requestBody && resolveRef(document, operation.requestBody).content["application/json"].schema;
+
+  return (req, res, next) => {
+    const errors = [];
+    const valid = { params: {}, query: {}, body: undefined };
+    for (const parameter of parameters) {
+      const source = parameter.in === "path" ? req.params : req.query;
+      const target = parameter.in === "path" ? valid.params : valid.query;
+      const raw = source[parameter.name];
+      const schema = resolveRef(document, parameter.schema);
+      if (raw === undefined || raw === "") {
+        if (parameter.required) errors.push(`${parameter.name} is required`);
+        else if (schema.default !== undefined) target[parameter.name] = schema.default;
+        continue;
+      }
+      if (typeof raw !== "string") {
+        errors.push(`${parameter.name} must be given once`);
+        continue;
+      }
+      const value = coerceParameter(schema, raw);
+      const parameterErrors = validateSchema(document, schema, value, parameter.name);
+      errors.push(...parameterErrors);
+      if (parameterErrors.length === 0) target[parameter.name] = value;
+    }
+    if (bodySchema) {
+      if (!req.is("application/json")) errors.push("body must be JSON (Content-Type: application/json)");
+      else errors.push(...validateSchema(document, bodySchema, req.body, "body"));
+      valid.body = req.body;
+    }
+    if (errors.length > 0) return sendApiError(res, 400, "Request validation failed", errors);
+    req.valid = valid;
+    next();
+  };
+};
@@ -0,0 +1,72 @@
+import { toTraditional } from "./chineseVariants.js";
+
+// 搜尋用正規化：全形轉半形、小寫、簡轉繁，並移除空白與標點
+export const normalizeSearchText = (text) =>
+  toTraditional(String(text || "").normalize("NFKC").toLowerCase()).replace(/[\s\p{P}\p{S}]+/gu, "");
+
+const bigrams = (text) => {
+  const grams = new Set();
+  const chars = [...text];
+  if (chars.length === 1) grams.add(chars[0]);
+  for (let i = 0; i + 1 < chars.length; i++) grams.add(chars[i] + chars[i + 1]);
+  return grams;
+};
+
+// 二字元 (bigram) 倒排索引，支援部分輸入與少量錯字的模糊比對
+export class SearchIndex {
+  constructor(stores = []) {
+    this.entries = stores.map((store) => ({
+      store,
+      name: normalizeSearchText(store.name),
+      address: normalizeSearchText(`${store.city || ""}${store.area || ""}${store.address || ""}`),
+    }));
+    this.grams = new Map();
+    this.entries.forEach((entry, i) => {
+      for (const gram of new Set([...bigrams(entry.name), ...bigrams(entry.address)])) {
+        if (!this.grams.has(gram)) this.grams.set(gram, []);
+        this.grams.get(gram).push(i);
+      }
+    });
+  }
+
+  score(entry, query, matchRatio) {
+    if (entry.name === query) return 100;
+    if (entry.name.startsWith(query)) return 90;
+    if (entry.name.includes(query)) return 80;
+    if (entry.address.includes(query)) return 60;
+    return 50 * matchRatio;
+  }
+
+  search(text, limit = 20) {
+    const query = normalizeSearchText(text);
+    if (!query) return [];
+
+    // 單一字元無法組成 bigram，直接比對所有店家
+    const queryGrams = bigrams(query);
+    const hits = new Map();
+    if ([...query].length === 1) {
+      this.entries.forEach((entry, i) => {
+        if (entry.name.includes(query) || entry.address.includes(query)) hits.set(i, 1);
+      });
+    } else {
+      for (const gram of queryGrams) {
+        for (const i of this.grams.get(gram) || []) hits.set(i, (hits.get(i) || 0) + 1);
+      }
+    }
+
+    // 模糊比對至少需命中一半的 bigram
+    const results = [];
+    for (const [i, count] of hits) {
+      const entry = this.entries[i];
+      const ratio = count / queryGrams.size;
+      const isSubstring = entry.name.includes(query) || entry.address.includes(query);
+      if (!isSubstring && ratio < 0.5) continue;
+      results.push({ entry, score: this.score(entry, query, ratio) });
+    }
+
+    return results
+      .sort((a, b) => b.score - a.score || a.entry.name.length - b.entry.name.length)
+      .slice(0, limit)
+      .map(({ entry, score }) => ({ ...entry.store, score: Math.round(score) }));
+  }
+}
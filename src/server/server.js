@@ -1,49 +1,504 @@
 import express from "express";
 import cors from "cors";
 import path from "path";
-import fs from "fs";
-import { fileURLToPath } from "url";
+import { VisitStore, MAX_VISIT_NOTE_LENGTH } from "./visitStore.js";
+import { StoreRepository } from "./storeRepository.js";
+import { ChangeLog } from "./changeLog.js";
+import { parseTokens } from "./adminAuth.js";
+import { createAdminRouter, IMPORT_PATH } from "./adminRoutes.js";
+import { EXPORT_FORMATS } from "./storeFormats.js";
+import { createOpenGraphRenderer } from "./openGraph.js";
+import { computeStats } from "./stats.js";
+import { TrackStore, validateTrack } from "./trackStore.js";
+import { sendCachedJson } from "./cachedJson.js";
+import { loadConfig } from "./config.js";
+import { PresenceHub, isValidTeam, validatePresence } from "./presence.js";
+import { AnnotationStore, isValidUserId, validateAnnotation } from "./annotationStore.js";
+import { ReportStore, validateReport, MAX_PENDING_REPORTS_PER_USER } from "./reportStore.js";
+import { SnapshotStore, diffStoreLists } from "./snapshotStore.js";
+import { createApiV1Router } from "./apiV1.js";
+import { handleApiError, sendApiError } from "./apiErrors.js";
+import { createRateLimiter } from "./apiKeys.js";
+import { DEFAULT_NEARBY_RADIUS_KM, MAX_NEARBY_RADIUS_KM, DEFAULT_RESULT_LIMIT, MAX_RESULT_LIMIT, MAX_SEARCH_LIMIT } from "./queryLimits.js";
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+const config = loadConfig();
 
 const app = express();
-app.use(cors());
-app.use(express.json());
+// Render 等平台經由反向代理轉發，需信任 X-Forwarded-* 才能取得正確的協定、主機與來源 IP
+// 只信任 TRUST_PROXY_HOPS 層代理，req.ip 才不會被客戶端偽造的 X-Forwarded-For 左側位址取代
+app.set("trust proxy", config.trustProxyHops);
+// 前端與 API 可能不同源，需公開快取、差異同步與請求次數限制用的標頭
+app.use(cors({ exposedHeaders: ["ETag", "Last-Modified", "X-Updated-At", "RateLimit-Limit", "RateLimit-Remaining", "RateLimit-Reset", "Retry-After"] }));
+// JSON body 使用預設上限；管理者匯入 (adminRoutes.js 驗證 token 後) 與附照片的回報在各自的路由以較大的上限解析
+const ADMIN_PATH = "/api/admin";
+const REPORTS_PATH = "/api/reports";
+// 照片上限 2 MB，base64 編碼後約 2.7 MB
+const REPORT_BODY_LIMIT = "3mb";
+const LARGE_BODY_PATHS = new Set([`${ADMIN_PATH}${IMPORT_PATH}`, REPORTS_PATH]);
+const parseJson = express.json();
+app.use((req, res, next) => (LARGE_BODY_PATHS.has(req.path) ? next() : parseJson(req, res, next)));
 
 // 提供靜態文件服務（Vite 構建後的 dist 目錄）
-const distPath = path.join(__dirname, "../../dist");
+const { distPath, dataDir } = config;
 app.use(express.static(distPath));
 
+// 自架圖磚
+if (config.tileDir) {
+  app.use("/tiles", express.static(config.tileDir, { maxAge: "30d", fallthrough: false }));
+}
+
+const visitsFilePath = path.join(dataDir, "visits.json");
+const changeLogFilePath = path.join(dataDir, "store_changes.jsonl");
+const tracksDirPath = path.join(dataDir, "tracks");
+const annotationsFilePath = path.join(dataDir, "store_annotations.json");
+const reportsFilePath = path.join(dataDir, "store_reports.json");
+const reportPhotosDirPath = path.join(dataDir, "report_photos");
+const snapshotsDirPath = path.join(dataDir, "store_snapshots");
+
+// 店家資料每次變動都保存歷史版本，供差異比較與回復
+const snapshotStore = new SnapshotStore(snapshotsDirPath, { limit: config.snapshotLimit });
+
+// 啟動時載入店家資料並建立空間索引與搜尋索引；管理 API 寫入後會重建
+const storeRepository = new StoreRepository(config.dataFilePath, { snapshots: snapshotStore });
+try {
+  storeRepository.loadSync();
+  const { totals, errors, warnings } = storeRepository.report;
+  console.log(`Store indexes built with ${totals.valid}/${totals.rows} stores (${errors.length} errors, ${warnings.length} warnings)`);
+} catch (err) {
+  console.error("Failed to build store indexes:", err);
+}
+// 產生的 id 寫回資料檔，店家改名或改地址後 id 仍相同；寫入失敗時只沿用記憶體中的 id
+if (storeRepository.loaded) {
+  try {
+    const persisted = await storeRepository.persistAssignedIds();
+    if (persisted > 0) console.log(`Saved ${persisted} generated store ids to the data file`);
+  } catch (err) {
+    console.error("Failed to save generated store ids:", err);
+  }
+}
+// 版本索引載入並補存啟動時的版本後才開始監看資料檔與接受請求，避免寫入時覆蓋尚未載入的索引
+// 索引讀取失敗時停用版本紀錄，同樣是為了不覆蓋既有的歷史版本
+try {
+  await snapshotStore.load();
+  if (storeRepository.loaded) await storeRepository.snapshot({ action: "startup" });
+} catch (err) {
+  console.error("Failed to load store snapshots, versioning disabled:", err);
+  storeRepository.snapshots = null;
+}
+storeRepository.watch((err, repository) => {
+  if (err) return console.error("Failed to reload store data:", err);
+  console.log(`Store data reloaded with ${repository.report.totals.valid}/${repository.report.totals.rows} stores`);
+});
+
+const visitStore = new VisitStore(visitsFilePath);
+visitStore.load().catch((err) => console.error("Failed to load visits:", err));
+
+const trackStore = new TrackStore(tracksDirPath);
+trackStore.load().catch((err) => console.error("Failed to load tracks:", err));
+
+const annotationStore = new AnnotationStore(annotationsFilePath);
+annotationStore.load().catch((err) => console.error("Failed to load annotations:", err));
+
+const reportStore = new ReportStore(reportsFilePath, reportPhotosDirPath);
+reportStore.load().catch((err) => console.error("Failed to load reports:", err));
+
+const adminTokens = parseTokens(process.env.ADMIN_TOKENS);
+const apiKeys = parseTokens(process.env.API_KEYS);
+
+const presenceHub = new PresenceHub();
+
+const parseNumber = (value) => {
+  if (value === undefined || value === "") return NaN;
+  return Number(value);
+};
+
+const parseLimit = (value) => {
+  const limit = parseInt(value, 10);
+  if (!Number.isFinite(limit) || limit <= 0) return DEFAULT_RESULT_LIMIT;
+  return Math.min(limit, MAX_RESULT_LIMIT);
+};
+
+const isValidLatLng = (lat, lng) =>
+  Number.isFinite(lat) && Number.isFinite(lng) && Math.abs(lat) <= 90 && Math.abs(lng) <= 180;
+
+// 以 X-User-Id (前端產生並存於 localStorage 的隨機 id) 區分使用者
+const requireUserId = (req, res, next) => {
+  const userId = req.get("X-User-Id");
+  if (!isValidUserId(userId)) return sendApiError(res, 400, "Missing or invalid X-User-Id");
+  req.userId = userId;
+  next();
+};
+
+// 網頁版 /api 的寫入端點一律：依來源 IP 限制請求次數，並以 X-User-Id 識別使用者
+// API key 只用於 /api/v1；網頁版的 key 會暴露在前端程式中，無法作為驗證
+const webWriteLimiter = createRateLimiter({ limit: config.webWriteRateLimit, anonymousLimit: config.webWriteRateLimit });
+const requireWebWrite = [webWriteLimiter, requireUserId];
+// 回報會寫入照片並進入人工審核佇列，另以較長的時間窗限制每個 IP 的次數
+const REPORT_RATE_WINDOW_MS = 10 * 60 * 1000;
+const reportLimiter = createRateLimiter({ limit: config.reportRateLimit, anonymousLimit: config.reportRateLimit, windowMs: REPORT_RATE_WINDOW_MS });
+
 // ---- API START ----
 
+// 公開 API (有版本、附 OpenAPI 文件)：GET /api/v1/openapi.json
+// JSON 解析錯誤等在路由前發生的錯誤也以 /api/v1 的錯誤格式回應
+app.use(
+  "/api/v1",
+  createApiV1Router({
+    repository: storeRepository,
+    visitStore,
+    snapshotStore,
+    apiKeys,
+    rateLimit: config.apiRateLimit,
+  }),
+  handleApiError
+);
+
+// 客戶端執行期設定：地圖圖磚、是否啟用管理 API 與查詢上限
+app.get("/api/config", (req, res) => {
+  res.json({
+    tiles: config.tiles,
+    adminEnabled: adminTokens.size > 0,
+    limits: { maxNearbyRadiusKm: MAX_NEARBY_RADIUS_KM, maxResultLimit: MAX_RESULT_LIMIT },
+  });
+});
+
+// 只提供通過驗證並正規化後的資料
+// ?since=<X-Updated-At> 時只回傳之後變動的店家：{ delta: true, updatedAt, updated: [店家], removed: [id] }
+// since 早於伺服器可追溯的時間時回傳完整資料
 app.get("/api/stores", (req, res) => {
-  // 從 src/server/ 回到根目錄的 data 資料夾
-  const filePath = path.join(__dirname, "../../data/taiwan_stores_data.json");
+  if (!storeRepository.loaded) return sendApiError(res, 500, "Failed to read data file");
+  res.set("X-Updated-At", storeRepository.updatedAt.toISOString());
 
-  fs.readFile(filePath, "utf8", (err, data) => {
-    if (err) {
-      console.error("Error reading json file:", err);
-      return res.status(500).json({ error: "Failed to read data file" });
+  if (req.query.since !== undefined) {
+    const since = new Date(req.query.since);
+    if (Number.isNaN(since.getTime())) return sendApiError(res, 400, "since must be an ISO timestamp");
+    const changes = storeRepository.changesSince(since);
+    if (changes) {
+      res.set("Cache-Control", "no-store");
+      return res.json({ delta: true, since: since.toISOString(), updatedAt: storeRepository.updatedAt.toISOString(), ...changes });
     }
+  }
 
-    try {
-      const jsonData = JSON.parse(data);
-      res.json(jsonData);
-    } catch (parseErr) {
-      console.error("JSON parse error:", parseErr);
-      res.status(500).json({ error: "Invalid JSON format" });
-    }
-  });
+  sendCachedJson(req, res, storeRepository.cachedJson);
+});
+
+// 資料驗證報告：格式錯誤、台灣範圍外、疑似縣市錯置與名稱正規化
+app.get("/api/stores/validation", (req, res) => {
+  if (!storeRepository.loaded) return sendApiError(res, 500, "Failed to read data file");
+  res.json(storeRepository.report);
+});
+
+// 歷史版本 (新到舊)：[{ id, createdAt, storeCount, user?, action }]
+app.get("/api/stores/versions", (req, res) => {
+  res.json(snapshotStore.list().map(({ hash, ...version }) => version));
+});
+
+// 版本差異：/api/stores/diff?from=&to=&city=&area=
+// from/to 為版本 id 或 ISO 時間 (取該時間當下的版本)，to 預設為最新版本
+// 回傳 { from, to, totals, cities: { 縣市: { 區域: { added, removed, moved } } } }
+app.get("/api/stores/diff", async (req, res) => {
+  const from = snapshotStore.resolve(req.query.from);
+  const to = req.query.to ? snapshotStore.resolve(req.query.to) : snapshotStore.latest;
+  if (!from) return sendApiError(res, 404, "from version not found");
+  if (!to) return sendApiError(res, 404, "to version not found");
+  try {
+    const [fromStores, toStores] = await Promise.all([snapshotStore.stores(from.id), snapshotStore.stores(to.id)]);
+    if (!fromStores || !toStores) return sendApiError(res, 404, "Version data not found");
+    const { city, area } = req.query;
+    const strip = ({ hash, ...version }) => version;
+    res.json({ from: strip(from), to: strip(to), ...diffStoreLists(fromStores, toStores, { city, area }) });
+  } catch (err) {
+    console.error("Failed to diff versions:", err);
+    sendApiError(res, 500, "Failed to read versions");
+  }
+});
+
+// 附近店家：/api/stores/nearby?lat=&lng=&radius=(公里)&limit=
+app.get("/api/stores/nearby", (req, res) => {
+  if (!storeRepository.loaded) return sendApiError(res, 500, "Store index unavailable");
+
+  const lat = parseNumber(req.query.lat);
+  const lng = parseNumber(req.query.lng);
+  if (!isValidLatLng(lat, lng)) {
+    return sendApiError(res, 400, "lat and lng are required");
+  }
+
+  let radius = parseNumber(req.query.radius);
+  if (!Number.isFinite(radius) || radius <= 0) radius = DEFAULT_NEARBY_RADIUS_KM;
+  radius = Math.min(radius, MAX_NEARBY_RADIUS_KM);
+
+  const stores = storeRepository.spatial.nearby(lat, lng, radius, parseLimit(req.query.limit));
+  res.json({ count: stores.length, stores });
+});
+
+// 視窗範圍：/api/stores/bbox?minLat=&minLng=&maxLat=&maxLng=[&lat=&lng=][&limit=]
+// 結果依與 lat/lng（未提供時為範圍中心）的距離排序
+app.get("/api/stores/bbox", (req, res) => {
+  if (!storeRepository.loaded) return sendApiError(res, 500, "Store index unavailable");
+
+  const minLat = parseNumber(req.query.minLat);
+  const minLng = parseNumber(req.query.minLng);
+  const maxLat = parseNumber(req.query.maxLat);
+  const maxLng = parseNumber(req.query.maxLng);
+  if (!isValidLatLng(minLat, minLng) || !isValidLatLng(maxLat, maxLng) || minLat > maxLat || minLng > maxLng) {
+    return sendApiError(res, 400, "minLat, minLng, maxLat and maxLng are required");
+  }
+
+  let lat = parseNumber(req.query.lat);
+  let lng = parseNumber(req.query.lng);
+  if (!isValidLatLng(lat, lng)) {
+    lat = (minLat + maxLat) / 2;
+    lng = (minLng + maxLng) / 2;
+  }
+
+  const stores = storeRepository.spatial.within(minLat, minLng, maxLat, maxLng, lat, lng, parseLimit(req.query.limit));
+  res.json({ count: stores.length, stores });
+});
+
+// 店名/地址搜尋：/api/stores/search?q=&limit=
+app.get("/api/stores/search", (req, res) => {
+  if (!storeRepository.loaded) return sendApiError(res, 500, "Search index unavailable");
+
+  const q = typeof req.query.q === "string" ? req.query.q.trim() : "";
+  if (!q) return sendApiError(res, 400, "q is required");
+
+  const limit = Math.min(parseLimit(req.query.limit), MAX_SEARCH_LIMIT);
+  const stores = storeRepository.search.search(q, limit);
+  res.json({ count: stores.length, stores });
+});
+
+// 匯出：/api/stores/export?format=csv|geojson|kml|gpx&city=&area=
+app.get("/api/stores/export", (req, res) => {
+  const format = EXPORT_FORMATS[req.query.format || "csv"];
+  if (!format) return sendApiError(res, 400, `format must be one of ${Object.keys(EXPORT_FORMATS).join(", ")}`);
+
+  const { city, area } = req.query;
+  const stores = storeRepository.stores.filter((s) => (!city || s.city === city) && (!area || s.area === area));
+  const title = [city, area].filter(Boolean).join(" ") || "全部店家";
+  const filename = `stores-${[city, area].filter(Boolean).join("-") || "all"}.${format.extension}`;
+
+  res.set("Content-Type", format.contentType);
+  res.set("Content-Disposition", `attachment; filename="stores.${format.extension}"; filename*=UTF-8''${encodeURIComponent(filename)}`);
+  res.send(format.serialize(stores, title));
 });
 
+// 各縣市/區域統計：店家數、外框、中心點、密度與打卡覆蓋率
+app.get("/api/stats", (req, res) => {
+  if (!storeRepository.loaded) return sendApiError(res, 500, "Failed to read data file");
+  res.json(computeStats(storeRepository.stores, visitStore.lastVisits()));
+});
+
+// 打卡紀錄：/api/visits?storeId=
+app.get("/api/visits", (req, res) => {
+  res.json(visitStore.list(req.query.storeId));
+});
+
+// 每家店最後打卡時間：{ storeId: visitedAt }
+app.get("/api/visits/summary", (req, res) => {
+  res.json(visitStore.lastVisits());
+});
+
+// 打卡：{ storeId, lat?, lng?, note? }
+app.post("/api/visits", requireWebWrite, async (req, res) => {
+  const { storeId, note = "" } = req.body || {};
+  if (typeof storeId !== "string" || !storeId) {
+    return sendApiError(res, 400, "storeId is required");
+  }
+  if (storeRepository.loaded && !storeRepository.get(storeId)) {
+    return sendApiError(res, 404, "Store not found");
+  }
+  if (typeof note !== "string" || note.length > MAX_VISIT_NOTE_LENGTH) {
+    return sendApiError(res, 400, `note must be a string of at most ${MAX_VISIT_NOTE_LENGTH} characters`);
+  }
+
+  const hasPosition = req.body.lat !== undefined && req.body.lat !== null;
+  const lat = hasPosition ? Number(req.body.lat) : null;
+  const lng = hasPosition ? Number(req.body.lng) : null;
+  if (hasPosition && !isValidLatLng(lat, lng)) {
+    return sendApiError(res, 400, "Invalid lat/lng");
+  }
+
+  try {
+    const visit = await visitStore.add({ storeId, lat, lng, note: note.trim() });
+    res.status(201).json(visit);
+  } catch (err) {
+    console.error("Failed to save visit:", err);
+    sendApiError(res, 500, "Failed to save visit");
+  }
+});
+
+// 自己上傳的巡店軌跡摘要 (不含軌跡點)
+app.get("/api/tracks", requireUserId, (req, res) => {
+  res.json(trackStore.list(req.userId));
+});
+
+app.get("/api/tracks/:id", requireUserId, async (req, res) => {
+  try {
+    const track = await trackStore.get(req.userId, req.params.id);
+    if (!track) return sendApiError(res, 404, "Track not found");
+    res.json(track);
+  } catch (err) {
+    console.error("Failed to read track:", err);
+    sendApiError(res, 500, "Failed to read track");
+  }
+});
+
+// 上傳軌跡：{ id, startedAt, endedAt, points: [{ t, lat, lng, accuracy?, heading?, speed? }], passedStores? }
+app.post("/api/tracks", requireWebWrite, async (req, res) => {
+  const errors = validateTrack(req.body);
+  if (errors.length > 0) return sendApiError(res, 400, "Invalid track", errors);
+  try {
+    const summary = await trackStore.save(req.userId, req.body);
+    if (!summary) return sendApiError(res, 403, "Track belongs to another user");
+    res.status(201).json(summary);
+  } catch (err) {
+    console.error("Failed to save track:", err);
+    sendApiError(res, 500, "Failed to save track");
+  }
+});
+
+app.get("/api/me/annotations", requireUserId, (req, res) => {
+  res.json(annotationStore.list(req.userId));
+});
+
+// { favourite, tags, note }；全部清空時刪除並回傳 204
+app.put("/api/me/annotations/:storeId", requireWebWrite, async (req, res) => {
+  if (storeRepository.loaded && !storeRepository.get(req.params.storeId)) {
+    return sendApiError(res, 404, "Store not found");
+  }
+  const { value, errors } = validateAnnotation(req.body);
+  if (errors.length > 0) return sendApiError(res, 400, "Invalid annotation", errors);
+  try {
+    const annotation = await annotationStore.set(req.userId, req.params.storeId, value);
+    if (!annotation) return res.status(204).end();
+    res.json(annotation);
+  } catch (err) {
+    console.error("Failed to save annotation:", err);
+    sendApiError(res, 500, "Failed to save annotation");
+  }
+});
+
+// 回報店家狀態 (歇業、位置錯誤、改名、重複)，由管理者審核後套用
+// { storeId, type, lat?, lng?, name?, duplicateOf?, note?, photo? (data URL) }
+app.post(REPORTS_PATH, requireWebWrite, reportLimiter, express.json({ limit: REPORT_BODY_LIMIT }), async (req, res) => {
+  const { value, photo, errors } = validateReport(req.body);
+  if (errors.length > 0) return sendApiError(res, 400, "Invalid report", errors);
+  if (storeRepository.loaded && !storeRepository.get(value.storeId)) return sendApiError(res, 404, "Store not found");
+  if (value.duplicateOf && storeRepository.loaded && !storeRepository.get(value.duplicateOf)) {
+    return sendApiError(res, 400, "Invalid report", ["duplicateOf store not found"]);
+  }
+  if (reportStore.findPending(req.userId, value.storeId, value.type)) {
+    return sendApiError(res, 409, "A pending report of this type already exists");
+  }
+  if (reportStore.countPending(req.userId) >= MAX_PENDING_REPORTS_PER_USER) {
+    return sendApiError(res, 429, `At most ${MAX_PENDING_REPORTS_PER_USER} reports can be pending review`);
+  }
+  try {
+    res.status(201).json(await reportStore.add(req.userId, value, photo));
+  } catch (err) {
+    console.error("Failed to save report:", err);
+    sendApiError(res, 500, "Failed to save report");
+  }
+});
+
+// 自己送出的回報與審核狀態
+app.get("/api/me/reports", requireUserId, (req, res) => {
+  res.json(reportStore.list({ userId: req.userId }));
+});
+
+// 團隊即時位置 (選擇加入)：以 team 代碼分組
+// SSE：/api/presence/stream?team=，事件 snapshot (全部成員)、update (成員)、leave ({ id })
+app.get("/api/presence/stream", (req, res) => {
+  if (!isValidTeam(req.query.team)) return sendApiError(res, 400, "team is required");
+  presenceHub.subscribe(req, res, req.query.team);
+});
+
+// 自己在團隊中的成員 id，用來從成員列表排除自己：/api/presence/self?team=
+app.get("/api/presence/self", requireUserId, (req, res) => {
+  if (!isValidTeam(req.query.team)) return sendApiError(res, 400, "team is required");
+  res.json({ id: presenceHub.memberId(req.query.team, req.userId) });
+});
+
+app.get("/api/presence", (req, res) => {
+  if (!isValidTeam(req.query.team)) return sendApiError(res, 400, "team is required");
+  res.json(presenceHub.members(req.query.team));
+});
+
+// 回報位置：{ team, name, lat, lng, heading?, accuracy? }
+app.post("/api/presence", requireWebWrite, (req, res) => {
+  const errors = validatePresence(req.body);
+  if (errors.length > 0) return sendApiError(res, 400, "Invalid presence", errors);
+  res.json(presenceHub.update(req.userId, req.body));
+});
+
+// 停止分享：/api/presence?team=
+app.delete("/api/presence", requireWebWrite, (req, res) => {
+  if (!isValidTeam(req.query.team)) return sendApiError(res, 400, "team is required");
+  presenceHub.remove(req.query.team, req.userId);
+  res.status(204).end();
+});
+
+// 離店家最近的成員：/api/presence/nearest?team=&storeId=&limit=
+app.get("/api/presence/nearest", (req, res) => {
+  if (!isValidTeam(req.query.team)) return sendApiError(res, 400, "team is required");
+  const store = storeRepository.get(req.query.storeId);
+  if (!store) return sendApiError(res, 404, "Store not found");
+  const limit = req.query.limit ? Math.min(parseLimit(req.query.limit), 20) : 5;
+  res.json({ store: { id: store.id, name: store.name }, members: presenceHub.nearest(req.query.team, store.lat, store.lng, limit) });
+});
+
+// 店家資料管理 (需管理者 token)
+app.use(
+  ADMIN_PATH,
+  createAdminRouter({
+    repository: storeRepository,
+    changeLog: new ChangeLog(changeLogFilePath),
+    reportStore,
+    snapshotStore,
+    adminTokens,
+  })
+);
+
+// JSON 解析失敗、body 過大等錯誤同樣以 sendApiError 的格式回應
+app.use("/api", handleApiError);
+
 // ---- API END ----
 
+// 分享連結：為店家與區域頁面加上 Open Graph 標籤，讓 LINE 等聊天軟體顯示預覽
+const renderWithOpenGraph = createOpenGraphRenderer(path.join(distPath, "index.html"));
+const absoluteUrl = (req, pathname) => `${req.protocol}://${req.get("host")}${pathname}`;
+
+const sendWithOpenGraph = (req, res, next, meta) => {
+  try {
+    res.send(renderWithOpenGraph({ url: absoluteUrl(req, req.originalUrl), image: absoluteUrl(req, "/icon.svg"), ...meta }));
+  } catch (err) {
+    console.error("Failed to render Open Graph tags:", err);
+    next();
+  }
+};
+
+app.get("/store/:id", (req, res, next) => {
+  const store = storeRepository.get(req.params.id);
+  if (!store) return next();
+  sendWithOpenGraph(req, res, next, {
+    title: store.name,
+    description: [store.city, store.area, store.address].filter(Boolean).join(" "),
+    extra: { "place:location:latitude": store.lat, "place:location:longitude": store.lng },
+  });
+});
+
+app.get("/area/:city/:area?", (req, res, next) => {
+  const { city, area } = req.params;
+  const count = storeRepository.stores.filter((s) => s.city === city && (!area || s.area === area)).length;
+  if (count === 0) return next();
+  const place = [city, area].filter(Boolean).join(" ");
+  sendWithOpenGraph(req, res, next, { title: place, description: `${place} 共 ${count} 家店` });
+});
+
 // 所有其他路由都返回 index.html（用於 React Router）
 app.get("*", (req, res) => {
   res.sendFile(path.join(distPath, "index.html"));
 });
 
 // Render 會從這裡讀 PORT
-const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => console.log(`Server running on port ${PORT}`));
+app.listen(config.port, () => console.log(`Server running on port ${config.port}`));
@@ -0,0 +1,154 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { readJsonFile, writeJsonFileAtomic, createWriteQueue } from "./jsonFile.js";
+import { normalizeStoreData, normalizePlaceName } from "./dataValidation.js";
+import { flattenStoreData } from "../shared/stores.js";
+import { getDistance } from "../shared/geo.js";
+
+export const DEFAULT_SNAPSHOT_LIMIT = 200;
+
+// 座標變動超過此距離 (公里) 才算搬遷
+export const MOVE_THRESHOLD_KM = 0.01;
+
+// 比較版本時在記憶體中保留的已解析版本數
+const PARSED_CACHE_SIZE = 4;
+
+const hashSource = (source) => crypto.createHash("sha1").update(JSON.stringify(source)).digest("hex");
+
+const newVersionId = (at) => `v_${at.toISOString().replace(/[-:]/g, "").replace(/\.\d+Z$/, "Z")}_${crypto.randomBytes(2).toString("hex")}`;
+
+const summarize = (store) => ({ id: store.id, name: store.name, address: store.address, city: store.city, area: store.area, lat: store.lat, lng: store.lng });
+
+const bucketOf = (diff, city, area) => {
+  if (!diff[city]) diff[city] = {};
+  if (!diff[city][area]) diff[city][area] = { added: [], removed: [], moved: [] };
+  return diff[city][area];
+};
+
+// 比較兩個版本的店家 (依 id)：新增、刪除與搬遷 (座標移動或換縣市/區域)，依縣市/區域分組
+// 提供 { city, area } 時只計算該範圍 (任一版本位於範圍內的店家)
+export const diffStoreLists = (fromStores, toStores, { city, area } = {}) => {
+  const scopeCity = city && normalizePlaceName(city);
+  const scopeArea = area && normalizePlaceName(area);
+  const inScope = (s) => (!scopeCity || s.city === scopeCity) && (!scopeArea || s.area === scopeArea);
+  const before = new Map(fromStores.filter(inScope).map((s) => [s.id, s]));
+  const after = new Map(toStores.filter(inScope).map((s) => [s.id, s]));
+  // 搬出範圍的店家也要能找到另一個版本的資料
+  const allBefore = new Map(fromStores.map((s) => [s.id, s]));
+  const allAfter = new Map(toStores.map((s) => [s.id, s]));
+
+  const cities = {};
+  const totals = { added: 0, removed: 0, moved: 0 };
+  const ids = new Set([...before.keys(), ...after.keys()]);
+  for (const id of ids) {
+    const previous = allBefore.get(id);
+    const current = allAfter.get(id);
+    if (!previous) {
+      bucketOf(cities, current.city, current.area).added.push(summarize(current));
+      totals.added++;
+    } else if (!current) {
+      bucketOf(cities, previous.city, previous.area).removed.push(summarize(previous));
+      totals.removed++;
+    } else {
+      const distance = getDistance(previous.lat, previous.lng, current.lat, current.lng);
+      const changedArea = previous.city !== current.city || previous.area !== current.area;
+      if (distance <= MOVE_THRESHOLD_KM && !changedArea) continue;
+      bucketOf(cities, current.city, current.area).moved.push({
+        ...summarize(current),
+        from: { city: previous.city, area: previous.area, lat: previous.lat, lng: previous.lng },
+        distance,
+      });
+      totals.moved++;
+    }
+  }
+  return { totals, cities };
+};
+
+// 店家資料的歷史版本：資料每次變動 (管理 API、匯入、回報核准、外部修改、回復) 都存一份完整快照
+// 快照存於 dirPath/<id>.json，版本摘要存於 dirPath/index.json；內容與最新版本相同時不重複儲存
+export class SnapshotStore {
+  constructor(dirPath, { limit = DEFAULT_SNAPSHOT_LIMIT } = {}) {
+    this.dirPath = dirPath;
+    this.limit = limit;
+    this.versions = [];
+    this.parsed = new Map();
+    this.enqueue = createWriteQueue();
+  }
+
+  get indexPath() {
+    return path.join(this.dirPath, "index.json");
+  }
+
+  filePath(id) {
+    return path.join(this.dirPath, `${id}.json`);
+  }
+
+  async load() {
+    this.versions = await readJsonFile(this.indexPath, []);
+    return this;
+  }
+
+  // 新到舊排列
+  list() {
+    return this.versions.slice().reverse();
+  }
+
+  get latest() {
+    return this.versions[this.versions.length - 1] || null;
+  }
+
+  get(id) {
+    return this.versions.find((v) => v.id === id) || null;
+  }
+
+  // 版本 id，或 ISO 時間 (取該時間當下的版本；早於第一版時取最早的版本)
+  resolve(ref) {
+    if (typeof ref !== "string" || !ref) return null;
+    const version = this.get(ref);
+    if (version) return version;
+    const time = Date.parse(ref);
+    if (Number.isNaN(time)) return null;
+    return this.versions.filter((v) => Date.parse(v.createdAt) <= time).pop() || this.versions[0] || null;
+  }
+
+  // meta: { storeCount, user, action, ... }；回傳新版本摘要，內容未變動時回傳 null
+  record(source, meta = {}) {
+    return this.enqueue(async () => {
+      const hash = hashSource(source);
+      if (this.latest?.hash === hash) return null;
+      const at = new Date();
+      const version = { id: newVersionId(at), createdAt: at.toISOString(), hash, ...meta };
+      await writeJsonFileAtomic(this.filePath(version.id), source);
+      const pruned = this.versions.length + 1 > this.limit ? this.versions.slice(0, this.versions.length + 1 - this.limit) : [];
+      const versions = [...this.versions.slice(pruned.length), version];
+      await writeJsonFileAtomic(this.indexPath, versions);
+      this.versions = versions;
+      for (const old of pruned) {
+        await fs.promises.rm(this.filePath(old.id), { force: true });
+      }
+      return version;
+    });
+  }
+
+  // 快照的原始資料 (回復用)
+  async source(id) {
+    return readJsonFile(this.filePath(id), null);
+  }
+
+  // 快照正規化後的店家陣列；最近使用的幾個版本保留在記憶體
+  async stores(id) {
+    if (this.parsed.has(id)) {
+      const stores = this.parsed.get(id);
+      this.parsed.delete(id);
+      this.parsed.set(id, stores);
+      return stores;
+    }
+    const source = await this.source(id);
+    if (!source) return null;
+    const stores = flattenStoreData(normalizeStoreData(source).data);
+    this.parsed.set(id, stores);
+    if (this.parsed.size > PARSED_CACHE_SIZE) this.parsed.delete(this.parsed.keys().next().value);
+    return stores;
+  }
+}
@@ -0,0 +1,74 @@
+import { getDistance, KM_PER_DEG_LAT, kmPerDegLng } from "../shared/geo.js";
+
+// 網格大小（度），約 1.1 公里
+const DEFAULT_CELL_SIZE = 0.01;
+
+// 以固定網格切分經緯度的記憶體空間索引
+export class SpatialIndex {
+  constructor(stores = [], cellSize = DEFAULT_CELL_SIZE) {
+    this.cellSize = cellSize;
+    this.cells = new Map();
+    this.size = 0;
+    stores.forEach((store) => this.insert(store));
+  }
+
+  cellKey(x, y) {
+    return `${x}:${y}`;
+  }
+
+  toCell(lat, lng) {
+    return [Math.floor(lng / this.cellSize), Math.floor(lat / this.cellSize)];
+  }
+
+  insert(store) {
+    const lat = Number(store.lat);
+    const lng = Number(store.lng);
+    if (!Number.isFinite(lat) || !Number.isFinite(lng)) return;
+    const key = this.cellKey(...this.toCell(lat, lng));
+    if (!this.cells.has(key)) this.cells.set(key, []);
+    this.cells.get(key).push(store);
+    this.size++;
+  }
+
+  // 取出涵蓋指定範圍的所有網格內店家（尚未精確過濾）
+  candidates(minLat, minLng, maxLat, maxLng) {
+    const [minX, minY] = this.toCell(minLat, minLng);
+    const [maxX, maxY] = this.toCell(maxLat, maxLng);
+    const results = [];
+    // 範圍比網格總數還大時，直接掃描所有網格
+    if ((maxX - minX + 1) * (maxY - minY + 1) > this.cells.size) {
+      for (const [key, stores] of this.cells) {
+        const [x, y] = key.split(":").map(Number);
+        if (x >= minX && x <= maxX && y >= minY && y <= maxY) results.push(...stores);
+      }
+      return results;
+    }
+    for (let x = minX; x <= maxX; x++) {
+      for (let y = minY; y <= maxY; y++) {
+        const stores = this.cells.get(this.cellKey(x, y));
+        if (stores) results.push(...stores);
+      }
+    }
+    return results;
+  }
+
+  // 半徑（公里）內的店家，依距離排序並附上 distance
+  nearby(lat, lng, radiusKm, limit = Infinity) {
+    const dLat = radiusKm / KM_PER_DEG_LAT;
+    const dLng = radiusKm / Math.max(kmPerDegLng(lat), 1e-6);
+    return this.candidates(lat - dLat, lng - dLng, lat + dLat, lng + dLng)
+      .map((store) => ({ ...store, distance: getDistance(lat, lng, store.lat, store.lng) }))
+      .filter((store) => store.distance <= radiusKm)
+      .sort((a, b) => a.distance - b.distance)
+      .slice(0, limit);
+  }
+
+  // 矩形範圍內的店家，依與 (lat, lng) 的距離排序並附上 distance
+  within(minLat, minLng, maxLat, maxLng, lat, lng, limit = Infinity) {
+    return this.candidates(minLat, minLng, maxLat, maxLng)
+      .filter((store) => store.lat >= minLat && store.lat <= maxLat && store.lng >= minLng && store.lng <= maxLng)
+      .map((store) => ({ ...store, distance: getDistance(lat, lng, store.lat, store.lng) }))
+      .sort((a, b) => a.distance - b.distance)
+      .slice(0, limit);
+  }
+}
@@ -0,0 +1,70 @@
+import { KM_PER_DEG_LAT, kmPerDegLng } from "../shared/geo.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const RECENT_VISIT_DAYS = 7;
+
+const createBucket = () => ({ count: 0, visited: 0, visitedRecently: 0, latSum: 0, lngSum: 0, minLat: Infinity, minLng: Infinity, maxLat: -Infinity, maxLng: -Infinity });
+
+const addStore = (bucket, store, lastVisitedAt, now) => {
+  bucket.count++;
+  bucket.latSum += store.lat;
+  bucket.lngSum += store.lng;
+  bucket.minLat = Math.min(bucket.minLat, store.lat);
+  bucket.maxLat = Math.max(bucket.maxLat, store.lat);
+  bucket.minLng = Math.min(bucket.minLng, store.lng);
+  bucket.maxLng = Math.max(bucket.maxLng, store.lng);
+  if (lastVisitedAt) {
+    bucket.visited++;
+    if (now - Date.parse(lastVisitedAt) < RECENT_VISIT_DAYS * DAY_MS) bucket.visitedRecently++;
+  }
+};
+
+const round = (value, digits) => (value === null ? null : Number(value.toFixed(digits)));
+
+// 外框面積 (平方公里) 與每平方公里店家數；只有一家店或同一點時面積為 0，密度為 null
+const summarize = (bucket, hasVisits) => {
+  const centroid = { lat: bucket.latSum / bucket.count, lng: bucket.lngSum / bucket.count };
+  const areaKm2 = (bucket.maxLat - bucket.minLat) * KM_PER_DEG_LAT * (bucket.maxLng - bucket.minLng) * kmPerDegLng(centroid.lat);
+  return {
+    count: bucket.count,
+    bbox: { minLat: bucket.minLat, minLng: bucket.minLng, maxLat: bucket.maxLat, maxLng: bucket.maxLng },
+    centroid: { lat: round(centroid.lat, 6), lng: round(centroid.lng, 6) },
+    bboxAreaKm2: round(areaKm2, 3),
+    density: areaKm2 > 0 ? round(bucket.count / areaKm2, 4) : null,
+    ...(hasVisits && {
+      visited: bucket.visited,
+      visitedRecently: bucket.visitedRecently,
+      coverage: round(bucket.visited / bucket.count, 4),
+      recentCoverage: round(bucket.visitedRecently / bucket.count, 4),
+    }),
+  };
+};
+
+// 依縣市/區域彙整店家數、外框、中心點、密度；有打卡紀錄時加上覆蓋率
+// lastVisits: { storeId: 最後打卡時間 }
+export const computeStats = (stores, lastVisits = {}, now = Date.now()) => {
+  const hasVisits = Object.keys(lastVisits).length > 0;
+  const total = createBucket();
+  const cities = new Map();
+
+  for (const store of stores) {
+    const lastVisitedAt = lastVisits[store.id];
+    if (!cities.has(store.city)) cities.set(store.city, { bucket: createBucket(), areas: new Map() });
+    const city = cities.get(store.city);
+    if (!city.areas.has(store.area)) city.areas.set(store.area, createBucket());
+    addStore(total, store, lastVisitedAt, now);
+    addStore(city.bucket, store, lastVisitedAt, now);
+    addStore(city.areas.get(store.area), store, lastVisitedAt, now);
+  }
+
+  return {
+    generatedAt: new Date(now).toISOString(),
+    hasVisits,
+    total: stores.length > 0 ? summarize(total, hasVisits) : { count: 0 },
+    cities: [...cities].map(([cityName, { bucket, areas }]) => ({
+      city: cityName,
+      ...summarize(bucket, hasVisits),
+      areas: [...areas].map(([areaName, areaBucket]) => ({ area: areaName, ...summarize(areaBucket, hasVisits) })),
+    })),
+  };
+};
@@ -0,0 +1,163 @@
+// 店家資料的 CSV / GeoJSON / KML / GPX 轉換
+
+// CSV 欄位名稱 (英文或中文標題皆可，比對時不分大小寫)
+const CSV_COLUMNS = ["id", "city", "area", "name", "address", "lat", "lng", "hours", "machineCount", "prizeCategories", "paymentMethods"];
+const CSV_HEADER_ALIASES = {
+  id: "id",
+  city: "city", 縣市: "city",
+  area: "area", 區域: "area", 鄉鎮市區: "area",
+  name: "name", 店名: "name", 名稱: "name",
+  address: "address", 地址: "address",
+  lat: "lat", latitude: "lat", 緯度: "lat",
+  lng: "lng", lon: "lng", longitude: "lng", 經度: "lng",
+  hours: "hours", 營業時間: "hours",
+  machinecount: "machineCount", 機台數: "machineCount",
+  prizecategories: "prizeCategories", 獎品類別: "prizeCategories",
+  paymentmethods: "paymentMethods", 支付方式: "paymentMethods",
+};
+
+// 延伸欄位在 CSV 中的文字格式：
+//   hours            "mon 10:00-22:00; sat 09:00-12:00 13:00-02:00" (星期與時段以空白分隔，各天以 ; 分隔)
+//   prizeCategories  "公仔;娃娃"
+//   paymentMethods   "cash;linepay"
+const CSV_LIST_SEPARATOR = ";";
+
+const formatHoursCell = (hours) =>
+  Object.entries(hours)
+    .map(([day, ranges]) => [day, ...ranges].join(" "))
+    .join(`${CSV_LIST_SEPARATOR} `);
+
+// 格式錯誤的星期或時段照原樣保留，交給 validateStoreFields 回報
+const parseHoursCell = (text) =>
+  Object.fromEntries(
+    text
+      .split(CSV_LIST_SEPARATOR)
+      .map((part) => part.trim().split(/\s+/))
+      .filter(([day]) => day)
+      .map(([day, ...ranges]) => [day.toLowerCase(), ranges])
+  );
+
+const CSV_CELL_FORMATS = {
+  hours: { format: formatHoursCell, parse: parseHoursCell },
+  prizeCategories: { format: (list) => list.join(CSV_LIST_SEPARATOR), parse: (text) => text.split(CSV_LIST_SEPARATOR) },
+  paymentMethods: { format: (list) => list.join(CSV_LIST_SEPARATOR), parse: (text) => text.split(CSV_LIST_SEPARATOR) },
+};
+
+const formatCsvCell = (key, value) => (value !== undefined && value !== null && CSV_CELL_FORMATS[key] ? CSV_CELL_FORMATS[key].format(value) : value);
+
+// RFC 4180 CSV 解析，支援雙引號內的逗號、換行與 "" 跳脫
+const parseCsvRows = (text) => {
+  const rows = [];
+  let row = [], field = "", inQuotes = false;
+  const input = text.replace(/^\uFEFF/, "");
+  for (let i = 0; i < input.length; i++) {
+    const ch = input[i];
+    if (inQuotes) {
+      if (ch === '"' && input[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') inQuotes = false;
+      else field += ch;
+    } else if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === ",") {
+      row.push(field); field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && input[i + 1] === "\n") i++;
+      row.push(field); rows.push(row);
+      row = []; field = "";
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== "" || row.length > 0) { row.push(field); rows.push(row); }
+  return rows.filter((r) => r.some((cell) => cell.trim() !== ""));
+};
+
+// 回傳原始欄位物件陣列 (尚未驗證)
+export const parseCsv = (text) => {
+  const [header = [], ...rows] = parseCsvRows(text);
+  const keys = header.map((h) => CSV_HEADER_ALIASES[h.trim().toLowerCase()] || null);
+  return rows.map((cells) => {
+    const record = {};
+    keys.forEach((key, i) => {
+      if (!key || cells[i] === undefined || cells[i].trim() === "") return;
+      const text = cells[i].trim();
+      record[key] = CSV_CELL_FORMATS[key] ? CSV_CELL_FORMATS[key].parse(text) : text;
+    });
+    return record;
+  });
+};
+
+export const parseGeoJson = (input) => {
+  const data = typeof input === "string" ? JSON.parse(input) : input;
+  const features = data?.type === "FeatureCollection" ? data.features : data?.type === "Feature" ? [data] : null;
+  if (!Array.isArray(features)) throw new Error("Expected a GeoJSON FeatureCollection");
+  return features
+    .filter((f) => f?.geometry?.type === "Point")
+    .map((f) => {
+      const [lng, lat] = f.geometry.coordinates;
+      const { id, city, area, name, address, hours, machineCount, prizeCategories, paymentMethods } = f.properties || {};
+      return { id: id ?? f.id, city, area, name, address, lat, lng, hours, machineCount, prizeCategories, paymentMethods };
+    });
+};
+
+const escapeCsv = (value) => {
+  const text = value === undefined || value === null ? "" : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const escapeXml = (value) =>
+  String(value ?? "").replace(/[<>&'"]/g, (ch) => ({ "<": "&lt;", ">": "&gt;", "&": "&amp;", "'": "&apos;", '"': "&quot;" })[ch]);
+
+// 加上 BOM 讓 Excel 正確辨識 UTF-8
+export const toCsv = (stores) =>
+  "\uFEFF" + [CSV_COLUMNS.join(","), ...stores.map((s) => CSV_COLUMNS.map((key) => escapeCsv(formatCsvCell(key, s[key]))).join(","))].join("\r\n") + "\r\n";
+
+export const toGeoJson = (stores) => ({
+  type: "FeatureCollection",
+  features: stores.map(({ lat, lng, ...properties }) => ({
+    type: "Feature",
+    id: properties.id,
+    geometry: { type: "Point", coordinates: [lng, lat] },
+    properties,
+  })),
+});
+
+export const toKml = (stores, title = "巡台神器") =>
+  `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+<Document>
+<name>${escapeXml(title)}</name>
+${stores
+  .map(
+    (s) => `<Placemark>
+<name>${escapeXml(s.name)}</name>
+<description>${escapeXml([s.city, s.area, s.address].filter(Boolean).join(" "))}</description>
+<Point><coordinates>${s.lng},${s.lat},0</coordinates></Point>
+</Placemark>`
+  )
+  .join("\n")}
+</Document>
+</kml>
+`;
+
+export const toGpx = (stores, title = "巡台神器") =>
+  `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="巡台神器" xmlns="http://www.topografix.com/GPX/1/1">
+<metadata><name>${escapeXml(title)}</name></metadata>
+${stores
+  .map(
+    (s) => `<wpt lat="${s.lat}" lon="${s.lng}">
+<name>${escapeXml(s.name)}</name>
+<desc>${escapeXml([s.city, s.area, s.address].filter(Boolean).join(" "))}</desc>
+</wpt>`
+  )
+  .join("\n")}
+</gpx>
+`;
+
+export const EXPORT_FORMATS = {
+  csv: { contentType: "text/csv; charset=utf-8", extension: "csv", serialize: (stores) => toCsv(stores) },
+  geojson: { contentType: "application/geo+json; charset=utf-8", extension: "geojson", serialize: (stores) => JSON.stringify(toGeoJson(stores)) },
+  kml: { contentType: "application/vnd.google-earth.kml+xml; charset=utf-8", extension: "kml", serialize: (stores, title) => toKml(stores, title) },
+  gpx: { contentType: "application/gpx+xml; charset=utf-8", extension: "gpx", serialize: (stores, title) => toGpx(stores, title) },
+};
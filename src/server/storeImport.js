@@ -0,0 +1,61 @@
+import { SpatialIndex } from "./spatialIndex.js";
+import { validateStoreFields } from "./storeValidation.js";
+import { DETAIL_FIELDS } from "../shared/storeDetails.js";
+
+// 距離在此範圍內 (公里) 的不同店家視為疑似重複
+export const DUPLICATE_RADIUS_KM = 0.01;
+
+const COMPARED_FIELDS = ["city", "area", "name", "address", "lat", "lng"];
+
+const matchKey = (s) => `${s.city}|${s.area}|${s.name}`;
+
+// 比對匯入資料與現有店家，回傳新增/修改/移除/疑似重複/無效列的差異
+// 有 id 的列依 id 比對，否則依「縣市+區域+店名」比對；
+// 「移除」只計算匯入資料涵蓋的縣市/區域中未出現的店家
+export const diffStores = (existingStores, records) => {
+  const byId = new Map(existingStores.map((s) => [s.id, s]));
+  const byKey = new Map(existingStores.map((s) => [matchKey(s), s]));
+  const matchedIds = new Set();
+  const coveredAreas = new Set();
+  const added = [], changed = [], invalid = [], duplicates = [];
+
+  records.forEach((record, i) => {
+    const { value, errors } = validateStoreFields(record);
+    if (errors.length > 0) {
+      invalid.push({ row: i + 1, record, errors });
+      return;
+    }
+    coveredAreas.add(`${value.city}|${value.area}`);
+    const existing = (record.id && byId.get(String(record.id))) || byKey.get(matchKey(value));
+    if (!existing) {
+      added.push({ row: i + 1, ...value });
+      return;
+    }
+    matchedIds.add(existing.id);
+    // 只比對與合併匯入資料有提供的欄位，例如 CSV 沒有地址欄時保留現有地址
+    const provided = Object.fromEntries(Object.entries(value).filter(([key]) => record[key] !== undefined));
+    const fields = [
+      ...COMPARED_FIELDS.filter((key) => provided[key] !== undefined && (existing[key] ?? "") !== provided[key]),
+      ...DETAIL_FIELDS.filter((key) => provided[key] !== undefined && JSON.stringify(existing[key] ?? null) !== JSON.stringify(provided[key])),
+    ];
+    if (fields.length > 0) changed.push({ row: i + 1, id: existing.id, fields, before: existing, after: { ...existing, ...provided } });
+  });
+
+  const removed = existingStores.filter((s) => coveredAreas.has(`${s.city}|${s.area}`) && !matchedIds.has(s.id));
+
+  // 新增的店家若與現有 (或其他新增) 店家距離過近，可能是同一家店
+  const removedIds = new Set(removed.map((s) => s.id));
+  const existingIndex = new SpatialIndex(existingStores.filter((s) => !removedIds.has(s.id)));
+  const addedIndex = new SpatialIndex();
+  added.forEach((store) => {
+    const [near] = [...existingIndex.nearby(store.lat, store.lng, DUPLICATE_RADIUS_KM, 1), ...addedIndex.nearby(store.lat, store.lng, DUPLICATE_RADIUS_KM, 1)]
+      .sort((a, b) => a.distance - b.distance);
+    if (near) {
+      const duplicateOf = near.id ? { id: near.id, name: near.name } : { row: near.row, name: near.name };
+      duplicates.push({ row: store.row, name: store.name, duplicateOf, distance: near.distance });
+    }
+    addedIndex.insert(store);
+  });
+
+  return { added, changed, removed, duplicates, invalid };
+};
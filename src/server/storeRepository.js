@@ -0,0 +1,283 @@
+import fs from "fs";
+import crypto from "crypto";
+import { flattenStoreData } from "../shared/stores.js";
+import { SpatialIndex } from "./spatialIndex.js";
+import { SearchIndex } from "./searchIndex.js";
+import { readJsonFile, writeJsonFileAtomic, createWriteQueue } from "./jsonFile.js";
+import { createCachedJson } from "./cachedJson.js";
+import { normalizeStoreData, normalizePlaceName } from "./dataValidation.js";
+
+const clone = (data) => JSON.parse(JSON.stringify(data));
+
+// 新增店家的 id，格式與 stableStoreId 相同
+const newStoreId = () => `st_${crypto.randomBytes(6).toString("hex")}`;
+
+// 檢查資料檔是否被外部修改的間隔
+const WATCH_INTERVAL_MS = 2000;
+
+// 店家資料 (巢狀 {city: {area: {data: [...]}}}) 與其索引；所有寫入依序執行並以原子方式寫回檔案
+// source 為檔案原始內容 (含未通過驗證的資料列)，raw 為驗證並正規化後對外提供的資料
+// 自首次載入起記錄每家店最後變動與刪除的時間，供 changesSince 回傳差異
+// 提供 snapshots (SnapshotStore) 時，每次資料變動都另存一份歷史版本
+export class StoreRepository {
+  constructor(filePath, { snapshots = null } = {}) {
+    this.filePath = filePath;
+    this.snapshots = snapshots;
+    this.enqueue = createWriteQueue();
+    this.loaded = false;
+    this.mtimeMs = null;
+    this.signatures = new Map();
+    this.modifiedAt = new Map();
+    this.removedAt = new Map();
+    this.historyStartedAt = null;
+    this.setData({});
+  }
+
+  // 首次載入以檔案修改時間為資料時間，伺服器重啟後客戶端仍可用先前的 since 查詢差異
+  loadSync() {
+    const { mtime, mtimeMs } = fs.statSync(this.filePath);
+    this.setData(JSON.parse(fs.readFileSync(this.filePath, "utf8")), mtime);
+    this.mtimeMs = mtimeMs;
+    this.loaded = true;
+    return this;
+  }
+
+  // 資料檔被外部修改 (例如重新部署資料或手動編輯) 時重新載入；解析失敗時保留原資料
+  watch(onReload = () => {}) {
+    fs.watchFile(this.filePath, { interval: WATCH_INTERVAL_MS }, (curr) => {
+      if (curr.mtimeMs === 0 || curr.mtimeMs === this.mtimeMs) return;
+      this.enqueue(async () => {
+        const { mtime, mtimeMs } = await fs.promises.stat(this.filePath);
+        if (mtimeMs === this.mtimeMs) return;
+        const source = await readJsonFile(this.filePath, null);
+        if (!source) return;
+        this.setData(source, mtime);
+        this.mtimeMs = mtimeMs;
+        this.loaded = true;
+        // 寫回 id 失敗時仍使用新資料，只記錄錯誤
+        await this.writeAssignedIds().catch((err) => console.error("Failed to save generated store ids:", err));
+        await this.recordSnapshot({ action: "reload" });
+        onReload(null, this);
+      }).catch((err) => onReload(err, this));
+    });
+    return this;
+  }
+
+  // 資料檔中沒有 id 的店家 (新資料或手動加入的資料列) 將產生的 id 寫回檔案，之後修改店名或地址時 id 不變
+  // 只補上 id，不更動店家內容，也不更新變動時間；回傳寫入的 id 數
+  persistAssignedIds() {
+    return this.enqueue(() => this.writeAssignedIds());
+  }
+
+  async writeAssignedIds() {
+    const { assignedIds } = this.report.totals;
+    if (assignedIds === 0) return 0;
+    const raw = clone(this.source);
+    this.freezeIds(raw);
+    await writeJsonFileAtomic(this.filePath, raw);
+    const { mtimeMs } = await fs.promises.stat(this.filePath);
+    this.setData(raw, this.updatedAt);
+    this.mtimeMs = mtimeMs;
+    return assignedIds;
+  }
+
+  setData(source, at = new Date()) {
+    const { data, report } = normalizeStoreData(source);
+    this.source = source;
+    this.raw = data;
+    this.report = report;
+    this.stores = flattenStoreData(data);
+    this.byId = new Map(this.stores.map((store) => [store.id, store]));
+    this.spatial = new SpatialIndex(this.stores);
+    this.search = new SearchIndex(this.stores);
+    this.trackChanges(at);
+    this.cached = null;
+  }
+
+  trackChanges(at) {
+    const previous = this.signatures;
+    this.signatures = new Map(this.stores.map((store) => [store.id, JSON.stringify(store)]));
+    if (!this.loaded) {
+      this.modifiedAt = new Map(this.stores.map((store) => [store.id, at.getTime()]));
+      this.removedAt = new Map();
+      this.historyStartedAt = at.getTime();
+      this.updatedAt = at;
+      return;
+    }
+    let changed = false;
+    for (const [id, signature] of this.signatures) {
+      if (previous.get(id) === signature) continue;
+      this.modifiedAt.set(id, at.getTime());
+      this.removedAt.delete(id);
+      changed = true;
+    }
+    for (const id of previous.keys()) {
+      if (this.signatures.has(id)) continue;
+      this.modifiedAt.delete(id);
+      this.removedAt.set(id, at.getTime());
+      changed = true;
+    }
+    if (changed) this.updatedAt = at;
+  }
+
+  // 序列化並可壓縮的 raw，資料變動後才重建
+  get cachedJson() {
+    if (!this.cached) this.cached = createCachedJson(this.raw, this.updatedAt);
+    return this.cached;
+  }
+
+  // since 之後新增/修改的店家與刪除的 id；since 早於記錄起點時無法得知差異，回傳 null
+  changesSince(since) {
+    const time = since.getTime();
+    if (this.historyStartedAt === null || time < this.historyStartedAt) return null;
+    return {
+      updated: this.stores.filter((store) => this.modifiedAt.get(store.id) > time),
+      removed: [...this.removedAt].filter(([, removedAt]) => removedAt > time).map(([id]) => id),
+    };
+  }
+
+  get(id) {
+    return this.byId.get(id) || null;
+  }
+
+  // 寫入時將正規化產生的 id 存回原始資料，之後才能依 id 找到資料列
+  freezeIds(raw) {
+    const { origins } = normalizeStoreData(raw);
+    for (const [id, { cityKey, areaKey, index }] of origins) {
+      raw[cityKey][areaKey].data[index].id = id;
+    }
+  }
+
+  locate(raw, id) {
+    for (const cityKey in raw) {
+      for (const areaKey in raw[cityKey]) {
+        const list = raw[cityKey][areaKey]?.data || [];
+        const index = list.findIndex((store) => store?.id === id);
+        if (index !== -1) return { list, index, cityKey, areaKey };
+      }
+    }
+    return null;
+  }
+
+  insertInto(raw, store) {
+    if (!raw[store.city]) raw[store.city] = {};
+    if (!raw[store.city][store.area]) raw[store.city][store.area] = { data: [] };
+    if (!raw[store.city][store.area].data) raw[store.city][store.area].data = [];
+    raw[store.city][store.area].data.push(store);
+  }
+
+  // 以 after 取代 found 位置的店家；變更縣市或區域時移到對應分區
+  // 原始資料列可能沒有 city/area 欄位 (以分區鍵值為準)，未提供時沿用目前的分區
+  replaceAt(raw, found, after) {
+    const city = after.city ?? found.cityKey;
+    const area = after.area ?? found.areaKey;
+    if (normalizePlaceName(city) !== normalizePlaceName(found.cityKey) || normalizePlaceName(area) !== normalizePlaceName(found.areaKey)) {
+      found.list.splice(found.index, 1);
+      this.insertInto(raw, { ...after, city, area });
+    } else {
+      found.list[found.index] = after;
+    }
+  }
+
+  // 在資料副本上執行 mutator，成功寫檔後才替換記憶體中的資料；mutator 回傳 null 時不寫檔
+  // meta ({ user, action }) 記錄在這次變動的歷史版本中
+  mutate(mutator, meta = {}) {
+    return this.enqueue(async () => {
+      const raw = clone(this.source);
+      this.freezeIds(raw);
+      const result = mutator(raw);
+      if (result === null) return null;
+      await this.commit(raw, meta);
+      return result;
+    });
+  }
+
+  // 以整份資料取代目前資料 (回復歷史版本)；較早的版本可能沒有 id，同樣補上
+  replaceAll(source, meta = {}) {
+    return this.enqueue(() => {
+      const raw = clone(source);
+      this.freezeIds(raw);
+      return this.commit(raw, meta);
+    });
+  }
+
+  async commit(raw, meta) {
+    await writeJsonFileAtomic(this.filePath, raw);
+    const { mtime, mtimeMs } = await fs.promises.stat(this.filePath);
+    this.setData(raw, mtime);
+    this.mtimeMs = mtimeMs;
+    await this.recordSnapshot(meta);
+  }
+
+  // 資料已寫入，快照失敗只記錄錯誤
+  async recordSnapshot(meta = {}) {
+    if (!this.snapshots) return null;
+    try {
+      return await this.snapshots.record(this.source, { storeCount: this.stores.length, ...meta });
+    } catch (err) {
+      console.error("Failed to record store snapshot:", err);
+      return null;
+    }
+  }
+
+  // 目前資料與最新歷史版本不同時 (例如伺服器停止期間更新了資料檔) 補存一版
+  snapshot(meta = {}) {
+    return this.enqueue(() => this.recordSnapshot(meta));
+  }
+
+  create(fields, meta) {
+    return this.mutate((raw) => {
+      const store = { id: newStoreId(), ...fields };
+      this.insertInto(raw, store);
+      return { before: null, after: store };
+    }, meta);
+  }
+
+  // 回傳 null 代表找不到店家；值為 null 的欄位 (例如清除營業時間) 會被移除
+  update(id, fields, meta) {
+    return this.mutate((raw) => {
+      const found = this.locate(raw, id);
+      if (!found) return null;
+      const before = found.list[found.index];
+      const after = { ...before, ...fields, id };
+      for (const key of Object.keys(after)) if (after[key] === null) delete after[key];
+      this.replaceAt(raw, found, after);
+      return { before, after };
+    }, meta);
+  }
+
+  // 套用 diffStores 的結果；removeMissing 為 false 時不刪除店家
+  applyImport({ added, changed, removed }, { removeMissing = false } = {}, meta) {
+    return this.mutate((raw) => {
+      const result = { added: 0, changed: 0, removed: 0 };
+      for (const { row, ...fields } of added) {
+        this.insertInto(raw, { id: newStoreId(), ...fields });
+        result.added++;
+      }
+      for (const { id, after } of changed) {
+        const found = this.locate(raw, id);
+        if (!found) continue;
+        this.replaceAt(raw, found, after);
+        result.changed++;
+      }
+      if (removeMissing) {
+        for (const { id } of removed) {
+          const found = this.locate(raw, id);
+          if (!found) continue;
+          found.list.splice(found.index, 1);
+          result.removed++;
+        }
+      }
+      return result;
+    }, meta);
+  }
+
+  remove(id, meta) {
+    return this.mutate((raw) => {
+      const found = this.locate(raw, id);
+      if (!found) return null;
+      const [before] = found.list.splice(found.index, 1);
+      return { before, after: null };
+    }, meta);
+  }
+}
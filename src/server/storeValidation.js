@@ -0,0 +1,51 @@
+import { isInTaiwan } from "../shared/geo.js";
+import { normalizePlaceName } from "./dataValidation.js";
+import { validateStoreDetails } from "../shared/storeDetails.js";
+
+const MAX_TEXT_LENGTH = 200;
+
+const cleanText = (value) => (typeof value === "string" ? value.trim() : "");
+
+// 驗證店家欄位；partial 為 true 時只驗證有提供的欄位 (更新用)
+// 延伸欄位 (hours、machineCount、prizeCategories、paymentMethods) 皆為選填，傳 null 清除
+// 回傳 { value, errors }，value 只包含合法且有提供的欄位
+export const validateStoreFields = (input, { partial = false } = {}) => {
+  const value = {};
+  const errors = [];
+  const fields = input && typeof input === "object" ? input : {};
+
+  for (const key of ["city", "area", "name"]) {
+    if (partial && fields[key] === undefined) continue;
+    const text = key === "name" ? cleanText(fields[key]) : normalizePlaceName(cleanText(fields[key]));
+    if (!text) errors.push(`${key} is required`);
+    else if (text.length > MAX_TEXT_LENGTH) errors.push(`${key} must be at most ${MAX_TEXT_LENGTH} characters`);
+    else value[key] = text;
+  }
+
+  if (!partial || fields.address !== undefined) {
+    const address = cleanText(fields.address);
+    if (address.length > MAX_TEXT_LENGTH) errors.push(`address must be at most ${MAX_TEXT_LENGTH} characters`);
+    else value.address = address;
+  }
+
+  const hasLat = fields.lat !== undefined;
+  const hasLng = fields.lng !== undefined;
+  if (!partial || hasLat || hasLng) {
+    const lat = Number(fields.lat);
+    const lng = Number(fields.lng);
+    if (!hasLat || !hasLng || !Number.isFinite(lat) || !Number.isFinite(lng)) {
+      errors.push("lat and lng are required numbers");
+    } else if (!isInTaiwan(lat, lng)) {
+      errors.push("lat/lng must be within Taiwan");
+    } else {
+      value.lat = lat;
+      value.lng = lng;
+    }
+  }
+
+  const details = validateStoreDetails(fields);
+  errors.push(...details.errors);
+  Object.assign(value, details.value);
+
+  return { value, errors };
+};
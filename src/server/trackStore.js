@@ -0,0 +1,107 @@
+import fs from "fs";
+import path from "path";
+import { readJsonFile, writeJsonFileAtomic, createWriteQueue } from "./jsonFile.js";
+
+export const MAX_TRACK_POINTS = 50000;
+
+const TRACK_ID_PATTERN = /^trk_[a-z0-9]{4,32}$/;
+
+const isFiniteNumber = (value) => typeof value === "number" && Number.isFinite(value);
+
+// 檢查上傳的軌跡，回傳錯誤訊息陣列
+export const validateTrack = (track) => {
+  const errors = [];
+  if (!track || typeof track !== "object") return ["track must be an object"];
+  if (typeof track.id !== "string" || !TRACK_ID_PATTERN.test(track.id)) errors.push("invalid id");
+  if (typeof track.startedAt !== "string" || Number.isNaN(Date.parse(track.startedAt))) errors.push("invalid startedAt");
+  if (!Array.isArray(track.points) || track.points.length === 0) {
+    errors.push("points must be a non-empty array");
+  } else if (track.points.length > MAX_TRACK_POINTS) {
+    errors.push(`too many points (max ${MAX_TRACK_POINTS})`);
+  } else if (!track.points.every((p) => p && isFiniteNumber(p.t) && isFiniteNumber(p.lat) && isFiniteNumber(p.lng))) {
+    errors.push("every point needs numeric t, lat and lng");
+  }
+  if (track.passedStores !== undefined && !Array.isArray(track.passedStores)) errors.push("passedStores must be an array");
+  return errors;
+};
+
+const toSummary = ({ points, ...summary }) => ({ ...summary, pointCount: points.length });
+
+// 回應中不包含上傳者的 userId
+const withoutOwner = ({ userId, ...track }) => track;
+
+// 巡店軌跡，每段軌跡存成一個 JSON 檔案；記憶體中只保留摘要
+// 軌跡屬於上傳者 (userId)，只有上傳者能讀取與覆寫；沒有 userId 的舊軌跡不再提供
+export class TrackStore {
+  constructor(dirPath) {
+    this.dirPath = dirPath;
+    this.summaries = new Map();
+    this.enqueue = createWriteQueue();
+  }
+
+  filePath(id) {
+    return path.join(this.dirPath, `${id}.json`);
+  }
+
+  async load() {
+    let files = [];
+    try {
+      files = await fs.promises.readdir(this.dirPath);
+    } catch (err) {
+      if (err.code !== "ENOENT") throw err;
+    }
+    for (const file of files.filter((f) => f.endsWith(".json"))) {
+      const track = await readJsonFile(path.join(this.dirPath, file), null);
+      if (track) this.summaries.set(track.id, toSummary(track));
+    }
+    return this;
+  }
+
+  // 同一使用者以同一 id 重複上傳時覆寫 (客戶端可補傳完整軌跡)；id 已屬於其他使用者時回傳 null
+  async save(userId, track) {
+    return this.enqueue(() => this.write(userId, track));
+  }
+
+  async write(userId, track) {
+    const existing = this.summaries.get(track.id);
+    if (existing && existing.userId !== userId) return null;
+    const record = {
+      id: track.id,
+      userId,
+      startedAt: track.startedAt,
+      endedAt: track.endedAt ?? null,
+      proximityRadius: isFiniteNumber(track.proximityRadius) ? track.proximityRadius : null,
+      distanceKm: isFiniteNumber(track.distanceKm) ? track.distanceKm : null,
+      durationMs: isFiniteNumber(track.durationMs) ? track.durationMs : null,
+      passedStores: (track.passedStores || []).map((s) => ({ id: s.id, name: s.name, lat: s.lat, lng: s.lng, passedAt: s.passedAt })),
+      points: track.points.map((p) => ({
+        t: p.t,
+        lat: p.lat,
+        lng: p.lng,
+        accuracy: isFiniteNumber(p.accuracy) ? p.accuracy : null,
+        heading: isFiniteNumber(p.heading) ? p.heading : null,
+        speed: isFiniteNumber(p.speed) ? p.speed : null,
+      })),
+      uploadedAt: new Date().toISOString(),
+    };
+    await writeJsonFileAtomic(this.filePath(record.id), record);
+    const summary = toSummary(record);
+    this.summaries.set(record.id, summary);
+    return withoutOwner(summary);
+  }
+
+  // 使用者自己的軌跡，新到舊，不含軌跡點
+  list(userId) {
+    return [...this.summaries.values()]
+      .filter((summary) => summary.userId === userId)
+      .sort((a, b) => b.startedAt.localeCompare(a.startedAt))
+      .map(withoutOwner);
+  }
+
+  // 不存在或屬於其他使用者時回傳 null
+  async get(userId, id) {
+    if (this.summaries.get(id)?.userId !== userId) return null;
+    const track = await readJsonFile(this.filePath(id), null);
+    return track && withoutOwner(track);
+  }
+}
@@ -0,0 +1,54 @@
+// 店家資料驗證工具
+// 用法：node src/server/validateData.js [資料檔路徑] [--write] [--json]
+//   未指定路徑時使用伺服器設定的資料檔 (DATA_FILE / DATA_DIR)
+//   --write  將正規化後的資料 (含穩定 id) 寫回檔案；未通過驗證的資料列會被移除並列在報告中
+//   --json   以 JSON 輸出完整報告
+// 有錯誤時以結束碼 1 結束
+import fs from "fs";
+import path from "path";
+import { normalizeStoreData } from "./dataValidation.js";
+import { writeJsonFileAtomic } from "./jsonFile.js";
+import { loadConfig } from "./config.js";
+
+const args = process.argv.slice(2);
+const flags = new Set(args.filter((arg) => arg.startsWith("--")));
+const filePath = path.resolve(args.find((arg) => !arg.startsWith("--")) || loadConfig().dataFilePath);
+
+const printIssues = (title, issues) => {
+  if (issues.length === 0) return;
+  console.log(`\n${title} (${issues.length})`);
+  for (const issue of issues) {
+    const where = [issue.city, issue.area, issue.index !== undefined ? `#${issue.index}` : issue.id].filter((v) => v !== undefined).join(" / ");
+    console.log(`  [${issue.type}] ${where}${issue.name ? ` 「${issue.name}」` : ""}: ${issue.message}`);
+  }
+};
+
+const main = async () => {
+  const { data, report } = normalizeStoreData(JSON.parse(fs.readFileSync(filePath, "utf8")));
+
+  if (flags.has("--json")) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    const { totals } = report;
+    console.log(`${filePath}`);
+    console.log(`rows: ${totals.rows}, valid: ${totals.valid}, cities: ${totals.cities}, areas: ${totals.areas}, ids assigned: ${totals.assignedIds}`);
+    if (report.renamed.length > 0) {
+      console.log(`\nnormalized names (${report.renamed.length})`);
+      report.renamed.forEach((r) => console.log(`  ${r.field}: "${r.from}" → "${r.to}"`));
+    }
+    printIssues("errors", report.errors);
+    printIssues("warnings", report.warnings);
+  }
+
+  if (flags.has("--write")) {
+    await writeJsonFileAtomic(filePath, data);
+    console.error(`\nwrote normalized data to ${filePath}`);
+  }
+
+  process.exitCode = report.errors.length > 0 ? 1 : 0;
+};
+
+main().catch((err) => {
+  console.error(err);
+  process.exitCode = 1;
+});
@@ -0,0 +1,56 @@
+import crypto from "crypto";
+import { readJsonFile, writeJsonFileAtomic, createWriteQueue } from "./jsonFile.js";
+
+export const MAX_VISIT_NOTE_LENGTH = 500;
+
+// 巡店打卡紀錄，以 JSON 檔案保存
+export class VisitStore {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.visits = [];
+    this.enqueue = createWriteQueue();
+  }
+
+  async load() {
+    this.visits = await readJsonFile(this.filePath, []);
+    return this;
+  }
+
+  async add({ storeId, lat = null, lng = null, note = "" }) {
+    const visit = {
+      id: crypto.randomUUID(),
+      storeId,
+      visitedAt: new Date().toISOString(),
+      lat,
+      lng,
+      note,
+    };
+    await this.enqueue(async () => {
+      this.visits.push(visit);
+      try {
+        await writeJsonFileAtomic(this.filePath, this.visits);
+      } catch (err) {
+        this.visits.pop();
+        throw err;
+      }
+    });
+    return visit;
+  }
+
+  // 新到舊排列；未指定 storeId 時回傳全部
+  list(storeId) {
+    const visits = storeId ? this.visits.filter((v) => v.storeId === storeId) : this.visits;
+    return [...visits].sort((a, b) => b.visitedAt.localeCompare(a.visitedAt));
+  }
+
+  // { storeId: 最後打卡時間 }
+  lastVisits() {
+    const summary = {};
+    for (const visit of this.visits) {
+      if (!summary[visit.storeId] || visit.visitedAt > summary[visit.storeId]) {
+        summary[visit.storeId] = visit.visitedAt;
+      }
+    }
+    return summary;
+  }
+}
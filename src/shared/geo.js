@@ -0,0 +1,22 @@
+// 地理計算工具（前後端共用）
+
+const EARTH_RADIUS_KM = 6371;
+const toRad = (deg) => deg * (Math.PI / 180);
+
+// Haversine 公式，回傳公里
+export const getDistance = (lat1, lon1, lat2, lon2) => {
+  const dLat = toRad(lat2 - lat1);
+  const dLon = toRad(lon2 - lon1);
+  const a = Math.sin(dLat / 2) * Math.sin(dLat / 2) + Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLon / 2) * Math.sin(dLon / 2);
+  return EARTH_RADIUS_KM * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+};
+
+// 每緯度約 111.32 公里；經度距離隨緯度縮小
+export const KM_PER_DEG_LAT = 111.32;
+export const kmPerDegLng = (lat) => KM_PER_DEG_LAT * Math.cos(toRad(lat));
+
+// 台灣本島與離島 (澎湖、金門、馬祖) 的概略範圍
+export const TAIWAN_BOUNDS = { minLat: 21.8, maxLat: 26.4, minLng: 118.1, maxLng: 122.1 };
+
+export const isInTaiwan = (lat, lng) =>
+  lat >= TAIWAN_BOUNDS.minLat && lat <= TAIWAN_BOUNDS.maxLat && lng >= TAIWAN_BOUNDS.minLng && lng <= TAIWAN_BOUNDS.maxLng;
@@ -0,0 +1,162 @@
+// 店家延伸資料：營業時間、機台數、獎品類別與支付方式（前後端共用）
+//   hours: { mon: ["10:00-22:00"], sat: ["09:00-12:00", "13:00-02:00"], ... }
+//          未列出的星期為公休；結束早於開始代表營業到隔天，"00:00-24:00" 為全天
+//   machineCount: 機台數 (整數)
+//   prizeCategories: ["公仔", "娃娃", ...]
+//   paymentMethods: ["cash", "linepay", ...]，已知代碼見 PAYMENT_METHOD_LABELS
+
+export const WEEKDAYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+export const WEEKDAY_LABELS = { sun: "日", mon: "一", tue: "二", wed: "三", thu: "四", fri: "五", sat: "六" };
+
+export const PAYMENT_METHOD_LABELS = {
+  cash: "現金",
+  easycard: "悠遊卡",
+  ipass: "一卡通",
+  linepay: "LINE Pay",
+  jkopay: "街口支付",
+  creditcard: "信用卡",
+};
+
+export const DETAIL_FIELDS = ["hours", "machineCount", "prizeCategories", "paymentMethods"];
+
+const MAX_RANGES_PER_DAY = 4;
+const MAX_MACHINE_COUNT = 10000;
+const MAX_LIST_ITEMS = 20;
+const MAX_LIST_ITEM_LENGTH = 20;
+
+// 營業時間以台灣時間判斷，不受裝置時區影響
+const TIME_ZONE = "Asia/Taipei";
+const MINUTES_PER_DAY = 24 * 60;
+
+const TIME_RANGE_PATTERN = /^([01]\d|2[0-4]):([0-5]\d)-([01]\d|2[0-4]):([0-5]\d)$/;
+
+// "HH:MM-HH:MM" 轉為 { start, end } (當日分鐘數)；end 小於等於 start 時 end 加一天
+export const parseTimeRange = (text) => {
+  const match = typeof text === "string" && text.trim().match(TIME_RANGE_PATTERN);
+  if (!match) return null;
+  const start = Number(match[1]) * 60 + Number(match[2]);
+  let end = Number(match[3]) * 60 + Number(match[4]);
+  if (start >= MINUTES_PER_DAY || end > MINUTES_PER_DAY) return null;
+  if (end <= start) end += MINUTES_PER_DAY;
+  return { start, end };
+};
+
+const formatMinutes = (minutes) => {
+  const m = minutes % MINUTES_PER_DAY;
+  return `${String(Math.floor(m / 60)).padStart(2, "0")}:${String(m % 60).padStart(2, "0")}`;
+};
+
+const validateList = (key, list, errors) => {
+  if (!Array.isArray(list) || !list.every((item) => typeof item === "string")) {
+    errors.push(`${key} must be an array of strings`);
+    return null;
+  }
+  const items = [...new Set(list.map((item) => item.trim()).filter(Boolean))];
+  if (items.length > MAX_LIST_ITEMS) errors.push(`${key} must have at most ${MAX_LIST_ITEMS} items`);
+  else if (items.some((item) => item.length > MAX_LIST_ITEM_LENGTH)) errors.push(`${key} items must be at most ${MAX_LIST_ITEM_LENGTH} characters`);
+  else return items;
+  return null;
+};
+
+const validateHours = (hours, errors) => {
+  if (!hours || typeof hours !== "object" || Array.isArray(hours)) {
+    errors.push("hours must be an object keyed by weekday");
+    return null;
+  }
+  const value = {};
+  for (const [day, ranges] of Object.entries(hours)) {
+    if (!WEEKDAYS.includes(day)) {
+      errors.push(`hours has unknown weekday "${day}" (use ${WEEKDAYS.join(", ")})`);
+      continue;
+    }
+    if (!Array.isArray(ranges) || ranges.length > MAX_RANGES_PER_DAY || !ranges.every(parseTimeRange)) {
+      errors.push(`hours.${day} must be an array of at most ${MAX_RANGES_PER_DAY} "HH:MM-HH:MM" ranges`);
+      continue;
+    }
+    if (ranges.length > 0) value[day] = ranges.map((r) => r.trim());
+  }
+  return value;
+};
+
+// 檢查有提供的延伸欄位，回傳 { value, errors }；null 代表清除該欄位
+export const validateStoreDetails = (input) => {
+  const value = {};
+  const errors = [];
+  const fields = input && typeof input === "object" ? input : {};
+
+  for (const key of DETAIL_FIELDS) {
+    const raw = fields[key];
+    if (raw === undefined) continue;
+    if (raw === null) {
+      value[key] = null;
+      continue;
+    }
+    const before = errors.length;
+    let result = null;
+    if (key === "hours") {
+      result = validateHours(raw, errors);
+    } else if (key === "machineCount") {
+      const count = Number(raw);
+      if (!["number", "string"].includes(typeof raw) || raw === "" || !Number.isInteger(count) || count < 0 || count > MAX_MACHINE_COUNT) {
+        errors.push(`machineCount must be an integer between 0 and ${MAX_MACHINE_COUNT}`);
+      } else {
+        result = count;
+      }
+    } else {
+      result = validateList(key, raw, errors);
+    }
+    if (errors.length === before) value[key] = result;
+  }
+  return { value, errors };
+};
+
+// 台灣時間的星期 (WEEKDAYS 索引) 與當日分鐘數
+const clockFormat = new Intl.DateTimeFormat("en-US", { timeZone: TIME_ZONE, weekday: "short", hour: "2-digit", minute: "2-digit", hourCycle: "h23" });
+
+const taipeiClock = (date) => {
+  const parts = Object.fromEntries(clockFormat.formatToParts(date).map((p) => [p.type, p.value]));
+  return { day: WEEKDAYS.indexOf(parts.weekday.slice(0, 3).toLowerCase()), minutes: Number(parts.hour) * 60 + Number(parts.minute) };
+};
+
+// 某天 (WEEKDAYS 索引) 的營業時段，時間以本週日 00:00 起算的分鐘數表示
+const rangesOf = (hours, dayIndex) =>
+  (hours[WEEKDAYS[(dayIndex + 7) % 7]] || [])
+    .map(parseTimeRange)
+    .filter(Boolean)
+    .map(({ start, end }) => ({ start: start + dayIndex * MINUTES_PER_DAY, end: end + dayIndex * MINUTES_PER_DAY }));
+
+export const isAlwaysOpen = (hours) =>
+  Boolean(hours) && WEEKDAYS.every((day) => (hours[day] || []).some((r) => {
+    const range = parseTimeRange(r);
+    return range && range.start === 0 && range.end === MINUTES_PER_DAY;
+  }));
+
+// 目前營業狀態；沒有營業時間資料時回傳 null
+// 營業中：{ isOpen: true, closesAt: "22:00" | null (全天營業) }
+// 休息中：{ isOpen: false, opensAt: "10:00" | null (一週內不營業), opensInDays: 0 今天、1 明天… }
+export const getOpenStatus = (hours, date = new Date()) => {
+  if (!hours || typeof hours !== "object") return null;
+  if (isAlwaysOpen(hours)) return { isOpen: true, closesAt: null };
+
+  const { day, minutes } = taipeiClock(date);
+  const now = day * MINUTES_PER_DAY + minutes;
+  // 前一天跨夜的時段也可能涵蓋現在
+  const ranges = [];
+  for (let offset = -1; offset <= 7; offset++) ranges.push(...rangesOf(hours, day + offset));
+  ranges.sort((a, b) => a.start - b.start);
+
+  const current = ranges.find((r) => r.start <= now && now < r.end);
+  if (current) {
+    // 接續的時段 (例如 "18:00-24:00" 接隔天 "00:00-02:00") 合併計算打烊時間
+    let end = current.end;
+    for (const r of ranges) if (r.start <= end && r.end > end) end = r.end;
+    return { isOpen: true, closesAt: formatMinutes(end) };
+  }
+  const next = ranges.find((r) => r.start > now);
+  if (!next) return { isOpen: false, opensAt: null, opensInDays: null };
+  return {
+    isOpen: false,
+    opensAt: formatMinutes(next.start),
+    opensInDays: Math.floor(next.start / MINUTES_PER_DAY) - day,
+  };
+};
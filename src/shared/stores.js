@@ -0,0 +1,26 @@
+// 店家資料處理（前後端共用）
+
+// 將 {city: {area: {data: [...]}}} 攤平成店家陣列
+export const flattenStoreData = (nestedData) => {
+  let stores = [];
+  if (!nestedData) return [];
+  for (const cityKey in nestedData) {
+    const cityData = nestedData[cityKey];
+    for (const areaKey in cityData) {
+      if (cityData[areaKey]?.data) {
+        stores = stores.concat(cityData[areaKey].data);
+      }
+    }
+  }
+  return stores.filter(s => s.lat && s.lng && s.name).map((s, i) => ({
+      ...s,
+      id: s.id || `${s.city}-${s.area}-${i}`
+  }));
+};
+
+// 套用 /api/stores?since= 的差異：{ updated: [店家], removed: [id] }
+export const applyStoreDelta = (stores, { updated, removed }) => {
+  if (updated.length === 0 && removed.length === 0) return stores;
+  const replaced = new Set([...removed, ...updated.map(s => s.id)]);
+  return stores.filter(s => !replaced.has(s.id)).concat(updated);
+};